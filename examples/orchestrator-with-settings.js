@@ -52,12 +52,9 @@ async function automateWithSettings(profilePath, prompts, settings = {}) {
     promptText,
   }));
 
-  // Clear old data
-  db.exec('DELETE FROM downloads');
-  db.exec('DELETE FROM operations');
-  db.exec('DELETE FROM prompts');
-  db.save();
-  logger.info('Cleared old data from database');
+  // Start a new run (previous runs are kept)
+  const runId = db.createRun({ profilePath, settings });
+  logger.info(`Created run #${runId}`);
 
   // Insert new prompts
   db.insertPrompts(promptsData);
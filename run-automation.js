@@ -7,6 +7,9 @@
  * Usage:
  *   node run-automation.js
  *   node run-automation.js --csv=prompts.csv --aspect-ratio=16:9 --output-count=1
+ *   node run-automation.js --resume   (continue the last unfinished run)
+ *   node run-automation.js --events=events.jsonl   (append run events as JSON lines)
+ *   node run-automation.js --profile-names="A,B,C"   (several profiles drain one queue)
  */
 
 const path = require("path");
@@ -14,6 +17,8 @@ const os = require("os");
 const fs = require("fs-extra");
 const {
   automateWithAPIQueue,
+  automateConcurrentGeneration,
+  resumeLastRun,
   loadPromptsFromCSV,
 } = require("./src/main/automation");
 
@@ -129,24 +134,58 @@ async function main() {
   // Parse command line arguments
   const args = process.argv.slice(2);
 
+  // Resume uses the profile stored with the run unless one is given
+  const resume = args.includes("--resume");
+
   // Check for profile name first
   let profileName = null;
+  let profileNames = [];
   args.forEach((arg) => {
     if (arg.startsWith("--profile-name=")) {
       profileName = arg.split("=")[1];
+    } else if (arg.startsWith("--profile-names=")) {
+      profileNames = arg
+        .split("=")[1]
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+      profileName = profileNames[0] || null;
     }
   });
 
+  // Concurrent generation: every profile gets its own Chrome
+  const profilePaths = [];
+  for (const name of profileNames) {
+    profilePaths.push(await getProfilePath(name));
+  }
+
   const config = {
     csvPath: "prompts.csv",
     aspectRatio: "16:9",
     outputCount: 1,
     headless: false, // Default: visible mode for debugging
-    profilePath: await getProfilePath(profileName),
+    dbDurability: undefined, // full | transition | interval (see src/main/db.js)
+    dedupePrompts: false, // Skip identical prompts instead of queueing each copy
+    creditFloor: undefined, // Pause before remaining credits drop below this
+    eventsPath: undefined, // Append typed run events (run-events.js) as JSON lines
+    maxBrowserRestarts: undefined, // Chrome relaunches after a crash (default 3)
+    failover: undefined, // false: no other profile takes over an exhausted one
+    networkCapture: undefined, // cdp (DevTools events, default) | script (injected hook)
+    endpointsConfig: undefined, // Endpoint registry JSON (default src/main/veo-endpoints.json)
+    recordHar: undefined, // Record the run's Flow traffic to outputs/run-<id>.har
+    harMaxBytes: undefined, // HAR size cap (default 50 MB)
+    harVideoBodies: undefined, // Keep video response bodies in the HAR file
+    profilePath:
+      resume && !profileName
+        ? null
+        : profilePaths[0] || (await getProfilePath(profileName)),
+    profilePaths, // More than one: automateConcurrentGeneration
   };
 
   // Check if this profile is already in use
-  const pid = await checkProfileInUse(config.profilePath);
+  const pid = config.profilePath
+    ? await checkProfileInUse(config.profilePath)
+    : null;
   if (pid) {
     console.log("\n⚠️  WARNING: This profile is already in use by Chrome!");
     console.log(`Process ID: ${pid}\n`);
@@ -193,44 +232,130 @@ async function main() {
       config.outputCount = parseInt(arg.split("=")[1]);
     } else if (arg.startsWith("--profile=")) {
       config.profilePath = arg.split("=")[1];
-    } else if (arg.startsWith("--profile-name=")) {
+    } else if (
+      arg.startsWith("--profile-name=") ||
+      arg.startsWith("--profile-names=")
+    ) {
       // Already handled above
     } else if (arg === "--headless") {
       config.headless = true;
+    } else if (arg === "--resume") {
+      // Already handled above
+    } else if (arg.startsWith("--db-durability=")) {
+      config.dbDurability = arg.split("=")[1];
+    } else if (arg === "--dedupe") {
+      config.dedupePrompts = true;
+    } else if (arg.startsWith("--credit-floor=")) {
+      config.creditFloor = parseInt(arg.split("=")[1], 10);
+    } else if (arg.startsWith("--events=")) {
+      config.eventsPath = arg.split("=")[1];
+    } else if (arg.startsWith("--max-browser-restarts=")) {
+      config.maxBrowserRestarts = parseInt(arg.split("=")[1], 10);
+    } else if (arg === "--no-failover") {
+      config.failover = false;
+    } else if (arg.startsWith("--network-capture=")) {
+      config.networkCapture = arg.split("=")[1];
+    } else if (arg.startsWith("--endpoints-config=")) {
+      config.endpointsConfig = arg.split("=")[1];
+    } else if (arg === "--har") {
+      config.recordHar = true;
+    } else if (arg.startsWith("--har-max-mb=")) {
+      config.harMaxBytes = parseInt(arg.split("=")[1], 10) * 1024 * 1024;
+    } else if (arg === "--har-video-bodies") {
+      config.harVideoBodies = true;
     }
   });
 
+  // One JSON object per line, for tools following the run
+  const onEvent = config.eventsPath
+    ? (event) =>
+        fs.appendFileSync(config.eventsPath, `${JSON.stringify(event)}\n`)
+    : undefined;
+
   console.log("\n🚀 VEO3 Automation Tool - API-Driven Mode");
   console.log("==========================================");
-  console.log(`CSV File: ${config.csvPath}`);
-  console.log(`Profile Path: ${config.profilePath}`);
+  console.log(
+    resume ? "Resume: last unfinished run" : `CSV File: ${config.csvPath}`,
+  );
+  console.log(
+    `Profile Path: ${config.profilePaths.length > 1 ? config.profilePaths.join(", ") : config.profilePath || "(from run)"}`,
+  );
   console.log(`Mode: API-Driven (Submit → Poll → Download via VEO APIs)`);
   console.log("==========================================");
   console.log("\n💡 Tips:");
   console.log("  - List profiles: npm run profiles");
   console.log('  - Use specific profile: --profile-name="Profile Name"');
+  console.log('  - Several profiles on one queue: --profile-names="A,B,C"');
   console.log("  - Run headless: --headless");
+  console.log("  - Resume an interrupted batch: --resume");
+  console.log("  - Skip identical prompts: --dedupe");
+  console.log("  - Pause before credits run out: --credit-floor=100");
+  console.log("  - Write run events as JSON lines: --events=events.jsonl");
+  console.log("  - Chrome relaunches after a crash: --max-browser-restarts=3");
+  console.log("  - Keep exhausted profiles without a takeover: --no-failover");
+  console.log("  - Injected-script capture: --network-capture=script");
+  console.log("  - Record Flow traffic to a HAR file: --har --har-max-mb=50");
   console.log("  - Create new profile: npm run setup");
   console.log("\n⚠️  Chrome will be VISIBLE by default (for debugging)");
   console.log("   Don't close Chrome manually while running!\n");
 
   try {
-    // Load prompts from CSV
-    console.log("📄 Loading prompts from CSV...");
-    const prompts = await loadPromptsFromCSV(config.csvPath);
-    console.log(`✓ Loaded ${prompts.length} prompts\n`);
-
-    // Run automation
-    console.log("🎬 Starting API-driven automation...\n");
-
-    const twoPhaseResults = await automateWithAPIQueue(
-      config.profilePath,
-      prompts,
-      {
+    let twoPhaseResults;
+
+    if (resume) {
+      console.log("⏯️  Resuming last unfinished run...\n");
+      twoPhaseResults = await resumeLastRun(config.profilePath, {
+        downloadConcurrency: 5,
+        retryMax: 3,
+        dbDurability: config.dbDurability,
+        dedupePrompts: config.dedupePrompts,
+        creditFloor: config.creditFloor,
+        maxBrowserRestarts: config.maxBrowserRestarts,
+        failover: config.failover,
+        networkCapture: config.networkCapture,
+        endpointsConfig: config.endpointsConfig,
+        recordHar: config.recordHar,
+        harMaxBytes: config.harMaxBytes,
+        harVideoBodies: config.harVideoBodies,
+        onEvent,
+      });
+    } else {
+      // Load prompts from CSV
+      console.log("📄 Loading prompts from CSV...");
+      const prompts = await loadPromptsFromCSV(config.csvPath);
+      console.log(`✓ Loaded ${prompts.length} prompts\n`);
+
+      // Run automation
+      console.log("🎬 Starting API-driven automation...\n");
+
+      const runSettings = {
         downloadConcurrency: 5,
         retryMax: 3,
-      },
-    );
+        dbDurability: config.dbDurability,
+        dedupePrompts: config.dedupePrompts,
+        creditFloor: config.creditFloor,
+        maxBrowserRestarts: config.maxBrowserRestarts,
+        failover: config.failover,
+        networkCapture: config.networkCapture,
+        endpointsConfig: config.endpointsConfig,
+        recordHar: config.recordHar,
+        harMaxBytes: config.harMaxBytes,
+        harVideoBodies: config.harVideoBodies,
+        onEvent,
+      };
+      twoPhaseResults =
+        config.profilePaths.length > 1
+          ? await automateConcurrentGeneration(
+              config.profilePaths,
+              prompts,
+              runSettings,
+            )
+          : await automateWithAPIQueue(
+              config.profilePath,
+              prompts,
+              runSettings,
+            );
+    }
 
     // Convert to compatible format for summary
     const results = twoPhaseResults.prompts.map((prompt, index) => {
@@ -255,6 +380,30 @@ async function main() {
     console.log(`   Manifest saved: dist/manifest.json`);
     console.log(`   Database: data/veo-automation.db`);
 
+    (twoPhaseResults.credits || []).forEach((c) => {
+      console.log(
+        `   💳 Credits: ${c.remainingCredits} remaining, ${c.spent} spent` +
+          (c.burnPerHour !== null ? `, ~${c.burnPerHour}/hour` : "") +
+          (c.affordablePrompts !== null
+            ? `, ~${c.affordablePrompts} prompts affordable`
+            : ""),
+      );
+    });
+
+    // Which profile handled which prompts (several profiles or a failover)
+    if ((twoPhaseResults.profiles || []).length > 1) {
+      twoPhaseResults.profiles.forEach((p) => {
+        console.log(
+          `   👤 ${p.profilePath}: ${p.prompts.length} prompts (${p.done} done, ${p.failed} failed)`,
+        );
+      });
+    }
+
+    if (twoPhaseResults.paused) {
+      console.log(`\n⏸️  Run paused: ${twoPhaseResults.paused}`);
+      console.log("   Continue later with: npm run resume");
+    }
+
     // Summary
     const success = results.filter((r) => r.status === "success").length;
     const failed = results.filter((r) => r.status !== "success").length;
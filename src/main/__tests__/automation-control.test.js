@@ -0,0 +1,94 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+// automation.js works on data/ and logs/ relative to the working directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-control-"));
+process.chdir(dir);
+
+const VeoDatabase = require("../db");
+const { controlRun } = require("../automation");
+const { RunControlServer } = require("../run-control");
+
+const DB_PATH = "data/veo-automation.db";
+
+/**
+ * Database file with interrupted runs #1..count of prompts 1..3
+ * Returns the id of the last run
+ */
+async function createRuns(count = 1) {
+  const db = new VeoDatabase(DB_PATH);
+  await db.init();
+  for (let i = 0; i < count; i++) {
+    db.createRun();
+    db.insertPrompts(
+      [1, 2, 3].map((index) => ({ index, promptText: `prompt ${index}` })),
+    );
+    db.finishRun(db.runId, "interrupted");
+  }
+  const runId = db.runId;
+  db.close();
+  return runId;
+}
+
+const queueOrder = async (runId) =>
+  (await controlRun({ type: "queue" }, runId)).map((p) => p.idx);
+
+describe("controlRun", () => {
+  let server;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    fs.removeSync("data");
+  });
+
+  afterEach(() => {
+    server?.stop();
+    server = null;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    fs.removeSync(dir);
+  });
+
+  test("changes the queue of a run nobody executes in the file", async () => {
+    const runId = await createRuns();
+
+    await controlRun({ type: "bump", args: { idx: 3 } }, runId);
+    expect(await queueOrder(runId)).toEqual([3, 1, 2]);
+  });
+
+  test("reorders the latest run when no run id is given", async () => {
+    await createRuns(2);
+
+    await controlRun({ type: "reorder", args: { order: [2, 3] } });
+
+    expect(await queueOrder(2)).toEqual([2, 3, 1]);
+    expect(await queueOrder(1)).toEqual([1, 2, 3]);
+  });
+
+  test("refuses lifecycle commands for a run nobody executes", async () => {
+    const runId = await createRuns();
+
+    await expect(controlRun({ type: "pause" }, runId)).rejects.toThrow(
+      `Run #${runId} is not running`,
+    );
+  });
+
+  test("forwards commands to the process executing the run", async () => {
+    const runId = await createRuns();
+    const handler = jest.fn(async () => ({ idx: 2, priority: 1 }));
+    server = new RunControlServer(runId, handler);
+    server.start();
+    const original = fs.readFileSync(DB_PATH);
+
+    const result = await controlRun({ type: "bump", args: { idx: 2 } });
+
+    expect(result).toEqual({ idx: 2, priority: 1 });
+    expect(handler).toHaveBeenCalledWith({ type: "bump", args: { idx: 2 } });
+    expect(fs.readFileSync(DB_PATH).equals(original)).toBe(true);
+  });
+});
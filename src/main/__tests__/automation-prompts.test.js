@@ -0,0 +1,105 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+// automation.js works on data/ and logs/ relative to the working directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-prompts-"));
+process.chdir(dir);
+
+const VeoDatabase = require("../db");
+const { automateWithAPIQueue, loadPromptsFromCSV } = require("../automation");
+
+const DB_PATH = "data/veo-automation.db";
+
+/**
+ * Queue a run without a profile: stops once its prompts are stored,
+ * before a browser starts. Resolves with the stored prompts.
+ */
+async function queuePrompts(prompts, settings = {}) {
+  await expect(automateWithAPIQueue(null, prompts, settings)).rejects.toThrow(
+    "has no profile path",
+  );
+
+  const db = new VeoDatabase(DB_PATH);
+  await db.init({ migrate: false });
+  try {
+    return db
+      .prepare(
+        `SELECT idx, repeat_index, prompt_text FROM prompts ORDER BY idx`,
+      )
+      .all()
+      .map((p) => `${p.idx}:${p.prompt_text}#${p.repeat_index}`);
+  } finally {
+    db.close();
+  }
+}
+
+describe("prompt expansion", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    fs.removeSync("data");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    fs.removeSync(dir);
+  });
+
+  test("queues one take per repeat, numbered after the prompts before", async () => {
+    expect(
+      await queuePrompts(["a cat", { text: "a dog", repeat: 3 }, "a cat"]),
+    ).toEqual([
+      "1:a cat#0",
+      "2:a dog#0",
+      "3:a dog#1",
+      "4:a dog#2",
+      "5:a cat#0",
+    ]);
+  });
+
+  test("dedupePrompts keeps only the first of identical prompts", async () => {
+    expect(
+      await queuePrompts(["a cat", "a dog", "a cat"], { dedupePrompts: true }),
+    ).toEqual(["1:a cat#0", "2:a dog#0"]);
+  });
+
+  test.each([0, "0", -1, 2.5, "2x", "abc"])(
+    "rejects repeat %p naming the prompt",
+    async (repeat) => {
+      await expect(
+        automateWithAPIQueue(null, ["a cat", { text: "a dog", repeat }]),
+      ).rejects.toThrow(
+        `Invalid repeat count "${repeat}" for prompt 2 (a dog): must be a positive integer`,
+      );
+      expect(fs.existsSync(DB_PATH)).toBe(false);
+    },
+  );
+
+  test("reads repeat counts from CSV, an empty cell is one take", async () => {
+    fs.writeFileSync(
+      "prompts.csv",
+      ["prompt,repeat", "a cat,", '"a dog, running",2', "a bird,0"].join("\n"),
+    );
+
+    const prompts = await loadPromptsFromCSV("prompts.csv");
+
+    expect(prompts).toEqual([
+      "a cat",
+      expect.objectContaining({ text: "a dog, running", repeat: "2" }),
+      expect.objectContaining({ text: "a bird", repeat: "0" }),
+    ]);
+    await expect(automateWithAPIQueue(null, prompts)).rejects.toThrow(
+      /prompt 3 \(a bird\)/,
+    );
+    expect(await queuePrompts(prompts.slice(0, 2))).toEqual([
+      "1:a cat#0",
+      "2:a dog, running#0",
+      "3:a dog, running#1",
+    ]);
+  });
+});
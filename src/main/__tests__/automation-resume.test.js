@@ -0,0 +1,115 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+// automation.js works on data/ and logs/ relative to the working directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-resume-"));
+process.chdir(dir);
+
+const VeoDatabase = require("../db");
+const { resumeLastRun } = require("../automation");
+const { RunControlServer } = require("../run-control");
+
+const DB_PATH = "data/veo-automation.db";
+
+/**
+ * Database file with one interrupted run: prompt 1 was being submitted,
+ * prompt 2 never ran
+ */
+async function createInterruptedRun({ profilePath = null } = {}) {
+  const db = new VeoDatabase(DB_PATH);
+  await db.init();
+  const runId = db.createRun({ profilePath });
+  db.insertPrompts([
+    { index: 1, promptText: "a cat" },
+    { index: 2, promptText: "a dog" },
+  ]);
+  const [first] = db.getQueue();
+  db.setPromptStatus(first.id, "submitting", "submitter");
+  db.close();
+  return runId;
+}
+
+async function promptStatuses() {
+  const db = new VeoDatabase(DB_PATH);
+  await db.init({ migrate: false });
+  try {
+    return db
+      .prepare(`SELECT idx, status FROM prompts ORDER BY idx`)
+      .all()
+      .map((p) => `${p.idx}:${p.status}`);
+  } finally {
+    db.close();
+  }
+}
+
+describe("resumeLastRun", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    fs.removeSync("data");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    fs.removeSync(dir);
+  });
+
+  test("fails when every run completed", async () => {
+    const db = new VeoDatabase(DB_PATH);
+    await db.init();
+    db.finishRun(db.createRun(), "completed");
+    db.close();
+
+    await expect(resumeLastRun()).rejects.toThrow(
+      "No unfinished run to resume",
+    );
+  });
+
+  test("requeues prompts interrupted while submitting", async () => {
+    const runId = await createInterruptedRun();
+    const onRunCreated = jest.fn();
+
+    // No profile: stops right after the cleanup, before a browser starts
+    await expect(resumeLastRun(null, { onRunCreated })).rejects.toThrow(
+      `Run #${runId} has no profile path`,
+    );
+
+    expect(onRunCreated).toHaveBeenCalledWith(runId);
+    expect(await promptStatuses()).toEqual(["1:queued", "2:queued"]);
+  });
+
+  test("refuses a run another process is executing", async () => {
+    const runId = await createInterruptedRun({ profilePath: "/profiles/a" });
+    const before = fs.readFileSync(DB_PATH);
+    const owner = new RunControlServer(runId, async () => null);
+    owner.start();
+
+    try {
+      await expect(resumeLastRun()).rejects.toThrow(
+        `Run #${runId} is still running (pid ${process.pid})`,
+      );
+    } finally {
+      owner.stop();
+    }
+
+    expect(await promptStatuses()).toEqual(["1:submitting", "2:queued"]);
+    expect(fs.readFileSync(DB_PATH).equals(before)).toBe(true);
+  });
+
+  test("resumes a run whose owner is gone", async () => {
+    const runId = await createInterruptedRun();
+    fs.outputJsonSync(`data/control/run-${runId}/owner.json`, {
+      pid: 2 ** 22 + 1, // Above the Linux pid limit
+    });
+
+    await expect(resumeLastRun()).rejects.toThrow(
+      `Run #${runId} has no profile path`,
+    );
+    expect(await promptStatuses()).toEqual(["1:queued", "2:queued"]);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+
+// automation.js works on data/ and logs/ relative to the working directory
+const cwd = process.cwd();
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-status-"));
+process.chdir(dir);
+
+const VeoDatabase = require("../db");
+const { getRunStatus, listRuns } = require("../automation");
+const { RunControlServer } = require("../run-control");
+
+const DB_PATH = "data/veo-automation.db";
+
+/**
+ * Database file with run #1 completed and run #2 interrupted with one
+ * prompt done and one queued
+ */
+async function createRuns() {
+  const db = new VeoDatabase(DB_PATH);
+  await db.init();
+  db.createRun();
+  db.insertPrompts([{ index: 1, promptText: "a cat" }]);
+  db.setPromptStatus(db.getQueue()[0].id, "done", "poller");
+  db.finishRun(1, "completed");
+
+  db.createRun();
+  db.insertPrompts([
+    { index: 1, promptText: "a dog" },
+    { index: 2, promptText: "a bird" },
+  ]);
+  db.setPromptStatus(db.getQueue()[0].id, "done", "poller");
+  db.finishRun(2, "interrupted");
+  db.close();
+}
+
+describe("run status", () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    fs.removeSync("data");
+    await createRuns();
+  });
+
+  afterEach(() => {
+    server?.stop();
+    server = null;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.chdir(cwd);
+    fs.removeSync(dir);
+  });
+
+  test("of a run nobody executes comes from the file", async () => {
+    const status = await getRunStatus(2);
+
+    expect(status).toMatchObject({
+      id: 2,
+      status: "interrupted",
+      state: "interrupted",
+      live: false,
+      pausedReason: null,
+    });
+    expect(status.stats).toMatchObject({ done: 1, queued: 1 });
+  });
+
+  test("of a run executing in another process is asked from it", async () => {
+    const handler = jest.fn(async () => ({ id: 2, state: "paused" }));
+    server = new RunControlServer(2, handler);
+    server.start();
+
+    expect(await getRunStatus(2)).toEqual({ id: 2, state: "paused" });
+    expect(handler).toHaveBeenCalledWith({ type: "status" });
+  });
+
+  test("fails for an unknown run", async () => {
+    await expect(getRunStatus(9)).rejects.toThrow("Run 9 not found");
+  });
+
+  test("listRuns returns the newest runs first and marks live ones", async () => {
+    server = new RunControlServer(2, jest.fn());
+    server.start();
+
+    const runs = await listRuns();
+
+    expect(runs.map((r) => [r.id, r.state, r.live])).toEqual([
+      [2, "interrupted", true],
+      [1, "completed", false],
+    ]);
+    expect(runs[1].stats.done).toBe(1);
+    expect(await listRuns(1)).toHaveLength(1);
+  });
+});
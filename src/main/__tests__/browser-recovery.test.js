@@ -0,0 +1,141 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses, with spied registration
+const idleCapture = () => ({
+  onSubmit: jest.fn(),
+  onPoll: jest.fn(),
+  onError: jest.fn(),
+  onClosed: jest.fn(),
+  disable: jest.fn(async () => {}),
+});
+
+const createDriver = () => ({ quit: jest.fn(async () => {}) });
+
+describe("browser recovery", () => {
+  let db;
+  let outputDir;
+  let events;
+  let orchestrator;
+  let driver;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-browser-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "a cat" },
+      { index: 2, promptText: "a dog" },
+    ]);
+    // The browser died while prompt 1 was being submitted
+    db.markPromptSubmitting(db.getQueue()[0].id);
+    events = [];
+    driver = createDriver();
+  });
+
+  afterEach(() => {
+    orchestrator.stop();
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  // Orchestrator of a batch in progress (submitter, pollers not started)
+  const createOrchestrator = (settings = {}) => {
+    orchestrator = new SequentialOrchestrator(driver, idleCapture(), db, null, {
+      outputDir,
+      veoSettings: { model: "Veo 3.1 - Fast" },
+      onEvent: (event) => events.push(event),
+      ...settings,
+    });
+    orchestrator.BROWSER_RESTART_DELAY_MS = 0;
+    orchestrator.running = true;
+    orchestrator.acceptingPrompts = true;
+    return orchestrator;
+  };
+
+  const published = (type) => events.filter((e) => e.type === type);
+
+  test("relaunches the browser and continues from the database", async () => {
+    const relaunched = {
+      driver: createDriver(),
+      cdpInterceptor: idleCapture(),
+    };
+    const oldCapture = idleCapture();
+    createOrchestrator({ relaunchBrowser: jest.fn(async () => relaunched) });
+    orchestrator.cdp = oldCapture;
+    orchestrator.appliedVeoSettings.model = "Veo 2 - Quality";
+
+    await orchestrator.handleBrowserLost(new Error("session deleted"));
+
+    expect(oldCapture.disable).toHaveBeenCalled();
+    expect(driver.quit).toHaveBeenCalled();
+    expect(orchestrator.driver).toBe(relaunched.driver);
+    expect(orchestrator.cdp).toBe(relaunched.cdpInterceptor);
+    expect(relaunched.cdpInterceptor.onSubmit).toHaveBeenCalled();
+    expect(orchestrator.appliedVeoSettings).toEqual({
+      model: "Veo 3.1 - Fast",
+    });
+    expect(db.getStats().queued).toBe(2);
+    expect(orchestrator.browserLostError).toBeNull();
+    expect(published(RUN_EVENTS.BROWSER_RESTARTED)).toEqual([
+      expect.objectContaining({ restarts: 1, maxRestarts: 3 }),
+    ]);
+  });
+
+  test("gives up after the relaunch cap and keeps the run resumable", async () => {
+    const relaunchBrowser = jest.fn(async () => {
+      throw new Error("Chrome did not start");
+    });
+    createOrchestrator({ relaunchBrowser, maxBrowserRestarts: 2 });
+
+    await orchestrator.handleBrowserLost(new Error("session deleted"));
+    await orchestrator.waitForCompletion();
+
+    expect(relaunchBrowser).toHaveBeenCalledTimes(2);
+    expect(orchestrator.browserLostError).toBe("Chrome did not start");
+    expect(published(RUN_EVENTS.RUN_ERROR).filter((e) => e.fatal)).toEqual([
+      expect.objectContaining({ message: "Chrome did not start" }),
+    ]);
+    expect(published(RUN_EVENTS.RUN_FINISHED)).toEqual([
+      expect.objectContaining({ state: "failed" }),
+    ]);
+    expect(db.getStats().queued).toBe(2);
+  });
+
+  test("stops right away without a way to relaunch", async () => {
+    createOrchestrator();
+
+    await orchestrator.handleBrowserLost(new Error("session deleted"));
+
+    expect(orchestrator.browserLostError).toBe("session deleted");
+    expect(published(RUN_EVENTS.BROWSER_RESTARTED)).toEqual([]);
+  });
+
+  test("a browser lost while recovering is handled once", async () => {
+    let release;
+    const relaunchBrowser = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          release = () =>
+            resolve({ driver: createDriver(), cdpInterceptor: idleCapture() });
+        }),
+    );
+    createOrchestrator({ relaunchBrowser });
+
+    const recovery = orchestrator.handleBrowserLost(new Error("crashed"));
+    await orchestrator.handleBrowserLost(new Error("crashed again"));
+    await new Promise((resolve) => setImmediate(resolve));
+    release();
+    await recovery;
+
+    expect(relaunchBrowser).toHaveBeenCalledTimes(1);
+    expect(orchestrator.browserRestarts).toBe(1);
+  });
+});
@@ -0,0 +1,241 @@
+const vm = require("vm");
+const { EndpointRegistry } = require("../endpoint-registry");
+const CDPInterceptorV2 = require("../cdp-interceptor-v2");
+
+const VIDEO_URL = "https://storage.googleapis.com/flow/v.mp4?Expires=1";
+const VIDEO_BYTES = Buffer.from([0x00, 0xff, 0x80, 0x0a, 0xc3, 0x28]);
+
+/**
+ * Interceptor script of a capture, optionally recording
+ */
+function pageScript(recorder = null) {
+  const capture = new CDPInterceptorV2({}, null, EndpointRegistry.load());
+  if (recorder) capture.setRecorder(recorder);
+  return capture.script;
+}
+
+/**
+ * Page (window) with the script evaluated; its fetch answers with
+ * respond(url)
+ */
+function loadPage(script, respond) {
+  const window = {
+    fetch: jest.fn(async (input) =>
+      respond(typeof input === "string" ? input : input.url),
+    ),
+  };
+  vm.runInNewContext(script, {
+    window,
+    Request,
+    Response,
+    Headers,
+    btoa,
+    console: { log: () => {}, error: () => {} },
+    XMLHttpRequest: class {},
+  });
+  return window;
+}
+
+/**
+ * Calls the page buffered, once its capture settled
+ */
+async function captured(window) {
+  for (let i = 0; i < 20; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return window.__veoInterceptedResponses.splice(0);
+}
+
+const videoResponse = () =>
+  new Response(VIDEO_BYTES, { headers: { "content-type": "video/mp4" } });
+
+describe("CDPInterceptorV2 page script", () => {
+  test("records video bodies base64-encoded when asked for", async () => {
+    const window = loadPage(pageScript({ videoBodies: true }), videoResponse);
+
+    const response = await window.fetch(VIDEO_URL);
+    const [item] = await captured(window);
+
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(VIDEO_BYTES);
+    expect(item).toMatchObject({ url: VIDEO_URL, mimeType: "video/mp4" });
+    expect(item.body).toBeNull();
+    expect(Buffer.from(item.bodyBase64, "base64")).toEqual(VIDEO_BYTES);
+  });
+
+  test("leaves video bodies out by default", async () => {
+    const window = loadPage(pageScript({ videoBodies: false }), videoResponse);
+
+    await window.fetch(VIDEO_URL);
+    const [item] = await captured(window);
+
+    expect(item.body).toBeNull();
+    expect(item.bodyBase64).toBeNull();
+  });
+
+  test("reads a video without content type by its extension", async () => {
+    const window = loadPage(
+      pageScript({ videoBodies: true }),
+      () => new Response(VIDEO_BYTES),
+    );
+
+    await window.fetch(VIDEO_URL);
+    const [item] = await captured(window);
+
+    expect(item.body).toBeNull();
+    expect(Buffer.from(item.bodyBase64, "base64")).toEqual(VIDEO_BYTES);
+  });
+});
+
+describe("CDPInterceptorV2 fetch hook", () => {
+  const SUBMIT_URL =
+    "https://aisandbox-pa.googleapis.com/v1/video:batchAsyncGenerateVideoText";
+  const submitBody = JSON.stringify({
+    requests: [{ textInput: { prompt: "a cat" } }],
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("sends a captured call without waiting for its request body", async () => {
+    const respond = jest.fn(() => Response.json({ operations: [] }));
+    const window = loadPage(pageScript(), respond);
+    const request = new Request(SUBMIT_URL, {
+      method: "POST",
+      body: submitBody,
+    });
+
+    const pending = window.fetch(request);
+    expect(respond).toHaveBeenCalledTimes(1);
+    const [item] = await captured(window);
+
+    expect(await (await pending).json()).toEqual({ operations: [] });
+    expect(item).toMatchObject({
+      url: SUBMIT_URL,
+      method: "POST",
+      requestBody: submitBody,
+      body: '{"operations":[]}',
+    });
+  });
+
+  test("captures an error status of any VEO API call", async () => {
+    const errorBody = JSON.stringify({
+      error: { code: 429, status: "RESOURCE_EXHAUSTED" },
+    });
+    const window = loadPage(
+      pageScript(),
+      () =>
+        new Response(errorBody, {
+          status: 429,
+          headers: {
+            "content-type": "application/json",
+            "retry-after": "30",
+            "set-cookie": "secret",
+          },
+        }),
+    );
+    const url =
+      "https://aisandbox-pa.googleapis.com/v1/video:batchCheckAsyncVideoGenerationStatus";
+
+    const response = await window.fetch(url, {
+      method: "POST",
+      body: "{}",
+    });
+    const [item] = await captured(window);
+
+    expect(response.status).toBe(429);
+    expect(item).toMatchObject({
+      url,
+      status: 429,
+      headers: { "retry-after": "30" },
+      body: errorBody,
+    });
+    expect(item.headers).not.toHaveProperty("set-cookie");
+  });
+
+  test("does not touch the request body of calls it does not capture", async () => {
+    const clone = jest.spyOn(Request.prototype, "clone");
+    const respond = jest.fn(() => Response.json({}));
+    const window = loadPage(pageScript(), respond);
+
+    const pending = window.fetch(
+      new Request("https://labs.google/fx/api/trpc/media.upload", {
+        method: "POST",
+        body: "x".repeat(1024),
+      }),
+    );
+
+    // Handed to the page's fetch in the same tick
+    expect(respond).toHaveBeenCalledTimes(1);
+    await pending;
+    expect(await captured(window)).toEqual([]);
+    expect(clone).not.toHaveBeenCalled();
+  });
+});
+
+describe("CDPInterceptorV2 across reloads", () => {
+  let driver;
+  let pageHasHook;
+  let capture;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    pageHasHook = true;
+    driver = {
+      executeScript: jest.fn(async (script) => {
+        if (script.includes("return !!window.__veoInterceptedResponses")) {
+          return pageHasHook;
+        }
+        if (script.includes("splice(0)")) return [];
+        pageHasHook = true; // The interceptor script
+        return null;
+      }),
+      sendAndGetDevToolsCommand: jest.fn(async () => ({ identifier: "7" })),
+      sendDevToolsCommand: jest.fn(async () => {}),
+    };
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    capture = new CDPInterceptorV2(driver, logger, EndpointRegistry.load());
+  });
+
+  afterEach(async () => {
+    await capture.disable();
+    jest.useRealTimers();
+  });
+
+  test("registers the script for every new document", async () => {
+    await capture.enable();
+
+    expect(driver.sendAndGetDevToolsCommand).toHaveBeenCalledWith(
+      "Page.addScriptToEvaluateOnNewDocument",
+      { source: capture.script },
+    );
+    expect(driver.executeScript).toHaveBeenCalledWith(capture.script);
+
+    await capture.disable();
+    expect(driver.sendDevToolsCommand).toHaveBeenCalledWith(
+      "Page.removeScriptToEvaluateOnNewDocument",
+      { identifier: "7" },
+    );
+  });
+
+  test("re-injects the script when the page lost it", async () => {
+    await capture.enable();
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(capture.reinjections).toBe(0);
+
+    pageHasHook = false; // Reloaded
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(capture.reinjections).toBe(1);
+    expect(pageHasHook).toBe(true);
+  });
+
+  test("still injects when the driver has no DevTools commands", async () => {
+    delete driver.sendAndGetDevToolsCommand;
+
+    await capture.enable();
+
+    expect(driver.executeScript).toHaveBeenCalledWith(capture.script);
+    expect(capture.newDocumentScriptId).toBeNull();
+  });
+});
@@ -0,0 +1,203 @@
+const { EventEmitter } = require("events");
+const { EndpointRegistry } = require("../endpoint-registry");
+const CDPNetworkCapture = require("../cdp-network-capture");
+
+const SUBMIT_URL =
+  "https://aisandbox-pa.googleapis.com/v1/video:batchAsyncGenerateVideoText";
+const SUBMIT_BODY = JSON.stringify({ promptInputs: [{ textInput: "a cat" }] });
+
+/**
+ * DevTools page session; responses: method → (params) => payload
+ */
+function createConnection(responses = {}) {
+  const socket = new EventEmitter();
+  socket.close = jest.fn(() => socket.emit("close"));
+  return {
+    sessionId: "S1",
+    _wsConnection: socket,
+    send: jest.fn(
+      async (method, params) => responses[method]?.(params) || { result: {} },
+    ),
+    execute: jest.fn(),
+  };
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("CDPNetworkCapture", () => {
+  let connection;
+  let driver;
+  let logger;
+  let capture;
+
+  /**
+   * DevTools event of the page session
+   */
+  const emit = (method, params, sessionId = "S1") =>
+    connection._wsConnection.emit(
+      "message",
+      Buffer.from(JSON.stringify({ sessionId, method, params })),
+    );
+
+  /**
+   * One call, from request to finished loading
+   */
+  const call = async ({
+    requestId = "1",
+    url = SUBMIT_URL,
+    method = "POST",
+    status = 200,
+  } = {}) => {
+    emit("Network.requestWillBeSent", {
+      requestId,
+      request: { url, method, postData: SUBMIT_BODY, headers: {} },
+      timestamp: 1,
+    });
+    emit("Network.responseReceived", {
+      requestId,
+      response: {
+        status,
+        headers: { "Retry-After": "30" },
+        mimeType: "application/json",
+      },
+    });
+    emit("Network.loadingFinished", { requestId, timestamp: 1.25 });
+    await settle();
+  };
+
+  beforeEach(() => {
+    connection = createConnection({
+      "Network.getResponseBody": () => ({
+        result: { body: '{"operations":[{"name":"op-1"}]}' },
+      }),
+    });
+    driver = { createCDPConnection: jest.fn(async () => connection) };
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    capture = new CDPNetworkCapture(driver, logger, EndpointRegistry.load());
+  });
+
+  afterEach(async () => {
+    await capture.disable();
+    jest.useRealTimers();
+  });
+
+  test("throws without a DevTools connection so the caller can fall back", async () => {
+    capture = new CDPNetworkCapture({}, logger, EndpointRegistry.load());
+
+    await expect(capture.enable()).rejects.toThrow(
+      "Driver has no DevTools connection",
+    );
+  });
+
+  test("dispatches a submit response with the prompts of its request", async () => {
+    const onSubmit = jest.fn();
+    capture.onSubmit(onSubmit);
+    await capture.enable();
+
+    await call();
+
+    expect(connection.send).toHaveBeenCalledWith("Network.enable", {
+      maxPostDataSize: 65536,
+    });
+    expect(onSubmit).toHaveBeenCalledWith(
+      { operations: [{ name: "op-1" }] },
+      { url: SUBMIT_URL, promptTexts: ["a cat"] },
+    );
+  });
+
+  test("publishes an error status as an error", async () => {
+    const onSubmit = jest.fn();
+    const onError = jest.fn();
+    capture.onSubmit(onSubmit);
+    capture.onError(onError);
+    await capture.enable();
+
+    await call({ status: 429 });
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "submit",
+        status: 429,
+        headers: { "retry-after": "30" },
+      }),
+      expect.objectContaining({ promptTexts: ["a cat"] }),
+    );
+  });
+
+  test("ignores preflights, other sessions and other URLs", async () => {
+    const onSubmit = jest.fn();
+    capture.onSubmit(onSubmit);
+    await capture.enable();
+
+    await call({ method: "OPTIONS" });
+    await call({ requestId: "2", url: "https://labs.google/fx/api/trpc/x" });
+    emit(
+      "Network.requestWillBeSent",
+      { requestId: "3", request: { url: SUBMIT_URL, method: "POST" } },
+      "S2",
+    );
+
+    expect(capture.requests.size).toBe(0);
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  test("reports a closed connection to the caller", async () => {
+    const onClosed = jest.fn();
+    capture.onClosed(onClosed);
+    await capture.enable();
+
+    connection._wsConnection.emit("close");
+
+    expect(onClosed).toHaveBeenCalledTimes(1);
+    expect(capture.connection).toBeNull();
+  });
+
+  test("disable closes the session without reporting it closed", async () => {
+    const onClosed = jest.fn();
+    capture.onClosed(onClosed);
+    await capture.enable();
+
+    await capture.disable();
+
+    expect(connection.execute).toHaveBeenCalledWith(
+      "Network.disable",
+      {},
+      null,
+    );
+    expect(connection._wsConnection.close).toHaveBeenCalled();
+    expect(onClosed).not.toHaveBeenCalled();
+  });
+
+  test("closes a connection that opens after the timeout", async () => {
+    jest.useFakeTimers();
+    let open;
+    driver.createCDPConnection = () =>
+      new Promise((resolve) => {
+        open = resolve;
+      });
+
+    const enabling = capture.enable();
+    const failed = expect(enabling).rejects.toThrow(
+      "DevTools connection timed out",
+    );
+    await jest.advanceTimersByTimeAsync(10000);
+    await failed;
+
+    open(connection);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(connection._wsConnection.close).toHaveBeenCalledTimes(1);
+  });
+
+  test("closes the connection when Network.enable fails", async () => {
+    connection.send.mockResolvedValueOnce({
+      error: { message: "Not allowed" },
+    });
+
+    await expect(capture.enable()).rejects.toThrow(
+      "Network.enable: Not allowed",
+    );
+    expect(connection._wsConnection.close).toHaveBeenCalledTimes(1);
+    expect(capture.connection).toBeNull();
+  });
+});
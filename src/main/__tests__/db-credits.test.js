@@ -0,0 +1,110 @@
+const VeoDatabase = require("../db");
+
+const START = new Date("2026-01-01T10:00:00Z").getTime();
+const MINUTE = 60000;
+
+describe("credits ledger", () => {
+  let db;
+  let promptIds;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun({ profilePath: "/profiles/a" });
+    db.insertPrompts(
+      [1, 2, 3, 4, 5].map((index) => ({
+        index,
+        promptText: `prompt ${index}`,
+      })),
+    );
+    promptIds = db.getQueue().map((p) => p.id);
+    jest.useFakeTimers({ now: START });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  // [minutes after START, remaining credits] per submit
+  const record = (entries, profilePath = null) =>
+    entries.forEach(([minutes, credits], i) => {
+      jest.setSystemTime(START + minutes * MINUTE);
+      db.recordCredits(promptIds[i], credits, profilePath);
+    });
+
+  test("summarizes spending, burn rate and affordable prompts", () => {
+    // A top-up between the third and fourth submit is not spending
+    record([
+      [0, 1000],
+      [10, 980],
+      [20, 960],
+      [30, 2000],
+      [60, 1980],
+    ]);
+
+    expect(db.getCreditsSummary(db.runId, 100)).toEqual([
+      {
+        profilePath: "/profiles/a",
+        submits: 5,
+        remainingCredits: 1980,
+        spent: 60,
+        costPerPrompt: 20,
+        burnPerHour: 60,
+        affordablePrompts: 94,
+        updatedAt: new Date(START + 60 * MINUTE).toISOString(),
+      },
+    ]);
+  });
+
+  test("has no burn rate for under a minute of data", () => {
+    record([
+      [0, 100],
+      [0.5, 80],
+    ]);
+
+    const [summary] = db.getCreditsSummary();
+    expect(summary.spent).toBe(20);
+    expect(summary.burnPerHour).toBeNull();
+  });
+
+  test("never reports a negative number of affordable prompts", () => {
+    record([
+      [0, 100],
+      [5, 80],
+    ]);
+
+    expect(db.getCreditsSummary(db.runId, 500)[0].affordablePrompts).toBe(0);
+  });
+
+  test("has no cost per prompt from a single entry", () => {
+    record([[0, 100]]);
+
+    const [summary] = db.getCreditsSummary();
+    expect(summary.costPerPrompt).toBeNull();
+    expect(summary.affordablePrompts).toBeNull();
+  });
+
+  test("keeps profiles apart", () => {
+    record([
+      [0, 100],
+      [5, 90],
+    ]);
+    record(
+      [
+        [0, 500],
+        [5, 450],
+      ],
+      "/profiles/b",
+    );
+
+    expect(db.getCreditsSummary().map((s) => [s.profilePath, s.spent])).toEqual(
+      [
+        ["/profiles/a", 10],
+        ["/profiles/b", 50],
+      ],
+    );
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+
+/**
+ * Runs stored in the database file, read without touching it
+ */
+async function runsOnDisk(dbPath) {
+  const reader = new VeoDatabase(dbPath);
+  await reader.init({ migrate: false });
+  try {
+    return reader.listRuns().length;
+  } finally {
+    reader.close();
+  }
+}
+
+describe("VeoDatabase durability", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-db-"));
+    dbPath = path.join(dir, "veo.db");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(dir);
+  });
+
+  test("rejects an unknown durability mode", () => {
+    expect(() => new VeoDatabase(dbPath, { durability: "never" })).toThrow(
+      /Invalid durability "never"/,
+    );
+  });
+
+  test("full writes every statement to disk", async () => {
+    const db = new VeoDatabase(dbPath, { durability: "full" });
+    await db.init();
+    db.createRun();
+
+    expect(await runsOnDisk(dbPath)).toBe(1);
+    db.close();
+  });
+
+  test("interval batches writes until a flush", async () => {
+    const db = new VeoDatabase(dbPath, {
+      durability: "interval",
+      flushIntervalMs: 60000,
+    });
+    await db.init();
+    db.createRun();
+    db.checkpoint(); // Only marks dirty in interval mode
+
+    expect(await runsOnDisk(dbPath)).toBe(0);
+    db.flush();
+    expect(await runsOnDisk(dbPath)).toBe(1);
+    db.close();
+  });
+
+  test("transition flushes at checkpoints", async () => {
+    const db = new VeoDatabase(dbPath, { flushIntervalMs: 60000 });
+    await db.init();
+    db.createRun();
+    expect(await runsOnDisk(dbPath)).toBe(0);
+
+    db.checkpoint();
+    expect(await runsOnDisk(dbPath)).toBe(1);
+    db.close();
+  });
+
+  test("close flushes batched writes without leaving a temp file", async () => {
+    const db = new VeoDatabase(dbPath, {
+      durability: "interval",
+      flushIntervalMs: 60000,
+    });
+    await db.init();
+    db.createRun();
+    db.close();
+
+    expect(await runsOnDisk(dbPath)).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual(["veo.db"]);
+  });
+
+  test("opening an up-to-date database leaves the file untouched", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    db.close();
+    const past = new Date("2026-01-01T00:00:00Z");
+    fs.utimesSync(dbPath, past, past);
+
+    const reopened = new VeoDatabase(dbPath);
+    await reopened.init();
+    reopened.close();
+
+    expect(fs.statSync(dbPath).mtime).toEqual(past);
+  });
+
+  test("each save writes its own temp file", async () => {
+    const rename = jest.spyOn(fs, "renameSync");
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    db.save();
+    db.close();
+
+    const tmpPaths = rename.mock.calls.map(([from]) => from);
+    expect(tmpPaths).toHaveLength(2);
+    expect(new Set(tmpPaths).size).toBe(2);
+    tmpPaths.forEach((tmpPath) =>
+      expect(path.basename(tmpPath)).toMatch(
+        new RegExp(`^veo\\.db\\.${process.pid}-\\d+\\.tmp$`),
+      ),
+    );
+  });
+
+  test("a pending batched flush does not keep the process alive", async () => {
+    const db = new VeoDatabase(dbPath, { flushIntervalMs: 60000 });
+    await db.init();
+    db.createRun();
+
+    expect(db.flushTimer.hasRef()).toBe(false);
+    db.close();
+  });
+});
@@ -0,0 +1,99 @@
+const VeoDatabase = require("../db");
+const { OPERATION_STATUS, EVENT_SOURCE } = require("../db");
+
+// Status of an operation Flow is still generating
+const PENDING = "MEDIA_GENERATION_STATUS_PENDING";
+
+// Submit response / poll operation as sent by the Flow API
+const operation = (name, status, fifeUrl = null) => ({
+  operation: {
+    name,
+    metadata: fifeUrl ? { video: { fifeUrl, model: "veo_3_1_fast" } } : {},
+  },
+  sceneId: `scene-${name}`,
+  status,
+});
+
+const transitions = (timeline) =>
+  timeline.events.map((e) => [e.entity, e.event, e.from_status, e.to_status]);
+
+describe("prompt timeline", () => {
+  let db;
+  let runId;
+  let promptId;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    runId = db.createRun({ profilePath: "/profiles/a" });
+    db.insertPrompts([{ index: 1, promptText: "a cat on a boat" }]);
+    promptId = db.getQueue()[0].id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  test("records each transition from submit to download", () => {
+    db.claimPrompt(promptId, "/profiles/a");
+    db.markPromptInProgress(promptId, [operation("op-1", PENDING)]);
+    db.updateOperations(promptId, [
+      operation("op-1", OPERATION_STATUS.SUCCESSFUL, "https://video/1"),
+    ]);
+    db.checkAndUpdatePromptStatus(promptId);
+    const download = db.getNextQueuedDownload();
+    db.markDownloadRunning(download.id);
+    db.markDownloadDone(download.id, download.operation_id, "outputs/1.mp4");
+
+    const timeline = db.getPromptTimeline(runId, 1);
+    expect(timeline.prompt).toMatchObject({ idx: 1, status: "done" });
+    expect(transitions(timeline)).toEqual([
+      ["prompt", "status", "queued", "submitting"],
+      ["prompt", "submit_response", "submitting", "in_progress"],
+      ["operation", "status", PENDING, OPERATION_STATUS.SUCCESSFUL],
+      ["prompt", "status", "in_progress", "done"],
+      ["download", "status", null, "queued"],
+      ["download", "download_attempt", "queued", "running"],
+      ["download", "status", "running", "done"],
+    ]);
+    expect(timeline.events.every((e) => e.run_id === runId)).toBe(true);
+  });
+
+  test("keeps who made the change and its parsed detail", () => {
+    db.claimPrompt(promptId, "/profiles/a");
+    db.markPromptInProgress(promptId, [operation("op-1", PENDING)]);
+    db.updateOperations(promptId, [operation("op-1", OPERATION_STATUS.FAILED)]);
+    db.checkAndUpdatePromptStatus(promptId);
+    db.retryFailedOperations(promptId);
+
+    const { events } = db.getPromptTimeline(runId, 1);
+    expect(events[0]).toMatchObject({
+      source: EVENT_SOURCE.SUBMITTER,
+      detail: { profilePath: "/profiles/a" },
+    });
+    expect(events[1].detail.operations).toEqual(["op-1"]);
+    expect(events.at(-1)).toMatchObject({
+      event: "retry",
+      from_status: "failed",
+      to_status: "queued",
+      source: EVENT_SOURCE.POLLER,
+      detail: { attempt: 1, retriedOperations: ["op-1"], keptOperations: 0 },
+    });
+  });
+
+  test("unchanged poll results are not logged", () => {
+    db.claimPrompt(promptId, "/profiles/a");
+    db.markPromptInProgress(promptId, [operation("op-1", PENDING)]);
+    db.updateOperations(promptId, [operation("op-1", PENDING)]);
+    db.updateOperations(promptId, [operation("op-1", PENDING)]);
+
+    expect(db.getPromptTimeline(runId, 1).events).toHaveLength(2);
+  });
+
+  test("is null for a prompt that is not in the run", () => {
+    expect(db.getPromptTimeline(runId, 2)).toBeNull();
+    expect(db.getPromptTimeline(runId + 1, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const VeoDatabase = require("../db");
+const { MIGRATIONS, LATEST_SCHEMA_VERSION } = require("../db-migrations");
+
+// Database of a release before runs and versioning (user_version 0)
+const LEGACY_DB = path.join(__dirname, "../../../data/veo-automation.db");
+
+describe("schema migrations", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-migrations-"));
+    dbPath = path.join(dir, "veo.db");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(dir);
+  });
+
+  test("are numbered 1..latest without gaps", () => {
+    expect(MIGRATIONS.map((m) => m.version)).toEqual(
+      Array.from({ length: LATEST_SCHEMA_VERSION }, (_, i) => i + 1),
+    );
+  });
+
+  test("create the latest schema on a new database", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+
+    expect(db.getSchemaVersion()).toBe(LATEST_SCHEMA_VERSION);
+    expect(db.getPendingMigrations()).toEqual([]);
+    db.close();
+  });
+
+  test("upgrade a legacy database and keep its prompts in a run", async () => {
+    fs.copyFileSync(LEGACY_DB, dbPath);
+    const legacy = new VeoDatabase(dbPath);
+    await legacy.init({ migrate: false });
+    const before = legacy
+      .prepare(`SELECT COUNT(*) as count FROM prompts`)
+      .get();
+    expect(legacy.getSchemaVersion()).toBe(0);
+    legacy.close();
+
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+
+    expect(db.getSchemaVersion()).toBe(LATEST_SCHEMA_VERSION);
+    const runs = db.listRuns();
+    expect(runs).toHaveLength(1);
+    expect(runs[0].status).toBe("interrupted");
+    expect(db.getStats(runs[0].id).total_prompts).toBe(before.count);
+    db.close();
+  });
+
+  test("are not applied twice", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    db.createRun();
+    db.close();
+
+    const reopened = new VeoDatabase(dbPath);
+    await reopened.init();
+    expect(reopened.getSchemaVersion()).toBe(LATEST_SCHEMA_VERSION);
+    expect(reopened.listRuns()).toHaveLength(1);
+    reopened.close();
+  });
+
+  test("inspection opens leave an outdated file untouched", async () => {
+    fs.copyFileSync(LEGACY_DB, dbPath);
+    const original = fs.readFileSync(dbPath);
+
+    const db = new VeoDatabase(dbPath);
+    await db.init({ migrate: false });
+    expect(db.getPendingMigrations()).toHaveLength(LATEST_SCHEMA_VERSION);
+    db.close();
+
+    expect(fs.readFileSync(dbPath).equals(original)).toBe(true);
+  });
+
+  test("read refuses an outdated file instead of upgrading it", async () => {
+    fs.copyFileSync(LEGACY_DB, dbPath);
+    const original = fs.readFileSync(dbPath);
+    const fn = jest.fn();
+
+    await expect(VeoDatabase.read(dbPath, fn)).rejects.toThrow(
+      "Database schema is outdated, run: npm run cli -- migrate",
+    );
+    expect(fn).not.toHaveBeenCalled();
+    expect(fs.readFileSync(dbPath).equals(original)).toBe(true);
+  });
+
+  test("read finds a run by id or the latest one", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    db.createRun();
+    db.createRun();
+    db.close();
+
+    const found = await VeoDatabase.read(dbPath, (reader) => [
+      reader.findRun().id,
+      reader.findRun(1).id,
+    ]);
+    expect(found).toEqual([2, 1]);
+    await expect(
+      VeoDatabase.read(dbPath, (reader) => reader.findRun(9)),
+    ).rejects.toThrow("Run 9 not found");
+  });
+
+  test("refuse a schema newer than the app", async () => {
+    const SQL = await initSqlJs();
+    const newer = new SQL.Database();
+    newer.run(`PRAGMA user_version = ${LATEST_SCHEMA_VERSION + 1}`);
+    fs.writeFileSync(dbPath, Buffer.from(newer.export()));
+    newer.close();
+
+    const db = new VeoDatabase(dbPath);
+    await expect(db.init()).rejects.toThrow(/newer than this version/);
+  });
+});
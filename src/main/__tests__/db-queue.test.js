@@ -0,0 +1,125 @@
+const VeoDatabase = require("../db");
+
+/**
+ * Database with one run of prompts 1..count
+ */
+async function createQueue(count = 4) {
+  const db = new VeoDatabase(":memory:");
+  await db.init();
+  db.createRun({ profilePath: "/profiles/a" });
+  db.insertPrompts(
+    Array.from({ length: count }, (_, i) => ({
+      index: i + 1,
+      promptText: `prompt ${i + 1}`,
+    })),
+  );
+  return db;
+}
+
+const queueOrder = (db) => db.getQueue().map((p) => p.idx);
+const promptId = (db, idx) => db.getQueue().find((p) => p.idx === idx).id;
+
+describe("queue priority", () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = await createQueue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  test("submits in idx order by default", () => {
+    expect(queueOrder(db)).toEqual([1, 2, 3, 4]);
+    expect(db.peekNextQueuedPrompt().idx).toBe(1);
+  });
+
+  test("bump moves a prompt to the front, demote to the back", () => {
+    db.bumpPrompt(3);
+    db.demotePrompt(1);
+
+    expect(queueOrder(db)).toEqual([3, 2, 4, 1]);
+    expect(db.peekNextQueuedPrompt().idx).toBe(3);
+  });
+
+  test("reorder puts prompts at the front in the given order", () => {
+    db.bumpPrompt(2);
+    db.reorderPrompts([4, 1]);
+
+    expect(queueOrder(db)).toEqual([4, 1, 2, 3]);
+  });
+
+  test("reorder changes nothing when one prompt is not queued", () => {
+    db.setPromptStatus(promptId(db, 2), "submitting", "submitter");
+
+    expect(() => db.reorderPrompts([3, 2])).toThrow(
+      "Prompt 2 is submitting, only queued prompts can be reordered",
+    );
+    expect(queueOrder(db)).toEqual([1, 3, 4]);
+  });
+
+  test("rejects unknown prompts", () => {
+    expect(() => db.setPromptPriority(99, 5)).toThrow(/Prompt 99 not found/);
+  });
+
+  test("records priority changes in the prompt timeline", () => {
+    db.setPromptPriority(2, 7);
+
+    const { events } = db.getPromptTimeline(db.runId, 2);
+    expect(events.some((e) => e.event === "priority")).toBe(true);
+  });
+});
+
+describe("shared queue", () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = await createQueue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  test("claimPrompt succeeds once per prompt", () => {
+    const id = promptId(db, 1);
+
+    expect(db.claimPrompt(id, "/profiles/a")).toBe(true);
+    expect(db.claimPrompt(id, "/profiles/b")).toBe(false);
+    expect(db.getPromptStatus(id)).toBe("submitting");
+    expect(db.getProfileReport()).toEqual([
+      {
+        profilePath: "/profiles/a",
+        prompts: [1],
+        done: 0,
+        failed: 0,
+        operations: 0,
+      },
+    ]);
+  });
+
+  test("claimPrompt fails for a prompt that is no longer queued", () => {
+    const id = promptId(db, 2);
+    db.skipPrompt(2);
+
+    expect(db.claimPrompt(id, "/profiles/a")).toBe(false);
+    expect(db.getPromptStatus(id)).toBe("cancelled");
+  });
+
+  test("a prompt requeued for a profile stays with it until released", () => {
+    const id = promptId(db, 1);
+    db.claimPrompt(id, "/profiles/a");
+    db.resetPromptToQueued(id, "submitter", { reason: "retry" });
+
+    expect(db.peekNextQueuedPrompt("/profiles/b").idx).toBe(2);
+    expect(db.peekNextQueuedPrompt("/profiles/a").idx).toBe(1);
+
+    expect(db.releaseQueuedPrompts("/profiles/a")).toBe(1);
+    expect(db.peekNextQueuedPrompt("/profiles/b").idx).toBe(1);
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+
+/**
+ * Start a run of the given prompt texts
+ */
+function startRun(db, texts, options = {}) {
+  const runId = db.createRun(options);
+  db.insertPrompts(
+    texts.map((promptText, i) => ({ index: i + 1, promptText })),
+  );
+  return runId;
+}
+
+describe("run history", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-runs-"));
+    dbPath = path.join(dir, "veo.db");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(dir);
+  });
+
+  test("a new batch keeps the runs before it", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    const first = startRun(db, ["a cat", "a dog"]);
+    db.finishRun(first, "completed");
+    db.close();
+
+    const next = new VeoDatabase(dbPath);
+    await next.init();
+    const second = startRun(next, ["a bird"]);
+
+    expect(next.listRuns().map((run) => run.id)).toEqual([second, first]);
+    expect(next.getStats(first).total_prompts).toBe(2);
+    expect(next.getStats(second).total_prompts).toBe(1);
+    next.close();
+  });
+
+  test("prompt queries are scoped to the active run", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    const first = startRun(db, ["a cat", "a dog"]);
+    startRun(db, ["a bird"]);
+
+    // Same idx in both runs
+    expect(db.getQueue().map((p) => p.prompt_text)).toEqual(["a bird"]);
+    db.setActiveRun(first);
+    expect(db.getQueue().map((p) => p.prompt_text)).toEqual(["a cat", "a dog"]);
+    expect(() => db.setActiveRun(99)).toThrow("Run 99 not found");
+    db.close();
+  });
+
+  test("records settings, outcome and stats of a run", async () => {
+    const db = new VeoDatabase(dbPath);
+    await db.init();
+    const onProgress = () => {};
+    const runId = startRun(db, ["a cat"], {
+      profilePath: "/profiles/a",
+      settings: { aspectRatio: "16:9", onProgress },
+    });
+
+    expect(db.getRun(runId)).toMatchObject({
+      status: "running",
+      profile_path: "/profiles/a",
+      settings: { aspectRatio: "16:9" },
+      finished_at: null,
+    });
+
+    db.finishRun(runId, "interrupted", "Chrome crashed");
+    const run = db.getRun(runId);
+    expect(run).toMatchObject({
+      status: "interrupted",
+      error: "Chrome crashed",
+      total_prompts: 1,
+      stats: expect.objectContaining({ queued: 1 }),
+    });
+    expect(run.finished_at).not.toBeNull();
+    db.close();
+  });
+});
+
+describe("resuming a run", () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = new VeoDatabase(":memory:");
+    await db.init();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  const queuedCount = () => db.getQueue().length;
+  const promptStatus = (idx) =>
+    db.prepare(`SELECT status FROM prompts WHERE idx = ?`).get(idx).status;
+
+  test("picks the most recent run that did not complete", () => {
+    const interrupted = startRun(db, ["a cat"]);
+    db.finishRun(interrupted, "interrupted");
+    db.finishRun(startRun(db, ["a dog"]), "completed");
+
+    expect(db.getLastUnfinishedRun().id).toBe(interrupted);
+    db.finishRun(interrupted, "completed");
+    expect(db.getLastUnfinishedRun()).toBeNull();
+  });
+
+  test("marks the run running again", () => {
+    const runId = startRun(db, ["a cat"]);
+    db.finishRun(runId, "interrupted", "Chrome crashed");
+
+    db.markRunResumed(runId);
+
+    expect(db.getRun(runId)).toMatchObject({
+      status: "running",
+      finished_at: null,
+      error: null,
+    });
+  });
+
+  test("recovers prompts left mid-submit and times out stale ones", () => {
+    startRun(db, ["a cat", "a dog", "a bird", "a fish"]);
+    const [cat, dog, bird] = db.getQueue();
+    const operation = (name) => ({
+      operation: { name },
+      sceneId: "scene",
+      status: "MEDIA_GENERATION_STATUS_PENDING",
+    });
+
+    // Response recorded, status not yet updated
+    db.markPromptInProgress(cat.id, [operation("op-1")]);
+    db.setPromptStatus(cat.id, "submitting", "submitter");
+    // No response
+    db.setPromptStatus(dog.id, "submitting", "submitter");
+    // Submitted two days ago
+    db.markPromptInProgress(bird.id, [operation("op-2")]);
+    db.prepare(`UPDATE prompts SET submit_at = ? WHERE id = ?`).run(
+      new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
+      bird.id,
+    );
+
+    db.resumeCleanup();
+
+    expect([1, 2, 3, 4].map(promptStatus)).toEqual([
+      "in_progress",
+      "queued",
+      "timeout",
+      "queued",
+    ]);
+    expect(queuedCount()).toBe(2);
+  });
+});
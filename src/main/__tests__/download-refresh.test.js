@@ -0,0 +1,152 @@
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const { OPERATION_STATUS } = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+// Poll response carrying a fresh signed URL for each operation
+const pollResponse = (urls) => ({
+  operations: Object.entries(urls).map(([name, fifeUrl]) => ({
+    operation: { name, metadata: { video: { fifeUrl } } },
+    status: OPERATION_STATUS.SUCCESSFUL,
+  })),
+});
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("expired video URLs", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let db;
+  let outputDir;
+  let orchestrator;
+  let pollStatus;
+
+  beforeAll(async () => {
+    // /expired/* answers like a signed fifeUrl past its expiry
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url.startsWith("/expired/")) {
+        res.writeHead(403);
+        res.end();
+      } else {
+        res.writeHead(200, { "Content-Length": 5 });
+        res.end("video");
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    requests = [];
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-refresh-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([{ index: 1, promptText: "a cat on a boat" }]);
+
+    // Prompt 1 finished with one take whose URL has expired
+    const promptId = db.getQueue()[0].id;
+    db.markPromptSubmitting(promptId);
+    db.markPromptInProgress(promptId, [
+      {
+        operation: { name: "op-1" },
+        sceneId: "s-1",
+        status: "MEDIA_GENERATION_STATUS_PENDING",
+      },
+    ]);
+    db.updateOperations(promptId, [
+      {
+        operation: {
+          name: "op-1",
+          metadata: { video: { fifeUrl: `${baseUrl}/expired/1` } },
+        },
+        status: OPERATION_STATUS.SUCCESSFUL,
+      },
+    ]);
+    db.checkAndUpdatePromptStatus(promptId);
+
+    orchestrator = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+    });
+    pollStatus = jest.fn(async () =>
+      pollResponse({ "op-1": `${baseUrl}/fresh/1` }),
+    );
+    jest.spyOn(orchestrator, "getApiClient").mockResolvedValue({ pollStatus });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  test("a 403 is not retried with the same URL", async () => {
+    const filePath = path.join(outputDir, "take.mp4");
+
+    await expect(
+      orchestrator.downloadWithRetry(`${baseUrl}/expired/1`, filePath),
+    ).rejects.toMatchObject({ message: "URL expired (403)", statusCode: 403 });
+    expect(requests).toEqual(["/expired/1"]);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test("refreshFifeUrls stores the URLs of the poll response", async () => {
+    const operations = db.getUndownloadedOperations();
+
+    expect(await orchestrator.refreshFifeUrls(operations)).toBe(1);
+    expect(pollStatus).toHaveBeenCalledWith(operations);
+    expect(db.getOperation(operations[0].id).fife_url).toBe(
+      `${baseUrl}/fresh/1`,
+    );
+  });
+
+  test("the downloader refreshes the URL and retries the take", async () => {
+    orchestrator.running = true;
+    const worker = orchestrator.startDownloaderWorker(1);
+
+    await waitFor(() => db.getUndownloadedOperations().length === 0);
+    orchestrator.running = false;
+    await worker;
+
+    expect(requests).toEqual(["/expired/1", "/fresh/1"]);
+    expect(pollStatus).toHaveBeenCalledTimes(1);
+    const [file] = fs.readdirSync(outputDir);
+    expect(fs.readFileSync(path.join(outputDir, file), "utf8")).toBe("video");
+  });
+
+  test("redownloadMissing refreshes old URLs before downloading", async () => {
+    const result = await orchestrator.redownloadMissing();
+
+    expect(result).toEqual({
+      missing: 1,
+      refreshed: 1,
+      downloaded: 1,
+      failed: 0,
+    });
+    expect(requests).toEqual(["/fresh/1"]);
+  });
+});
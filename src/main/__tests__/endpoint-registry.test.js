@@ -0,0 +1,154 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  EndpointRegistry,
+  isErrorStatus,
+  extractPromptTexts,
+} = require("../endpoint-registry");
+
+const API = "https://aisandbox-pa.googleapis.com/v1/video:";
+const submitBody = (...texts) =>
+  JSON.stringify({
+    requestData: { promptInputs: texts.map((textInput) => ({ textInput })) },
+  });
+
+describe("EndpointRegistry", () => {
+  const registry = EndpointRegistry.load();
+
+  test("bundled config publishes submit and poll", () => {
+    expect(registry.match(`${API}batchAsyncGenerateVideoText`).event).toBe(
+      "submit",
+    );
+    expect(
+      registry.match(`${API}batchCheckAsyncVideoGenerationStatus`).event,
+    ).toBe("poll");
+    expect(registry.match(`${API}uploadImage`)).toBeNull();
+    expect(registry.isApiUrl(`${API}uploadImage`)).toBe(true);
+    expect(registry.isApiUrl("https://labs.google/fx/tools/flow")).toBe(false);
+  });
+
+  test.each([
+    [{ match: "x" }, /needs an event and a match or pattern/],
+    [{ event: "submit" }, /needs an event and a match or pattern/],
+    [{ match: "x", event: "error" }, /"error" is a reserved event/],
+    [{ match: "x", event: "closed" }, /"closed" is a reserved event/],
+    [{ pattern: "(", event: "a" }, /Endpoint #1: Invalid regular expression/],
+    [{ match: "x", event: "a", parser: "xml" }, /unknown parser xml/],
+  ])("rejects endpoint %j", (endpoint, message) => {
+    expect(() => new EndpointRegistry({ endpoints: [endpoint] })).toThrow(
+      message,
+    );
+  });
+
+  test("load reports an unreadable config", () => {
+    expect(() => EndpointRegistry.load("/nonexistent/endpoints.json")).toThrow(
+      /Cannot read endpoint config \/nonexistent\/endpoints.json/,
+    );
+  });
+
+  test("load reads a custom config", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-endpoints-"));
+    const file = path.join(dir, "endpoints.json");
+    fs.writeJsonSync(file, {
+      endpoints: [{ name: "extend", pattern: "Extend\\w+$", event: "extend" }],
+    });
+
+    try {
+      const custom = EndpointRegistry.load(file);
+      expect(custom.apiPath).toBe("/v1/video:");
+      expect(
+        custom.match(`${API}batchAsyncGenerateVideoExtendVideo`).name,
+      ).toBe("extend");
+    } finally {
+      fs.removeSync(dir);
+    }
+  });
+
+  test("decode parses a registered response with its prompt texts", () => {
+    expect(
+      registry.decode({
+        url: `${API}batchAsyncGenerateVideoText`,
+        status: 200,
+        body: '{"operations":[{"a":1}]}',
+        requestBody: submitBody("a cat", "a dog"),
+      }),
+    ).toEqual({
+      event: "submit",
+      data: { operations: [{ a: 1 }] },
+      request: {
+        url: `${API}batchAsyncGenerateVideoText`,
+        promptTexts: ["a cat", "a dog"],
+      },
+    });
+  });
+
+  test("decode ignores successful calls of unregistered endpoints", () => {
+    expect(
+      registry.decode({ url: `${API}uploadImage`, status: 200, body: "{}" }),
+    ).toBeNull();
+  });
+
+  test("decode uses the endpoint's parser", () => {
+    EndpointRegistry.registerParser("length", (body) => body.length);
+    const custom = new EndpointRegistry({
+      endpoints: [{ match: "upsample", event: "upsample", parser: "length" }],
+    });
+
+    expect(
+      custom.decode({ url: `${API}upsample`, status: 200, body: "abc" }).data,
+    ).toBe(3);
+  });
+
+  test("decode turns an error status into an error event", () => {
+    const { event, data } = registry.decode({
+      url: `${API}batchAsyncGenerateVideoText`,
+      status: 429,
+      headers: { "Retry-After": "30", "Set-Cookie": "SID=1" },
+      body: '{"error":{"code":429,"message":"Quota exceeded","status":"RESOURCE_EXHAUSTED"}}',
+    });
+
+    expect(event).toBe("error");
+    expect(data).toMatchObject({
+      type: "submit",
+      endpoint: "batchAsyncGenerateVideoText",
+      status: 429,
+      headers: { "retry-after": "30" },
+      message: "HTTP 429: Quota exceeded",
+    });
+  });
+
+  test("createError names unregistered endpoints from the URL", () => {
+    const error = registry.createError({
+      url: `${API}uploadImage?alt=json`,
+      status: 502,
+      body: "<html>Bad Gateway</html>",
+    });
+
+    expect(error).toMatchObject({
+      type: "other",
+      endpoint: "uploadImage",
+      body: "<html>Bad Gateway</html>",
+      message: "HTTP 502",
+    });
+  });
+});
+
+describe("helpers", () => {
+  test("isErrorStatus treats unknown statuses as no error", () => {
+    expect(isErrorStatus(200)).toBe(false);
+    expect(isErrorStatus(204)).toBe(false);
+    expect(isErrorStatus(400)).toBe(true);
+    expect(isErrorStatus(0)).toBe(true);
+    expect(isErrorStatus(null)).toBe(false);
+  });
+
+  test("extractPromptTexts reads both request shapes", () => {
+    expect(extractPromptTexts(submitBody("a", "b"))).toEqual(["a", "b"]);
+    expect(
+      extractPromptTexts('{"promptInputs":[{"textInput":"c"},{"image":1}]}'),
+    ).toEqual(["c"]);
+    expect(extractPromptTexts("not json")).toEqual([]);
+    expect(extractPromptTexts(null)).toEqual([]);
+  });
+});
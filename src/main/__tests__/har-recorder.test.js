@@ -0,0 +1,219 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const HarRecorder = require("../har-recorder");
+
+const POLL_URL =
+  "https://aisandbox-pa.googleapis.com/v1/video:batchCheckAsyncVideoGenerationStatus";
+const SIGNED_URL =
+  "https://storage.googleapis.com/b/v.mp4?GoogleAccessId=svc%40x&Expires=1&Signature=abc";
+
+const call = (overrides = {}) => ({
+  url: POLL_URL,
+  method: "POST",
+  status: 200,
+  headers: { "content-type": "application/json" },
+  body: "{}",
+  ...overrides,
+});
+
+describe("HarRecorder", () => {
+  let dir;
+  let file;
+  let recorder;
+
+  const entries = () => fs.readJsonSync(file).log.entries;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-har-"));
+    file = path.join(dir, "outputs", "run-1.har");
+  });
+
+  afterEach(async () => {
+    await recorder?.close();
+    recorder = null;
+    fs.removeSync(dir);
+  });
+
+  test("writes a HAR 1.2 log", async () => {
+    recorder = new HarRecorder(file);
+    recorder.record(
+      call({
+        requestBody: '{"a":1}',
+        requestHeaders: { "content-type": "application/json" },
+        statusText: "OK",
+        startedAt: Date.UTC(2026, 0, 1),
+        time: 250.4,
+      }),
+    );
+    await recorder.close();
+
+    const { log } = fs.readJsonSync(file);
+    expect(log.version).toBe("1.2");
+    expect(log.creator.name).toBe("veo-automation");
+    expect(log.entries).toHaveLength(1);
+    expect(log.entries[0]).toMatchObject({
+      startedDateTime: "2026-01-01T00:00:00.000Z",
+      time: 250,
+      request: {
+        method: "POST",
+        url: POLL_URL,
+        postData: { mimeType: "application/json", text: '{"a":1}' },
+      },
+      response: {
+        status: 200,
+        statusText: "OK",
+        content: { size: 2, mimeType: "application/json", text: "{}" },
+      },
+    });
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+  });
+
+  test("redacts cookies, auth headers and credential parameters", async () => {
+    recorder = new HarRecorder(file);
+    recorder.record(
+      call({
+        url: `${POLL_URL}?key=SECRET&alt=json`,
+        requestHeaders: {
+          Cookie: "SID=1",
+          Authorization: "Bearer t",
+          "X-Goog-Api-Key": "k",
+          "x-client-data": "kept",
+        },
+        headers: { "set-cookie": "a=1\nb=2", "content-type": "text/plain" },
+      }),
+    );
+    recorder.record(call({ url: SIGNED_URL, body: "" }));
+    await recorder.close();
+
+    const [api, media] = entries();
+    expect(api.request.url).toBe(`${POLL_URL}?key=%5BREDACTED%5D&alt=json`);
+    expect(api.request.queryString).toContainEqual({
+      name: "key",
+      value: "[REDACTED]",
+    });
+    expect(api.request.headers).toEqual([
+      { name: "Cookie", value: "[REDACTED]" },
+      { name: "Authorization", value: "[REDACTED]" },
+      { name: "X-Goog-Api-Key", value: "[REDACTED]" },
+      { name: "x-client-data", value: "kept" },
+    ]);
+    expect(api.response.headers).toEqual([
+      { name: "set-cookie", value: "[REDACTED]" },
+      { name: "set-cookie", value: "[REDACTED]" },
+      { name: "content-type", value: "text/plain" },
+    ]);
+    expect(media.request.url).not.toMatch(/svc|abc/);
+    expect(media.request.url).toContain("Expires=1");
+  });
+
+  test("redacts signed URLs inside bodies", async () => {
+    recorder = new HarRecorder(file);
+    const poll = { operations: [{ video: { fifeUrl: SIGNED_URL } }] };
+    recorder.record(call({ body: JSON.stringify(poll) }));
+    recorder.record(
+      call({
+        headers: { "content-type": "text/html" },
+        body: `<a href="${SIGNED_URL}">video</a>`,
+      }),
+    );
+    await recorder.close();
+
+    const [json, html] = entries();
+    const fifeUrl = JSON.parse(json.response.content.text).operations[0].video
+      .fifeUrl;
+    expect(fifeUrl).toContain("Signature=%5BREDACTED%5D");
+    expect(fifeUrl).toContain("GoogleAccessId=%5BREDACTED%5D");
+    expect(html.response.content.text).not.toMatch(/Signature=abc/);
+  });
+
+  test("leaves video bodies out unless asked for", async () => {
+    recorder = new HarRecorder(file);
+    expect(recorder.wantsBody("video/mp4", SIGNED_URL)).toBe(false);
+    expect(recorder.wantsBody(null, "https://x/clip.webm?x=1")).toBe(false);
+    expect(recorder.wantsBody("image/png", "https://x/a.png")).toBe(true);
+    recorder.record(
+      call({ url: SIGNED_URL, mimeType: "video/mp4", bodyBase64: "AAAA" }),
+    );
+    await recorder.close();
+
+    expect(entries()[0].response.content).toEqual({
+      size: 0,
+      mimeType: "video/mp4",
+      comment: "Video body not recorded",
+    });
+
+    recorder = new HarRecorder(path.join(dir, "video.har"), {
+      videoBodies: true,
+    });
+    expect(recorder.wantsBody("video/mp4", SIGNED_URL)).toBe(true);
+  });
+
+  test("strips bodies near the size cap, then drops calls", async () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    recorder = new HarRecorder(file, { maxBytes: 4000, logger });
+    for (let i = 0; i < 6; i++) {
+      recorder.record(call({ body: "x".repeat(2000), requestBody: "y" }));
+    }
+    await recorder.close();
+
+    const { log } = fs.readJsonSync(file);
+    expect(log.entries[0].response.content.text).toHaveLength(2000);
+    const stripped = log.entries.slice(1);
+    expect(stripped.length).toBeGreaterThan(0);
+    stripped.forEach((entry) => {
+      expect(entry.response.content.text).toBeUndefined();
+      expect(entry.request.postData).toBeUndefined();
+      expect(entry.response.content.comment).toBe(
+        "Body not recorded (HAR size cap)",
+      );
+    });
+    expect(log.comment).toMatch(
+      new RegExp(
+        `${stripped.length} calls recorded without bodies, ${6 - log.entries.length} calls not recorded`,
+      ),
+    );
+    expect(fs.statSync(file).size).toBeLessThan(4200);
+    // Each limit is logged once
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test("continues the file of an earlier attempt", async () => {
+    recorder = new HarRecorder(file);
+    recorder.record(call());
+    await recorder.close();
+
+    recorder = new HarRecorder(file);
+    recorder.record(call({ status: 500 }));
+    await recorder.close();
+
+    expect(entries().map((e) => e.response.status)).toEqual([200, 500]);
+  });
+
+  test("keeps an unreadable file aside instead of overwriting it", async () => {
+    fs.outputFileSync(file, '{"log":{"entries":[{"trunc');
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    recorder = new HarRecorder(file, { logger });
+    recorder.record(call());
+    await recorder.close();
+
+    expect(fs.readFileSync(`${file}.corrupt`, "utf8")).toBe(
+      '{"log":{"entries":[{"trunc',
+    );
+    expect(entries()).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Cannot continue the HAR file"),
+    );
+  });
+
+  test("ignores calls after close", async () => {
+    recorder = new HarRecorder(file);
+    recorder.record(call());
+    await recorder.close();
+    recorder.record(call());
+    await recorder.flush();
+
+    expect(entries()).toHaveLength(1);
+  });
+});
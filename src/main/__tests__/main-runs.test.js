@@ -0,0 +1,257 @@
+const mockHandlers = {};
+const mockSend = jest.fn();
+
+jest.mock("electron", () => {
+  const window = {
+    webContents: { on: jest.fn(), send: mockSend, openDevTools: jest.fn() },
+    loadFile: jest.fn(),
+    once: jest.fn(),
+    on: jest.fn(),
+    isDestroyed: () => false,
+  };
+  return {
+    app: {
+      commandLine: { appendSwitch: jest.fn() },
+      whenReady: () => Promise.resolve(),
+      on: jest.fn(),
+      isPackaged: false,
+    },
+    BrowserWindow: Object.assign(
+      jest.fn(() => window),
+      { getAllWindows: () => [window] },
+    ),
+    ipcMain: {
+      handle: (channel, handler) => {
+        mockHandlers[channel] = handler;
+      },
+    },
+  };
+});
+
+jest.mock("../automation", () => ({
+  automateWithAPIQueue: jest.fn(),
+  automateConcurrentGeneration: jest.fn(),
+  resumeLastRun: jest.fn(),
+  getRunStatus: jest.fn(),
+  listRuns: jest.fn(),
+}));
+
+jest.mock("../profile-manager", () =>
+  jest.fn().mockImplementation(() => ({
+    init: jest.fn(async () => {}),
+    getProfile: (id) => ({ id, name: id, path: `/profiles/${id}` }),
+    updateLastUsed: jest.fn(async () => {}),
+  })),
+);
+
+const {
+  automateWithAPIQueue,
+  automateConcurrentGeneration,
+  getRunStatus,
+  listRuns,
+} = require("../automation");
+const ProfileManager = require("../profile-manager");
+require("../main");
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Automation that creates run #7 and completes its prompts
+ */
+const completedRun = async (...args) => {
+  const settings = args[args.length - 1];
+  settings.onRunCreated(7);
+  return {
+    runId: 7,
+    totalPrompts: 1,
+    prompts: [{ index: 1, promptText: "a cat", status: "completed" }],
+    manifest: [{ idx: 1, file_path: "/outputs/1.mp4" }],
+  };
+};
+
+const runEvents = () =>
+  mockSend.mock.calls
+    .filter(([channel]) => channel === "automation:run-event")
+    .map(([, event]) => event.type);
+
+describe("automation:start", () => {
+  let profileManager;
+
+  beforeAll(async () => {
+    await settle();
+    profileManager = ProfileManager.mock.results[0].value;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    mockSend.mockClear();
+    profileManager.updateLastUsed.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a successful run emits finished and marks the profile used", async () => {
+    automateWithAPIQueue.mockImplementation(completedRun);
+
+    const result = await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileId: "p1" },
+    );
+    await settle();
+
+    expect(result).toEqual({ runId: 7 });
+    expect(runEvents()).toEqual(["finished"]);
+    expect(profileManager.updateLastUsed).toHaveBeenCalledWith("p1");
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test("a run with several profiles marks each of them used", async () => {
+    automateConcurrentGeneration.mockImplementation(completedRun);
+
+    await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileIds: ["p1", "p2"] },
+    );
+    await settle();
+
+    expect(runEvents()).toEqual(["finished"]);
+    expect(profileManager.updateLastUsed.mock.calls).toEqual([["p1"], ["p2"]]);
+  });
+
+  test("a failed run emits failed", async () => {
+    automateWithAPIQueue.mockImplementation(async (path, prompts, settings) => {
+      settings.onRunCreated(8);
+      throw new Error("Chrome crashed");
+    });
+
+    await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileId: "p1" },
+    );
+    await settle();
+
+    expect(runEvents()).toEqual(["failed"]);
+    expect(mockSend).toHaveBeenCalledWith("automation:run-event", {
+      runId: 8,
+      type: "failed",
+      error: "Chrome crashed",
+    });
+    expect(profileManager.updateLastUsed).not.toHaveBeenCalled();
+  });
+});
+
+describe("run status", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockSend.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a start that fails before its run exists rejects", async () => {
+    automateWithAPIQueue.mockRejectedValue(new Error("No prompts"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      mockHandlers["automation:start"](
+        {},
+        { prompts: [], settings: {}, profileId: "p1" },
+      ),
+    ).rejects.toThrow("Automation failed: No prompts");
+    expect(runEvents()).toEqual([]);
+  });
+
+  test("a run started here is live until its batch settles", async () => {
+    let finish;
+    automateWithAPIQueue.mockImplementation(async (path, prompts, settings) => {
+      settings.onRunCreated(9);
+      await new Promise((resolve) => {
+        finish = resolve;
+      });
+      return { runId: 9, totalPrompts: 1, prompts: [], manifest: [] };
+    });
+    getRunStatus.mockResolvedValue({ id: 9, status: "running", live: false });
+
+    const { runId } = await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileId: "p1" },
+    );
+    const running = await mockHandlers["automation:status"]({}, runId);
+
+    expect(getRunStatus).toHaveBeenCalledWith(9);
+    expect(running).toMatchObject({
+      id: 9,
+      live: true,
+      session: { runId: 9, kind: "start", finished: false },
+    });
+
+    finish();
+    await settle();
+    const finished = await mockHandlers["automation:status"]({}, runId);
+    expect(finished.live).toBe(false);
+    expect(finished.session).toMatchObject({ finished: true, error: null });
+    expect(finished.session.result).not.toBeNull();
+  });
+
+  test("listRuns adds the sessions of this window", async () => {
+    automateWithAPIQueue.mockImplementation(async (path, prompts, settings) => {
+      settings.onRunCreated(11);
+      return { runId: 11, totalPrompts: 1, prompts: [], manifest: [] };
+    });
+    await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileId: "p1" },
+    );
+    await settle();
+    listRuns.mockResolvedValue([
+      { id: 11, live: false },
+      { id: 3, live: true },
+    ]);
+
+    const runs = await mockHandlers["automation:listRuns"]({}, { limit: 5 });
+
+    expect(listRuns).toHaveBeenCalledWith(5);
+    expect(runs.map((r) => [r.id, r.live, r.session?.runId ?? null])).toEqual([
+      [11, false, 11],
+      [3, true, null],
+    ]);
+  });
+});
+
+describe("run events", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockSend.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("orchestrator events are forwarded with their run id", async () => {
+    const event = { type: "prompt:done", runId: 12, idx: 1 };
+    automateWithAPIQueue.mockImplementation(async (path, prompts, settings) => {
+      settings.onRunCreated(12);
+      settings.onEvent(event);
+      return { runId: 12, totalPrompts: 1, prompts: [], manifest: [] };
+    });
+
+    await mockHandlers["automation:start"](
+      {},
+      { prompts: ["a cat"], settings: {}, profileId: "p1" },
+    );
+    await settle();
+
+    expect(runEvents()).toEqual(["prompt:done", "finished"]);
+    expect(mockSend).toHaveBeenCalledWith("automation:run-event", {
+      runId: 12,
+      type: "prompt:done",
+      event,
+    });
+  });
+});
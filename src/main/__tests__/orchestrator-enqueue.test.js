@@ -0,0 +1,110 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+const prompts = (indexes) =>
+  indexes.map((index) => ({ index, promptText: `prompt ${index}` }));
+
+describe("enqueueing into a running batch", () => {
+  let db;
+  let outputDir;
+  let events;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-enqueue-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts(prompts([1, 2]));
+    events = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  // Orchestrator of a batch in progress (submitter, pollers not started)
+  const createOrchestrator = (settings = {}) => {
+    const orchestrator = new SequentialOrchestrator(
+      {},
+      idleCapture(),
+      db,
+      null,
+      { outputDir, onEvent: (event) => events.push(event), ...settings },
+    );
+    orchestrator.acceptingPrompts = true;
+    return orchestrator;
+  };
+
+  test("adds the prompts behind the queue and reports progress", () => {
+    const orchestrator = createOrchestrator();
+
+    const result = orchestrator.enqueuePrompts(prompts([3, 4]));
+
+    expect(result).toEqual({
+      inserted: 2,
+      skipped: 0,
+      errors: 0,
+      indexes: [3, 4],
+    });
+    expect(db.getQueue().map((p) => p.idx)).toEqual([1, 2, 3, 4]);
+    expect(events.at(-1)).toMatchObject({
+      type: RUN_EVENTS.RUN_PROGRESS,
+      total: 4,
+    });
+  });
+
+  test("skips prompts the run already has when deduping", () => {
+    const orchestrator = createOrchestrator({ dedupePrompts: true });
+
+    const result = orchestrator.enqueuePrompts([
+      { index: 3, promptText: "prompt 1" },
+      { index: 4, promptText: "prompt 4" },
+    ]);
+
+    expect(result).toMatchObject({ inserted: 1, skipped: 1 });
+    expect(db.getMaxPromptIdx()).toBe(4);
+  });
+
+  test("is refused before the batch starts", () => {
+    const orchestrator = new SequentialOrchestrator(
+      {},
+      idleCapture(),
+      db,
+      null,
+      {
+        outputDir,
+      },
+    );
+
+    expect(() => orchestrator.enqueuePrompts(prompts([3]))).toThrow(
+      "Batch is finishing, start a new run instead",
+    );
+  });
+
+  test("is refused once the batch has finished", async () => {
+    db.getQueue().forEach((p) => db.setPromptStatus(p.id, "done", "poller"));
+    const orchestrator = createOrchestrator();
+
+    await orchestrator.waitForCompletion();
+
+    expect(() => orchestrator.enqueuePrompts(prompts([3]))).toThrow(
+      "Batch is finishing",
+    );
+    expect(db.getMaxPromptIdx()).toBe(2);
+  });
+});
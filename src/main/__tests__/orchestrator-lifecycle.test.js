@@ -0,0 +1,126 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+// "finished" when the promise resolves within a few completion checks
+const settle = (promise) =>
+  Promise.race([
+    promise.then(() => "finished"),
+    new Promise((resolve) => setTimeout(() => resolve("pending"), 1200)),
+  ]);
+
+describe("pause, continue and cancel", () => {
+  let db;
+  let outputDir;
+  let events;
+  let orchestrator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-lifecycle-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "a cat" },
+      { index: 2, promptText: "a dog" },
+    ]);
+    events = [];
+
+    // A batch in progress (submitter, pollers not started)
+    orchestrator = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      onEvent: (event) => events.push(event),
+    });
+    orchestrator.running = true;
+    orchestrator.acceptingPrompts = true;
+  });
+
+  afterEach(() => {
+    orchestrator.stop();
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  const published = (type) => events.filter((e) => e.type === type);
+
+  test("pause and continue switch the state once", () => {
+    expect(orchestrator.resume()).toBe(false);
+
+    expect(orchestrator.pause("paused by user", { hold: true })).toBe(true);
+    expect(orchestrator.pause("again")).toBe(false);
+    expect(orchestrator.getState()).toBe("paused");
+
+    expect(orchestrator.resume()).toBe(true);
+    expect(orchestrator.getState()).toBe("running");
+
+    expect(published(RUN_EVENTS.RUN_PAUSED)).toEqual([
+      expect.objectContaining({ reason: "paused by user", hold: true }),
+    ]);
+    expect(published(RUN_EVENTS.RUN_RESUMED)).toEqual([
+      expect.objectContaining({ previousReason: "paused by user" }),
+    ]);
+  });
+
+  test("a cancelled run cannot be continued", () => {
+    expect(orchestrator.cancel()).toBe(true);
+    expect(orchestrator.cancel()).toBe(false);
+
+    expect(orchestrator.resume()).toBe(false);
+    expect(orchestrator.getState()).toBe("cancelling");
+    expect(published(RUN_EVENTS.RUN_CANCELLED)).toHaveLength(1);
+  });
+
+  test("a pause without hold finishes the run with its prompts queued", async () => {
+    orchestrator.pause("budget floor 100 reached");
+
+    await orchestrator.waitForCompletion();
+
+    expect(published(RUN_EVENTS.RUN_FINISHED)).toEqual([
+      expect.objectContaining({
+        state: "paused",
+        pausedReason: "budget floor 100 reached",
+      }),
+    ]);
+    expect(db.getStats().queued).toBe(2);
+  });
+
+  test("a user pause keeps the run open until it is cancelled", async () => {
+    orchestrator.pause("paused by user", { hold: true });
+    const completion = orchestrator.waitForCompletion();
+
+    expect(await settle(completion)).toBe("pending");
+    expect(orchestrator.getState()).toBe("paused");
+
+    orchestrator.cancel();
+    expect(await settle(completion)).toBe("finished");
+    expect(orchestrator.getState()).toBe("stopped");
+    expect(published(RUN_EVENTS.RUN_FINISHED)).toEqual([
+      expect.objectContaining({ state: "cancelled" }),
+    ]);
+  });
+
+  test("cancel puts a prompt cut off mid-submit back in the queue", async () => {
+    const [first] = db.getQueue();
+    db.markPromptSubmitting(first.id);
+    orchestrator.CANCEL_DRAIN_MS = 0;
+
+    orchestrator.cancel();
+    await orchestrator.waitForCompletion();
+
+    expect(db.getPromptStatus(first.id)).toBe("queued");
+    expect(db.getStats().queued).toBe(2);
+  });
+});
@@ -0,0 +1,278 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const ProfilePool = require("../profile-pool");
+const ProfileManager = require("../profile-manager");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+describe("profile failover", () => {
+  let db;
+  let outputDir;
+  let events;
+  let members;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-failover-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun({ profilePath: "/profiles/a" });
+    db.insertPrompts(
+      [1, 2, 3].map((index) => ({ index, promptText: `prompt ${index}` })),
+    );
+    events = [];
+    members = [];
+  });
+
+  afterEach(() => {
+    members.forEach((member) => member.stop());
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  // Member of a running pool (submitter, pollers not started)
+  const createMember = (profilePath) => {
+    const member = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      profilePath,
+      sharedQueue: true,
+    });
+    member.start = jest.fn(() => {
+      member.running = true;
+      member.acceptingPrompts = true;
+    });
+    members.push(member);
+    return member;
+  };
+
+  const createPool = (failover) => {
+    const pool = new ProfilePool([createMember("/profiles/a")], db, null, {
+      onEvent: (event) => events.push(event),
+      failover,
+    });
+    pool.start();
+    return pool;
+  };
+
+  const failovers = (pool) => Promise.all([...pool.pendingFailovers]);
+
+  // nextProfile hook answering with the given paths, recording the
+  // profiles excluded at each call
+  const nextProfiles = (...paths) => {
+    const nextProfile = jest.fn(async (excludePaths) => {
+      nextProfile.excluded.push([...excludePaths]);
+      return paths.shift() ?? null;
+    });
+    nextProfile.excluded = [];
+    return nextProfile;
+  };
+  const published = (type) => events.filter((e) => e.type === type);
+
+  describe("an exhausted profile", () => {
+    test("stops submitting and releases the prompts it claimed", () => {
+      const member = createMember("/profiles/a");
+      const onEvent = jest.fn();
+      member.events.onAny(onEvent);
+      const [first] = db.getQueue();
+      db.claimPrompt(first.id, "/profiles/a");
+      db.resetPromptToQueued(first.id); // A retry this profile kept
+
+      member.markProfileExhausted("credits", "out of credits (0 left)");
+
+      expect(member.pausedReason).toBe("out of credits (0 left)");
+      expect(member.resume()).toBe(false);
+      expect(db.peekNextQueuedPrompt("/profiles/b").idx).toBe(1);
+      expect(onEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: RUN_EVENTS.PROFILE_EXHAUSTED,
+          profilePath: "/profiles/a",
+          kind: "credits",
+          released: 1,
+        }),
+      );
+    });
+
+    test("is detected after a rate limit or repeated rejections", () => {
+      const limited = createMember("/profiles/a");
+      limited.noteSubmitRejection("429 RESOURCE_EXHAUSTED", true);
+      expect(limited.exhaustedReason).toBe(
+        "rate-limited (429 RESOURCE_EXHAUSTED)",
+      );
+
+      const rejected = createMember("/profiles/b");
+      rejected.noteSubmitRejection("No operations returned");
+      rejected.noteSubmitRejection("No operations returned");
+      expect(rejected.exhaustedReason).toBeNull();
+      rejected.noteSubmitRejection("No operations returned");
+      expect(rejected.exhaustedReason).toBe(
+        "3 submits in a row rejected (No operations returned)",
+      );
+    });
+  });
+
+  describe("the pool", () => {
+    test("cools the profile down and starts the next healthy one", async () => {
+      const hooks = {
+        cooldown: jest.fn(async () => "2026-10-20T00:00:00.000Z"),
+        nextProfile: nextProfiles("/profiles/b"),
+        launchProfile: jest.fn(async (profilePath) =>
+          createMember(profilePath),
+        ),
+      };
+      const pool = createPool(hooks);
+
+      pool.primary.markProfileExhausted("credits", "out of credits (0 left)");
+      await failovers(pool);
+
+      expect(hooks.cooldown).toHaveBeenCalledWith(
+        "/profiles/a",
+        "credits",
+        "out of credits (0 left)",
+      );
+      expect(hooks.nextProfile.excluded).toEqual([["/profiles/a"]]);
+      expect(pool.members.map((m) => m.profilePath)).toEqual([
+        "/profiles/a",
+        "/profiles/b",
+      ]);
+      expect(pool.members[1].start).toHaveBeenCalled();
+      expect(pool.members.every((m) => m.queueScope === m.profilePath)).toBe(
+        true,
+      );
+      expect(published(RUN_EVENTS.PROFILE_FAILOVER)).toEqual([
+        expect.objectContaining({
+          from: "/profiles/a",
+          to: "/profiles/b",
+          cooldownUntil: "2026-10-20T00:00:00.000Z",
+        }),
+      ]);
+    });
+
+    test("skips profiles that fail to start", async () => {
+      const hooks = {
+        cooldown: jest.fn(async () => "2026-10-20T00:00:00.000Z"),
+        nextProfile: nextProfiles("/profiles/b", "/profiles/c"),
+        launchProfile: jest.fn(async (profilePath) => {
+          if (profilePath === "/profiles/b") {
+            throw new Error("not logged in");
+          }
+          return createMember(profilePath);
+        }),
+      };
+      const pool = createPool(hooks);
+
+      pool.primary.noteSubmitRejection("429 RESOURCE_EXHAUSTED", true);
+      await failovers(pool);
+
+      expect(hooks.nextProfile.excluded).toEqual([
+        ["/profiles/a"],
+        ["/profiles/a", "/profiles/b"],
+      ]);
+      expect(pool.members.map((m) => m.profilePath)).toEqual([
+        "/profiles/a",
+        "/profiles/c",
+      ]);
+    });
+
+    test("reports when no healthy profile is left", async () => {
+      const hooks = {
+        cooldown: jest.fn(async () => "2026-10-20T00:00:00.000Z"),
+        nextProfile: nextProfiles(),
+        launchProfile: jest.fn(),
+      };
+      const pool = createPool(hooks);
+
+      pool.primary.markProfileExhausted("credits", "out of credits (0 left)");
+      await failovers(pool);
+
+      expect(hooks.launchProfile).not.toHaveBeenCalled();
+      expect(published(RUN_EVENTS.PROFILE_FAILOVER)).toEqual([
+        expect.objectContaining({ from: "/profiles/a", to: null }),
+      ]);
+      expect(pool.getState()).toBe("paused");
+    });
+
+    test("starts no profile once the queue is empty", async () => {
+      db.getQueue().forEach((p) => db.skipPrompt(p.idx));
+      const hooks = {
+        cooldown: jest.fn(async () => "2026-10-20T00:00:00.000Z"),
+        nextProfile: jest.fn(),
+        launchProfile: jest.fn(),
+      };
+      const pool = createPool(hooks);
+
+      pool.primary.markProfileExhausted("credits", "out of credits (0 left)");
+      await failovers(pool);
+
+      expect(hooks.cooldown).toHaveBeenCalled();
+      expect(hooks.nextProfile).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe("ProfileManager.getNextHealthyProfile", () => {
+  let home;
+  let manager;
+
+  beforeEach(async () => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "veo-home-"));
+    jest.spyOn(os, "homedir").mockReturnValue(home);
+    manager = new ProfileManager();
+    await manager.init();
+    await fs.writeJson(manager.configFile, {
+      profiles: [
+        { id: "a", path: "/profiles/a" },
+        { id: "b", path: "/profiles/b" },
+        { id: "c", path: "/profiles/c" },
+        { id: "d", path: "/profiles/d" },
+      ],
+    });
+    // Profile c never logged in
+    jest
+      .spyOn(manager, "testProfile")
+      .mockImplementation(async (id) => ({ hasSession: id !== "c" }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(home);
+  });
+
+  test("skips profiles in use, cooling down or never logged in", async () => {
+    const until = new Date(Date.now() + 60000).toISOString();
+    await manager.setCooldown("/profiles/b", until, "rate-limited");
+
+    const next = await manager.getNextHealthyProfile(["/profiles/a"]);
+
+    expect(next.path).toBe("/profiles/d");
+  });
+
+  test("takes a profile back once its cooldown is over", async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    await manager.setCooldown("/profiles/b", past, "rate-limited");
+
+    const next = await manager.getNextHealthyProfile(["/profiles/a"]);
+
+    expect(next.path).toBe("/profiles/b");
+  });
+
+  test("returns null when every profile is used or cooling down", async () => {
+    const next = await manager.getNextHealthyProfile([
+      "/profiles/a",
+      "/profiles/b",
+      "/profiles/d",
+    ]);
+
+    expect(next).toBeNull();
+  });
+});
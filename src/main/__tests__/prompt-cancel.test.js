@@ -0,0 +1,136 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const { OPERATION_STATUS } = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+describe("skipping and abandoning prompts", () => {
+  let db;
+  let outputDir;
+  let events;
+  let orchestrator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-cancel-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "a cat" },
+      { index: 2, promptText: "a dog" },
+    ]);
+
+    // Prompt 1 is rendering in Flow, prompt 2 is queued
+    const [first] = db.getQueue();
+    db.markPromptSubmitting(first.id);
+    db.markPromptInProgress(first.id, [
+      {
+        operation: { name: "op-1" },
+        sceneId: "s-1",
+        status: "MEDIA_GENERATION_STATUS_PENDING",
+      },
+    ]);
+
+    events = [];
+    orchestrator = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      onEvent: (event) => events.push(event),
+    });
+  });
+
+  afterEach(() => {
+    orchestrator.stop();
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  const cancelledEvents = () =>
+    events.filter((e) => e.type === RUN_EVENTS.PROMPT_CANCELLED);
+
+  test("a skipped prompt is never submitted", () => {
+    const skipped = orchestrator.skipPrompt(2, "not needed");
+
+    expect(skipped).toMatchObject({ idx: 2, from: "queued" });
+    expect(db.getPromptStatus(skipped.id)).toBe("cancelled");
+    expect(db.peekNextQueuedPrompt()).toBeNull();
+    expect(cancelledEvents()).toEqual([
+      expect.objectContaining({ idx: 2, from: "queued", action: "skip" }),
+    ]);
+    expect(db.getPromptTimeline(db.runId, 2).events.at(-1)).toMatchObject({
+      event: "skip",
+      to_status: "cancelled",
+      detail: { reason: "not needed" },
+    });
+  });
+
+  test("only queued prompts can be skipped", () => {
+    expect(() => orchestrator.skipPrompt(1)).toThrow(
+      "Prompt 1 is in_progress, only queued prompts can be skipped",
+    );
+    expect(() => orchestrator.skipPrompt(9)).toThrow(
+      `Prompt 9 not found in run ${db.runId}`,
+    );
+    expect(cancelledEvents()).toEqual([]);
+  });
+
+  test("an abandoned prompt stops polling and is not downloaded", async () => {
+    const stopPoller = jest.spyOn(orchestrator, "stopPromptPoller");
+
+    const abandoned = orchestrator.abandonPrompt(1);
+    await orchestrator.handlePollResponse({
+      operations: [
+        {
+          operation: {
+            name: "op-1",
+            metadata: { video: { fifeUrl: "https://video/1" } },
+          },
+          status: OPERATION_STATUS.SUCCESSFUL,
+        },
+      ],
+    });
+
+    expect(stopPoller).toHaveBeenCalledWith(abandoned.id);
+    expect(db.getPromptStatus(abandoned.id)).toBe("cancelled");
+    expect(db.getNextQueuedDownload()).toBeNull();
+    expect(db.getUndownloadedOperations()).toEqual([]);
+    expect(cancelledEvents()).toEqual([
+      expect.objectContaining({
+        idx: 1,
+        from: "in_progress",
+        action: "abandon",
+      }),
+    ]);
+  });
+
+  test("only in-progress prompts can be abandoned", () => {
+    expect(() => orchestrator.abandonPrompt(2)).toThrow(
+      "Prompt 2 is queued, only in_progress prompts can be abandoned",
+    );
+  });
+
+  test("cancelled prompts count as completed", async () => {
+    orchestrator.running = true;
+    orchestrator.acceptingPrompts = true;
+    orchestrator.abandonPrompt(1);
+    orchestrator.skipPrompt(2);
+
+    await orchestrator.waitForCompletion();
+
+    expect(events.filter((e) => e.type === RUN_EVENTS.RUN_FINISHED)).toEqual([
+      expect.objectContaining({ state: "completed" }),
+    ]);
+    expect(db.getStats().cancelled).toBe(2);
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const {
+  configureVEOSettings,
+  normalizePromptSettings,
+} = require("../veo-settings-integration");
+
+jest.mock("../veo-settings-integration", () => ({
+  ...jest.requireActual("../veo-settings-integration"),
+  configureVEOSettings: jest.fn(),
+}));
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+describe("normalizePromptSettings", () => {
+  test("maps aspect ratio shorthand to the Flow labels", () => {
+    expect(normalizePromptSettings({ aspectRatio: "9:16" })).toEqual({
+      aspectRatio: "Portrait (9:16)",
+    });
+    expect(normalizePromptSettings({ aspectRatio: " Landscape " })).toEqual({
+      aspectRatio: "Landscape (16:9)",
+    });
+  });
+
+  test("drops empty values and parses outputs", () => {
+    expect(
+      normalizePromptSettings({
+        mode: "",
+        aspectRatio: null,
+        outputs: "2",
+        model: " Veo 3.1 - Quality ",
+      }),
+    ).toEqual({ outputs: 2, model: "Veo 3.1 - Quality" });
+    expect(normalizePromptSettings({ outputs: "" })).toEqual({});
+  });
+
+  test("rejects values Flow does not offer", () => {
+    expect(() => normalizePromptSettings({ outputs: "5" })).toThrow(
+      "Settings validation failed",
+    );
+    expect(() => normalizePromptSettings({ model: "Veo 9" })).toThrow(
+      'Invalid model: "Veo 9"',
+    );
+  });
+});
+
+describe("per-prompt settings", () => {
+  let db;
+  let outputDir;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    configureVEOSettings.mockReset();
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-settings-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "run defaults" },
+      {
+        index: 2,
+        promptText: "portrait take",
+        settings: { aspectRatio: "Portrait (9:16)", outputs: 2 },
+      },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  const prompt = (idx) => db.getQueuedPrompt(idx);
+  const createOrchestrator = () =>
+    new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      veoSettings: {
+        mode: "Text to Video",
+        aspectRatio: "Landscape (16:9)",
+        outputs: 1,
+        model: "Veo 3.1 - Fast",
+      },
+    });
+
+  test("are stored with each prompt", () => {
+    expect(prompt(1)).toMatchObject({
+      aspect_ratio: null,
+      outputs: null,
+      model: null,
+    });
+    expect(prompt(2)).toMatchObject({
+      aspect_ratio: "Portrait (9:16)",
+      outputs: 2,
+    });
+  });
+
+  test("reconfigure Flow with only the keys that differ", async () => {
+    const orchestrator = createOrchestrator();
+
+    await orchestrator.applyPromptSettings(prompt(2));
+
+    expect(configureVEOSettings).toHaveBeenCalledTimes(1);
+    expect(configureVEOSettings.mock.calls[0][1]).toEqual({
+      aspectRatio: "Portrait (9:16)",
+      outputs: 2,
+    });
+  });
+
+  test("leave Flow alone when the page already matches", async () => {
+    const orchestrator = createOrchestrator();
+
+    await orchestrator.applyPromptSettings(prompt(1));
+    await orchestrator.applyPromptSettings(prompt(2));
+    await orchestrator.applyPromptSettings(prompt(2));
+
+    expect(configureVEOSettings).toHaveBeenCalledTimes(1);
+  });
+
+  test("are applied again after a failed reconfigure", async () => {
+    const orchestrator = createOrchestrator();
+    configureVEOSettings.mockRejectedValueOnce(new Error("menu not found"));
+
+    await expect(orchestrator.applyPromptSettings(prompt(2))).rejects.toThrow(
+      "Failed to apply settings: menu not found",
+    );
+    await orchestrator.applyPromptSettings(prompt(1));
+
+    expect(configureVEOSettings).toHaveBeenCalledTimes(2);
+    expect(configureVEOSettings.mock.calls[1][1]).toEqual({
+      aspectRatio: "Landscape (16:9)",
+      outputs: 1,
+    });
+  });
+});
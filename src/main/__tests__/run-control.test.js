@@ -0,0 +1,100 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  RunControlServer,
+  getRunOwner,
+  sendRunCommand,
+} = require("../run-control");
+
+describe("run control", () => {
+  let controlDir;
+  let server;
+
+  beforeEach(() => {
+    controlDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-control-"));
+  });
+
+  afterEach(() => {
+    server?.stop();
+    server = null;
+    fs.removeSync(controlDir);
+  });
+
+  const runDir = (runId) => path.join(controlDir, `run-${runId}`);
+
+  test("the owner is known while the server runs", () => {
+    server = new RunControlServer(1, jest.fn(), { controlDir });
+    expect(getRunOwner(1, controlDir)).toBeNull();
+
+    server.start();
+    expect(getRunOwner(1, controlDir)).toBe(process.pid);
+
+    server.stop();
+    expect(getRunOwner(1, controlDir)).toBeNull();
+  });
+
+  test("an owner that exited does not own the run", () => {
+    fs.outputJsonSync(path.join(runDir(1), "owner.json"), { pid: 999999999 });
+
+    expect(getRunOwner(1, controlDir)).toBeNull();
+  });
+
+  test("commands are applied by the owner and answered", async () => {
+    const handler = jest.fn(async ({ args }) => ({ priority: args.idx * 10 }));
+    server = new RunControlServer(1, handler, { controlDir });
+    server.start();
+
+    const result = await sendRunCommand(
+      1,
+      { type: "bump", args: { idx: 3 } },
+      { controlDir },
+    );
+
+    expect(result).toEqual({ priority: 30 });
+    expect(handler).toHaveBeenCalledWith({ type: "bump", args: { idx: 3 } });
+    expect(fs.readdirSync(runDir(1))).toEqual(["owner.json"]);
+  });
+
+  test("a command the owner rejects fails with its error", async () => {
+    server = new RunControlServer(
+      1,
+      async () => {
+        throw new Error("Prompt 9 not found in run 1");
+      },
+      { controlDir },
+    );
+    server.start();
+
+    await expect(
+      sendRunCommand(1, { type: "bump", args: { idx: 9 } }, { controlDir }),
+    ).rejects.toThrow("Prompt 9 not found in run 1");
+  });
+
+  test("commands are applied in the order they were sent", async () => {
+    const applied = [];
+    server = new RunControlServer(
+      1,
+      async ({ args }) => applied.push(args.idx),
+      { controlDir },
+    );
+    server.start();
+
+    await Promise.all(
+      [1, 2, 3].map((idx) =>
+        sendRunCommand(1, { type: "bump", args: { idx } }, { controlDir }),
+      ),
+    );
+
+    expect(applied).toEqual([1, 2, 3]);
+  });
+
+  test("a run nobody answers for times out and withdraws the command", async () => {
+    fs.ensureDirSync(runDir(1));
+
+    await expect(
+      sendRunCommand(1, { type: "queue" }, { controlDir, timeoutMs: 300 }),
+    ).rejects.toThrow("Run #1 did not respond within 300ms");
+    expect(fs.readdirSync(runDir(1))).toEqual([]);
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RunEventBus, RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+describe("RunEventBus", () => {
+  test("delivers typed events to their listeners and to onAny", () => {
+    const bus = new RunEventBus(4);
+    const paused = jest.fn();
+    const any = jest.fn();
+    bus.on(RUN_EVENTS.RUN_PAUSED, paused);
+    bus.onAny(any);
+
+    const event = bus.publish(RUN_EVENTS.RUN_PAUSED, {
+      reason: "paused by user",
+    });
+
+    expect(event).toEqual({
+      type: "run:paused",
+      runId: 4,
+      at: expect.any(String),
+      reason: "paused by user",
+    });
+    expect(paused).toHaveBeenCalledWith(event);
+    expect(any).toHaveBeenCalledWith(event);
+  });
+
+  test("rejects event types that do not exist", () => {
+    const bus = new RunEventBus(4);
+
+    expect(() => bus.publish("run:pasued")).toThrow(
+      "Unknown run event: run:pasued",
+    );
+  });
+
+  test("a failing listener does not stop the others", () => {
+    const logger = { error: jest.fn() };
+    const bus = new RunEventBus(4, { logger });
+    const next = jest.fn();
+    bus.onAny(() => {
+      throw new Error("renderer gone");
+    });
+    bus.onAny(next);
+
+    bus.publish(RUN_EVENTS.RUN_CANCELLED);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith(
+      "[RunEvents] Listener for run:cancelled failed: renderer gone",
+    );
+  });
+
+  test("onAny returns a function that unsubscribes", () => {
+    const bus = new RunEventBus(4);
+    const listener = jest.fn();
+    const unsubscribe = bus.onAny(listener);
+
+    unsubscribe();
+    bus.publish(RUN_EVENTS.RUN_CANCELLED);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe("orchestrator events", () => {
+  let db;
+  let outputDir;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-events-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "a cat" },
+      { index: 2, promptText: "a dog" },
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  const createOrchestrator = (settings) =>
+    new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      ...settings,
+    });
+
+  test("carry the run id", () => {
+    const events = [];
+    const orchestrator = createOrchestrator({
+      onEvent: (event) => events.push(event),
+    });
+
+    orchestrator.publishProgress();
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: "run:progress", runId: db.runId }),
+    ]);
+  });
+
+  test("progress is published only when it changes", () => {
+    const onEvent = jest.fn();
+    const orchestrator = createOrchestrator({ onEvent });
+
+    orchestrator.publishProgress();
+    orchestrator.publishProgress();
+    db.setPromptStatus(db.getQueue()[0].id, "done", "poller");
+    orchestrator.publishProgress();
+
+    expect(onEvent).toHaveBeenCalledTimes(2);
+  });
+
+  test("feed the legacy onProgress callback", () => {
+    const onProgress = jest.fn();
+    const orchestrator = createOrchestrator({ onProgress });
+    db.setPromptStatus(db.getQueue()[0].id, "done", "poller");
+
+    orchestrator.publishProgress();
+
+    expect(onProgress).toHaveBeenCalledWith(
+      1,
+      "Completed 1/2 prompts (1 success, 0 failed)",
+      2,
+    );
+  });
+
+  test("download progress is throttled but the last chunk always sent", () => {
+    const onEvent = jest.fn();
+    const orchestrator = createOrchestrator({ onEvent });
+    const download = { downloadId: 1, promptId: 1, idx: 1 };
+
+    orchestrator.emitDownloadProgress(download, 100, 300);
+    orchestrator.emitDownloadProgress(download, 200, 300);
+    orchestrator.emitDownloadProgress(download, 300, 300);
+
+    expect(onEvent.mock.calls.map(([event]) => event.bytes)).toEqual([
+      100, 300,
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+// Submit response with one operation
+const submitResponse = (opName) => ({
+  operations: [
+    {
+      operation: { name: opName },
+      sceneId: `scene-${opName}`,
+      status: "MEDIA_GENERATION_STATUS_PENDING",
+    },
+  ],
+});
+
+describe("submit response correlation", () => {
+  let db;
+  let outputDir;
+  let events;
+  let orchestrator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-correlation-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun();
+    db.insertPrompts([
+      { index: 1, promptText: "a cat on a boat" },
+      { index: 2, promptText: "a dog in the snow" },
+    ]);
+    events = [];
+    orchestrator = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      onEvent: (event) => events.push(event),
+    });
+  });
+
+  afterEach(() => {
+    orchestrator.stop(); // Pollers started for submitted prompts
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  // Mark a prompt as submitting, like the submitter does
+  const submitting = (idx) => {
+    const prompt = db.getQueuedPrompt(idx);
+    db.markPromptSubmitting(prompt.id);
+    return { ...prompt, status: "submitting" };
+  };
+
+  const operationsOf = (idx) =>
+    db
+      .prepare(
+        `SELECT o.op_name FROM operations o JOIN prompts p ON p.id = o.prompt_id WHERE p.idx = ?`,
+      )
+      .all(idx)
+      .map((o) => o.op_name);
+
+  test("a late response goes to the prompt whose text it carries", async () => {
+    const first = submitting(1);
+    db.resetPromptToQueued(first.id); // Gave up waiting for its response
+    orchestrator.currentSubmittingPrompt = submitting(2);
+
+    await orchestrator.handleSubmitResponse(submitResponse("op-1"), {
+      promptTexts: ["a cat on a boat"],
+    });
+
+    expect(operationsOf(1)).toEqual(["op-1"]);
+    expect(db.getPromptStatus(first.id)).toBe("in_progress");
+    expect(operationsOf(2)).toEqual([]);
+    expect(orchestrator.currentSubmittingPrompt.idx).toBe(2);
+  });
+
+  test("a response with another text is flagged on the prompt being submitted", async () => {
+    const prompt = submitting(1);
+    orchestrator.currentSubmittingPrompt = prompt;
+
+    await orchestrator.handleSubmitResponse(submitResponse("op-1"), {
+      promptTexts: ["a cat on a bo"],
+    });
+
+    expect(operationsOf(1)).toEqual(["op-1"]);
+    expect(db.getPromptTimeline(db.runId, 1).prompt.submitted_text).toBe(
+      "a cat on a bo",
+    );
+    expect(events.filter((e) => e.type === RUN_EVENTS.PROMPT_MISMATCH)).toEqual(
+      [
+        expect.objectContaining({
+          idx: 1,
+          expected: "a cat on a boat",
+          submitted: "a cat on a bo",
+        }),
+      ],
+    );
+    expect(orchestrator.currentSubmittingPrompt).toBeNull();
+  });
+
+  test("whitespace Flow collapsed is not a mismatch", async () => {
+    orchestrator.currentSubmittingPrompt = submitting(1);
+
+    await orchestrator.handleSubmitResponse(submitResponse("op-1"), {
+      promptTexts: ["a cat  on a boat\n"],
+    });
+
+    expect(operationsOf(1)).toEqual(["op-1"]);
+    expect(db.getPromptTimeline(db.runId, 1).prompt.submitted_text).toBeNull();
+  });
+
+  test("a response for no known prompt is ignored", async () => {
+    await orchestrator.handleSubmitResponse(submitResponse("op-9"), {
+      promptTexts: ["a horse"],
+    });
+
+    expect(operationsOf(1)).toEqual([]);
+    expect(operationsOf(2)).toEqual([]);
+  });
+
+  test("a repeated response does not submit the prompt twice", async () => {
+    submitting(1);
+    const request = { promptTexts: ["a cat on a boat"] };
+
+    await orchestrator.handleSubmitResponse(submitResponse("op-1"), request);
+    await orchestrator.handleSubmitResponse(submitResponse("op-2"), request);
+
+    expect(operationsOf(1)).toEqual(["op-1"]);
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const VeoDatabase = require("../db");
+const SequentialOrchestrator = require("../sequential-orchestrator");
+const { RUN_EVENTS } = require("../run-events");
+
+// Capture backend that never delivers responses
+const idleCapture = () => ({
+  onSubmit() {},
+  onPoll() {},
+  onError() {},
+  onClosed() {},
+});
+
+// Error passed by the capture for a submit answered with an error status
+const submitError = (status, error = null) => ({
+  type: "submit",
+  endpoint: "batchAsyncGenerateVideoText",
+  status,
+  body: error && { error },
+  message: `HTTP ${status}: ${error?.message || error?.status || status}`,
+});
+
+describe("rejected submits", () => {
+  let db;
+  let outputDir;
+  let events;
+  let orchestrator;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "veo-submit-errors-"));
+    db = new VeoDatabase(":memory:");
+    await db.init();
+    db.createRun({ profilePath: "/profiles/a" });
+    db.insertPrompts([
+      { index: 1, promptText: "a cat on a boat" },
+      { index: 2, promptText: "a dog in the snow" },
+    ]);
+    events = [];
+    orchestrator = new SequentialOrchestrator({}, idleCapture(), db, null, {
+      outputDir,
+      profilePath: "/profiles/a",
+      onEvent: (event) => events.push(event),
+    });
+    orchestrator.running = true;
+    orchestrator.acceptingPrompts = true;
+  });
+
+  afterEach(() => {
+    orchestrator.stop();
+    jest.restoreAllMocks();
+    db.close();
+    fs.removeSync(outputDir);
+  });
+
+  // Mark a prompt as submitting, like the submitter does
+  const submitting = (idx) => {
+    const prompt = db.getQueuedPrompt(idx);
+    db.markPromptSubmitting(prompt.id);
+    orchestrator.currentSubmittingPrompt = { ...prompt, status: "submitting" };
+    return prompt;
+  };
+
+  const request = { promptTexts: ["a cat on a boat"] };
+  const published = (type) => events.filter((e) => e.type === type);
+
+  test("an invalid prompt fails without counting against the profile", async () => {
+    const prompt = submitting(1);
+
+    await orchestrator.handleApiError(
+      submitError(400, {
+        status: "INVALID_ARGUMENT",
+        message: "Prompt blocked by safety filter",
+      }),
+      request,
+    );
+
+    expect(db.getPromptStatus(prompt.id)).toBe("failed");
+    expect(db.getPromptTimeline(db.runId, 1).prompt.error).toBe(
+      "Submit rejected: HTTP 400: Prompt blocked by safety filter",
+    );
+    expect(published(RUN_EVENTS.PROMPT_FAILED)).toEqual([
+      expect.objectContaining({ idx: 1 }),
+    ]);
+    expect(orchestrator.currentSubmittingPrompt).toBeNull();
+    expect(orchestrator.submitRejections).toBe(0);
+  });
+
+  test("a rate limit requeues the prompt and exhausts the profile", async () => {
+    const prompt = submitting(1);
+
+    await orchestrator.handleApiError(submitError(429), request);
+
+    expect(db.getPromptStatus(prompt.id)).toBe("queued");
+    expect(orchestrator.exhaustedReason).toBe("rate-limited (HTTP 429: 429)");
+    expect(published(RUN_EVENTS.PROFILE_EXHAUSTED)).toEqual([
+      expect.objectContaining({ kind: "rate_limit" }),
+    ]);
+  });
+
+  test("an error body in a submit response is a rejected submit", async () => {
+    const prompt = submitting(1);
+
+    await orchestrator.handleSubmitResponse(
+      {
+        error: {
+          code: 429,
+          status: "RESOURCE_EXHAUSTED",
+          message: "Quota exceeded",
+        },
+      },
+      request,
+    );
+
+    expect(db.getPromptStatus(prompt.id)).toBe("queued");
+    expect(orchestrator.exhaustedReason).toBe("rate-limited (Quota exceeded)");
+  });
+
+  test("a server error requeues the prompt and counts a rejection", async () => {
+    const prompt = submitting(1);
+
+    await orchestrator.handleApiError(submitError(500), request);
+
+    expect(db.getPromptStatus(prompt.id)).toBe("queued");
+    expect(orchestrator.submitRejections).toBe(1);
+    expect(orchestrator.exhaustedReason).toBeNull();
+    expect(orchestrator.currentSubmittingPrompt).toBeNull();
+  });
+
+  test("a prompt no longer being submitted is left alone", async () => {
+    const prompt = submitting(1);
+    db.markPromptFailed(prompt.id, "Cancelled");
+
+    await orchestrator.handleApiError(submitError(500), request);
+
+    expect(db.getPromptStatus(prompt.id)).toBe("failed");
+    expect(db.getPromptStatus(db.getQueuedPrompt(2).id)).toBe("queued");
+  });
+
+  test("errors of other endpoints are reported", async () => {
+    await orchestrator.handleApiError({
+      type: "poll",
+      endpoint: "batchCheckAsyncVideoGenerationStatus",
+      status: 503,
+      message: "HTTP 503",
+    });
+
+    expect(published(RUN_EVENTS.RUN_ERROR)).toEqual([
+      expect.objectContaining({
+        scope: "cdp",
+        message: "batchCheckAsyncVideoGenerationStatus failed: HTTP 503",
+      }),
+    ]);
+    expect(orchestrator.submitRejections).toBe(0);
+  });
+});
@@ -0,0 +1,103 @@
+const { TimeoutPolicy, DEFAULT_TIMEOUT_MS } = require("../timeout-policy");
+
+const SECOND = 1000;
+
+/**
+ * Policy over fixed latencies (db.getCompletionLatencies stub)
+ */
+function policyWith(latencies, options = {}) {
+  const db = { getCompletionLatencies: jest.fn(() => latencies) };
+  return { db, policy: new TimeoutPolicy(db, options) };
+}
+
+describe("TimeoutPolicy", () => {
+  test("uses the model default until enough samples exist", () => {
+    const { policy } = policyWith([100 * SECOND, 110 * SECOND]);
+
+    expect(policy.computeTimeout("Veo 3.1 - Quality", 1)).toEqual({
+      timeoutMs: 420000,
+      source: "default",
+      samples: 2,
+    });
+  });
+
+  test("scales the default with the number of outputs", () => {
+    const { policy } = policyWith([]);
+
+    expect(policy.getDefaultTimeoutMs("Veo 3.1 - Fast", 4)).toBe(
+      210000 + 3 * 30000,
+    );
+    expect(policy.getDefaultTimeoutMs("Unknown model")).toBe(
+      DEFAULT_TIMEOUT_MS,
+    );
+  });
+
+  test("learns p95 plus margin from completed prompts", () => {
+    // 20 samples of 100..195s: nearest-rank p95 is the 19th, 190s
+    const latencies = Array.from(
+      { length: 20 },
+      (_, i) => (100 + i * 5) * SECOND,
+    );
+    const { policy } = policyWith(latencies);
+
+    expect(policy.computeTimeout("Veo 3.1 - Fast", 1)).toEqual({
+      timeoutMs: 190 * SECOND * 1.25,
+      source: "learned",
+      samples: 20,
+      p95Ms: 190 * SECOND,
+    });
+  });
+
+  test("keeps at least the minimum margin", () => {
+    const { policy } = policyWith(Array(5).fill(100 * SECOND), {
+      minTimeoutMs: 1,
+    });
+
+    // 25% of 100s is below the 30s minimum margin
+    expect(policy.computeTimeout("Veo 3.1 - Fast", 1).timeoutMs).toBe(
+      130 * SECOND,
+    );
+  });
+
+  test("clamps to the minimum and maximum timeout", () => {
+    const fast = policyWith(Array(5).fill(10 * SECOND)).policy;
+    expect(fast.computeTimeout("Veo 3.1 - Fast", 1).timeoutMs).toBe(120000);
+
+    const slow = policyWith(Array(5).fill(14 * 60 * SECOND)).policy;
+    expect(slow.computeTimeout("Veo 3.1 - Fast", 1).timeoutMs).toBe(
+      15 * 60 * SECOND,
+    );
+  });
+
+  test("ignores latencies beyond the cap (resumed or stalled prompts)", () => {
+    const { policy } = policyWith([
+      ...Array(5).fill(100 * SECOND),
+      60 * 60 * SECOND,
+      0,
+    ]);
+
+    const result = policy.computeTimeout("Veo 3.1 - Fast", 1);
+    expect(result.samples).toBe(5);
+    expect(result.p95Ms).toBe(100 * SECOND);
+  });
+
+  test("a fixed timeout disables learning", () => {
+    const { db, policy } = policyWith([], { fixedTimeoutMs: 5000 });
+
+    expect(policy.getTimeout("Veo 3.1 - Fast", 1)).toEqual({
+      timeoutMs: 5000,
+      source: "fixed",
+      samples: 0,
+    });
+    expect(db.getCompletionLatencies).not.toHaveBeenCalled();
+  });
+
+  test("caches a computed timeout per model and outputs", () => {
+    const { db, policy } = policyWith([]);
+
+    policy.getTimeout("Veo 3.1 - Fast", 1);
+    policy.getTimeout("Veo 3.1 - Fast", 1);
+    policy.getTimeout("Veo 3.1 - Fast", 2);
+    expect(db.getCompletionLatencies).toHaveBeenCalledTimes(2);
+  });
+});
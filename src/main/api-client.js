@@ -259,7 +259,10 @@ class VeoApiClient {
             .then(resolve)
             .catch(reject);
         } else if (res.statusCode === 403) {
-          reject(new Error("URL expired (403)"));
+          // Expired signed URL: refresh it with pollStatus() and retry
+          const error = new Error("URL expired (403)");
+          error.statusCode = 403;
+          reject(error);
         } else {
           reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
         }
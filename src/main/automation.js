@@ -5,11 +5,22 @@ const chrome = require("selenium-webdriver/chrome");
 const winston = require("winston");
 const path = require("path");
 const { getChromePath } = require("./chrome-helper");
+const { normalizePromptSettings } = require("./veo-settings-integration");
 
 // Import new modules
 const VeoDatabase = require("./db");
 const CDPInterceptor = require("./cdp-interceptor-v2");
+const CDPNetworkCapture = require("./cdp-network-capture");
+const { EndpointRegistry } = require("./endpoint-registry");
+const HarRecorder = require("./har-recorder");
 const SequentialOrchestrator = require("./sequential-orchestrator");
+const ProfilePool = require("./profile-pool");
+const ProfileManager = require("./profile-manager");
+const {
+  RunControlServer,
+  getRunOwner,
+  sendRunCommand,
+} = require("./run-control");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -28,6 +39,76 @@ const logger = winston.createLogger({
   ],
 });
 
+const DB_PATH = "data/veo-automation.db";
+
+// Runs executing in this process: runId → { db, orchestrator }
+const activeRuns = new Map();
+
+// How long an exhausted profile is skipped by failovers
+const PROFILE_COOLDOWN_MS = {
+  credits: 24 * 60 * 60 * 1000,
+  rate_limit: 30 * 60 * 1000,
+};
+
+let profileManager = null;
+
+/**
+ * Profiles registry (profiles.json), loaded on first use
+ */
+async function getProfileManager() {
+  if (!profileManager) {
+    profileManager = new ProfileManager();
+    await profileManager.init();
+  }
+  return profileManager;
+}
+
+/**
+ * Database persistence options from automation settings
+ * settings.dbDurability: "full" | "transition" (default) | "interval"
+ * settings.dbFlushIntervalMs: max delay for batched writes (default 1000)
+ */
+function getDatabaseOptions(settings = {}) {
+  return {
+    durability: settings.dbDurability,
+    flushIntervalMs: settings.dbFlushIntervalMs,
+  };
+}
+
+/**
+ * Prepare prompts data for insertion (index starts from firstIndex)
+ * A prompt is either a string or { text, repeat?, mode?, aspectRatio?, outputs?, model? }
+ * `repeat: n` queues n separate takes of the same text
+ */
+function preparePrompts(prompts, firstIndex = 1) {
+  const promptsData = [];
+  for (const [position, prompt] of prompts.entries()) {
+    const isString = typeof prompt === "string";
+    const promptText = isString ? prompt : prompt.text;
+    const promptSettings = isString ? {} : normalizePromptSettings(prompt);
+    // Not given (or an empty CSV cell) is one take; 0, "abc" or 2.5 are
+    // mistakes, not a default
+    const missing = isString || [undefined, null, ""].includes(prompt.repeat);
+    const repeat = missing ? 1 : Number(prompt.repeat);
+
+    if (!Number.isInteger(repeat) || repeat < 1) {
+      throw new Error(
+        `Invalid repeat count "${prompt.repeat}" for prompt ${position + 1} (${String(promptText).slice(0, 50)}): must be a positive integer`,
+      );
+    }
+
+    for (let repeatIndex = 0; repeatIndex < repeat; repeatIndex++) {
+      promptsData.push({
+        index: firstIndex + promptsData.length,
+        promptText,
+        settings: promptSettings,
+        repeatIndex,
+      });
+    }
+  }
+  return promptsData;
+}
+
 /**
  * Main API-driven automation function
  * Replaces old DOM-based two-phase automation
@@ -38,132 +119,190 @@ async function automateWithAPIQueue(profilePath, prompts, settings = {}) {
   logger.info(`Prompts: ${prompts.length}`);
   logger.info(`Settings:`, settings);
 
-  // Initialize database
-  const db = new VeoDatabase("data/veo-automation.db");
-  await db.init();
+  const promptsData = preparePrompts(prompts);
 
-  // Prepare prompts data (index starts from 1)
-  const promptsData = prompts.map((promptText, index) => ({
-    index: index + 1,
-    promptText,
-  }));
+  const mixedSettings = promptsData.filter(
+    (p) => p.settings && Object.keys(p.settings).length > 0,
+  ).length;
+  if (mixedSettings > 0) {
+    logger.info(`${mixedSettings} prompts have their own generation settings`);
+  }
 
   logger.info(
     `Prepared ${promptsData.length} prompts: ${promptsData.map((p) => `#${p.index}`).join(", ")}`,
   );
 
-  // Clear old data from database (BEFORE inserting new prompts)
-  try {
-    db.exec("DELETE FROM downloads");
-    db.exec("DELETE FROM operations");
-    db.exec("DELETE FROM prompts");
-    db.save();
-    logger.info("Cleared old data from database");
-  } catch (clearError) {
-    logger.warn(`Failed to clear old data: ${clearError.message}`);
-  }
+  // Initialize database
+  const db = new VeoDatabase(DB_PATH, getDatabaseOptions(settings));
+  await db.init();
 
-  // Verify database is empty
-  const countBefore = db.prepare("SELECT COUNT(*) as count FROM prompts").get();
-  logger.info(`Prompts in DB before insert: ${countBefore.count}`);
+  // Start a new run (older runs stay in the database for audits/re-downloads)
+  const runId = db.createRun({ profilePath, settings });
+  logger.info(`Created run #${runId}`);
+  settings.onRunCreated?.(runId);
 
   // Insert prompts into database
-  db.insertPrompts(promptsData);
-  logger.info(`Inserted ${promptsData.length} prompts into database`);
+  // Identical prompts are separate takes unless dedupePrompts restores the old skip behaviour
+  const { inserted, skipped } = db.insertPrompts(promptsData, {
+    dedupe: !!settings.dedupePrompts,
+  });
+  logger.info(
+    `Inserted ${inserted} prompts into database${skipped ? ` (${skipped} duplicates skipped)` : ""}`,
+  );
 
   // Verify all prompts were inserted
-  const countAfter = db.prepare("SELECT COUNT(*) as count FROM prompts").get();
+  const countAfter = db
+    .prepare("SELECT COUNT(*) as count FROM prompts WHERE run_id = ?")
+    .get(runId);
   logger.info(`Prompts in DB after insert: ${countAfter.count}`);
 
-  if (countAfter.count !== promptsData.length) {
+  if (countAfter.count !== promptsData.length - skipped) {
     logger.error(
-      `ERROR: Expected ${promptsData.length} prompts but found ${countAfter.count}!`,
+      `ERROR: Expected ${promptsData.length - skipped} prompts but found ${countAfter.count}!`,
     );
 
     // Show which prompts are in DB
-    const allPrompts = db.prepare("SELECT idx FROM prompts ORDER BY idx").all();
+    const allPrompts = db
+      .prepare("SELECT idx FROM prompts WHERE run_id = ? ORDER BY idx")
+      .all(runId);
     logger.info(
       `Prompts in DB: ${allPrompts.map((p) => `#${p.idx}`).join(", ")}`,
     );
   }
 
-  // Create Selenium driver for authentication
-  const driver = await createDriver(profilePath);
-  let apiClient = null;
-  let orchestrator = null;
+  return executeRun(db, runId, profilePath, settings);
+}
 
-  try {
-    // Navigate to VEO Flow and authenticate
-    logger.info("Opening VEO Flow for authentication...");
-    await driver.get("https://labs.google/fx/tools/flow");
-    await driver.sleep(3000);
+/**
+ * Resume the most recent unfinished run instead of starting over
+ * Prompts that already have operations are re-attached to polling,
+ * only prompts that never ran are submitted.
+ */
+async function resumeLastRun(profilePath = null, settings = {}) {
+  logger.info("=== Resuming Last Unfinished VEO Run ===");
 
-    // Create new project (optional, for clean state)
-    try {
-      const buttons = await driver.findElements(By.css("button"));
-      for (const button of buttons) {
-        try {
-          const text = await button.getText();
-          if (text.includes("Dự án mới") || text.includes("New project")) {
-            await driver.executeScript("arguments[0].click();", button);
-            logger.info("New project created");
-            break;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-    } catch (error) {
-      logger.warn("Could not create project, continuing...");
-    }
+  const db = new VeoDatabase(DB_PATH, getDatabaseOptions(settings));
+  await db.init();
 
-    await driver.sleep(2000);
+  const run = db.getLastUnfinishedRun();
+  if (!run) {
+    db.close();
+    throw new Error("No unfinished run to resume");
+  }
+
+  // A run still executing (here, or in the process that owns the database
+  // file) is not resumed: its queue would be submitted twice
+  const owner = activeRuns.has(run.id) ? process.pid : getRunOwner(run.id);
+  if (owner) {
+    db.close();
+    throw new Error(
+      `Run #${run.id} is still running (pid ${owner}), nothing to resume`,
+    );
+  }
 
-    // ========================================
-    // Configure VEO Settings (NEW)
-    // ========================================
-    if (settings.mode || settings.aspectRatio || settings.outputs || settings.model) {
-      logger.info("Configuring VEO settings...");
-      const { configureVEOSettings } = require('./veo-settings-integration');
-      
+  db.setActiveRun(run.id);
+  db.resumeCleanup();
+  db.markRunResumed(run.id);
+  settings.onRunCreated?.(run.id);
+
+  const stats = db.getStats();
+  logger.info(
+    `Resuming run #${run.id} (started ${run.started_at}): queued=${stats.queued}, in_progress=${stats.in_progress}, done=${stats.done}, failed=${stats.failed}, timeout=${stats.timeout}`,
+  );
+
+  // Stored settings win over nothing, caller overrides (callbacks, outputDir) win over stored;
+  // options the caller left undefined (e.g. no --credit-floor) keep the stored value
+  const overrides = Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== undefined),
+  );
+  return executeRun(
+    db,
+    run.id,
+    profilePath || run.profile_path,
+    { ...run.settings, ...overrides },
+    { projectUrl: run.project_url },
+  );
+}
+
+/**
+ * Drive a run in the browser until all its prompts are processed
+ */
+async function executeRun(
+  db,
+  runId,
+  profilePath,
+  settings = {},
+  options = {},
+) {
+  // Several profiles drain the run's queue together (automateConcurrentGeneration)
+  const profilePaths = settings.profilePaths?.length
+    ? settings.profilePaths
+    : [profilePath];
+  if (profilePaths.some((p) => !p)) {
+    db.close();
+    throw new Error(`Run #${runId} has no profile path`);
+  }
+  const sharedQueue = profilePaths.length > 1;
+
+  let apiClient = null;
+  let orchestrator = null;
+  const members = []; // One orchestrator (browser) per profile
+  let control = null;
+
+  // Every browser of the run (relaunches, failover) records to one file
+  const harRecorder = createHarRecorder(runId, settings);
+  settings = { ...settings, harRecorder };
+
+  try {
+    // Browsers are launched one after another; with a shared queue a
+    // profile that fails to open is left out instead of failing the run
+    for (const memberPath of profilePaths) {
       try {
-        await configureVEOSettings(driver, {
-          mode: settings.mode,
-          aspectRatio: settings.aspectRatio,
-          outputs: settings.outputs,
-          model: settings.model
-        }, logger);
-        logger.info("VEO settings configured successfully");
+        members.push(
+          await createProfileOrchestrator(db, runId, memberPath, settings, {
+            // Each profile has its own project; a single profile reopens
+            // the one resumeLastRun passes, whichever profile resumes
+            projectUrl: sharedQueue
+              ? db.getRunProjectUrl(runId, memberPath)
+              : options.projectUrl,
+            sharedQueue,
+            downloadConcurrency: Math.ceil(
+              (settings.downloadConcurrency || 5) / profilePaths.length,
+            ),
+          }),
+        );
       } catch (error) {
-        logger.warn(`Failed to configure VEO settings: ${error.message}`);
-        // Continue anyway - settings might already be correct
+        if (!sharedQueue) throw error;
+        logger.error(`Profile ${memberPath} failed to start: ${error.message}`);
       }
     }
-    // ========================================
-
-    // Enable CDP network interception
-    logger.info("Enabling CDP network interception...");
-    const cdpInterceptor = new CDPInterceptor(driver, logger);
-    await cdpInterceptor.enable();
-    logger.info("CDP enabled - passively monitoring VEO API calls");
+    if (members.length === 0) {
+      throw new Error("None of the profiles could be started");
+    }
 
-    // Create sequential orchestrator
-    orchestrator = new SequentialOrchestrator(
-      driver,
-      cdpInterceptor,
-      db,
-      logger,
-      {
-        downloadConcurrency: settings.downloadConcurrency || 5,
-        outputDir: settings.outputDir || "outputs",
-        onProgress: settings.onProgress, // Pass progress callback to orchestrator
-      },
-    );
+    // Also for a single profile: a failover adds profiles to the pool
+    orchestrator = new ProfilePool(members, db, logger, {
+      onProgress: settings.onProgress,
+      onEvent: settings.onEvent,
+      failover:
+        settings.failover === false
+          ? null
+          : createFailoverHooks(db, runId, settings, profilePaths.length),
+    });
 
     // Start orchestration
     logger.info("Starting orchestrator (Feeder, Poller, Downloader)...");
     orchestrator.start();
 
+    // Accept queue changes (IPC in this process, CLI from other processes)
+    activeRuns.set(runId, { db, orchestrator });
+    control = new RunControlServer(
+      runId,
+      (command) => applyRunCommand({ db, orchestrator }, command),
+      { logger },
+    );
+    control.start();
+
     // Log stats periodically
     const statsInterval = setInterval(() => {
       const stats = orchestrator.getStats();
@@ -178,6 +317,12 @@ async function automateWithAPIQueue(profilePath, prompts, settings = {}) {
 
     clearInterval(statsInterval);
 
+    if (orchestrator.browserLostError) {
+      throw new Error(
+        `Browser lost after ${orchestrator.browserRestarts} relaunches: ${orchestrator.browserLostError}`,
+      );
+    }
+
     // Export manifest
     logger.info("Exporting manifest...");
     const manifest = orchestrator.exportManifest("dist/manifest.json");
@@ -185,22 +330,82 @@ async function automateWithAPIQueue(profilePath, prompts, settings = {}) {
     // Get final stats
     const finalStats = orchestrator.getStats();
 
+    // Credits ledger summary
+    const credits = db.getCreditsSummary(runId, settings.creditFloor || 0);
+    credits.forEach((c) => {
+      logger.info(
+        `[Credits] ${c.profilePath}: ${c.remainingCredits} remaining, ${c.spent} spent` +
+          (c.burnPerHour !== null ? `, ~${c.burnPerHour}/hour` : "") +
+          (c.affordablePrompts !== null
+            ? `, ~${c.affordablePrompts} prompts affordable`
+            : ""),
+      );
+    });
+
+    // Which profile handled which prompts
+    const profiles = db.getProfileReport(runId);
+    profiles.forEach((p) => {
+      logger.info(
+        `[Profiles] ${p.profilePath}: ${p.prompts.length} prompts (${p.done} done, ${p.failed} failed, ${p.operations} videos), #${p.prompts.join(", #")}`,
+      );
+    });
+
+    if (finalStats.mismatched > 0) {
+      logger.warn(
+        `${finalStats.mismatched} prompts reached Flow with a different text (see: npm run cli -- timeline <idx>)`,
+      );
+    }
+
+    // A pause only matters if it left prompts behind (with a shared
+    // queue, a lost browser can also leave its in-progress prompts)
+    const cancelled = !!orchestrator.cancelRequestedAt;
+    const unfinished =
+      (finalStats.queued || 0) +
+      (finalStats.submitting || 0) +
+      (finalStats.in_progress || 0);
+    const paused =
+      !cancelled && unfinished > 0 ? orchestrator.pausedReason : null;
+
+    if (cancelled) {
+      // Submitted prompts stay in_progress, resumeLastRun re-attaches them
+      logger.warn(`Run #${runId} cancelled`);
+      db.finishRun(runId, "interrupted", "Cancelled by user");
+    } else if (paused) {
+      // Queued prompts stay queued, the run can be resumed later
+      logger.warn(`Run #${runId} paused: ${paused}`);
+      db.finishRun(runId, "interrupted", `Paused: ${paused}`);
+    } else {
+      db.finishRun(runId, "completed");
+    }
+
+    // Re-read the prompts: some may have been enqueued or cancelled meanwhile
+    const runPrompts = db
+      .prepare(
+        "SELECT idx, prompt_text, status FROM prompts WHERE run_id = ? ORDER BY idx",
+      )
+      .all(runId);
+
     // Format results for compatibility with existing UI
     const results = {
-      totalPrompts: promptsData.length,
+      runId,
+      totalPrompts: runPrompts.length,
       totalVideos: finalStats.downloaded || 0,
       promptsWithVideos: finalStats.done || 0,
       manifest: manifest,
-      prompts: promptsData.map((p) => {
-        const promptOps = manifest.filter((m) => m.idx === p.index);
+      prompts: runPrompts.map((p) => {
+        const promptOps = manifest.filter((m) => m.idx === p.idx);
         return {
-          index: p.index,
-          promptText: p.promptText,
+          index: p.idx,
+          promptText: p.prompt_text,
           submitTime: promptOps[0]?.submit_at || null,
-          status: promptOps[0]?.prompt_status || "unknown",
+          status: p.status,
         };
       }),
       stats: finalStats,
+      credits,
+      profiles,
+      paused,
+      cancelled,
     };
 
     logger.info("=== API-Driven Automation Completed ===");
@@ -212,27 +417,292 @@ async function automateWithAPIQueue(profilePath, prompts, settings = {}) {
   } catch (error) {
     logger.error(`API-driven automation failed: ${error.message}`);
     logger.error(error.stack);
+    db.finishRun(runId, "failed", error.message);
     throw error;
   } finally {
     // Cleanup
-    if (orchestrator) {
-      orchestrator.stop();
+    activeRuns.delete(runId);
+    if (control) {
+      control.stop();
     }
 
-    if (orchestrator && orchestrator.cdp) {
-      await orchestrator.cdp.disable();
+    for (const member of members) {
+      member.stop();
+      try {
+        // Rejects when the browser is already gone
+        await member.cdp.disable();
+      } catch (e) {
+        logger.warn(`Failed to disable network capture: ${e.message}`);
+      }
     }
+    await harRecorder?.close();
 
     if (db) {
       db.close();
     }
 
+    for (const member of members) {
+      try {
+        // The supervisor may have replaced the driver after a crash
+        await member.driver.quit();
+      } catch (e) {
+        logger.warn(`Failed to quit driver: ${e.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Open a profile's browser on the run and create its orchestrator
+ * options: { projectUrl, sharedQueue, downloadConcurrency }
+ */
+async function createProfileOrchestrator(
+  db,
+  runId,
+  profilePath,
+  settings,
+  options = {},
+) {
+  const { driver, cdpInterceptor } = await launchBrowser(
+    db,
+    runId,
+    profilePath,
+    settings,
+    options.projectUrl,
+  );
+
+  return new SequentialOrchestrator(driver, cdpInterceptor, db, logger, {
+    downloadConcurrency: options.downloadConcurrency,
+    outputDir: settings.outputDir || "outputs",
+    // Settings the Flow page is configured with; prompts that differ trigger reconfiguration
+    veoSettings: {
+      mode: settings.mode,
+      aspectRatio: settings.aspectRatio,
+      outputs: settings.outputs,
+      model: settings.model,
+    },
+    // Progress and run events are published by the ProfilePool
+    profilePath,
+    sharedQueue: !!options.sharedQueue,
+    creditFloor: settings.creditFloor ?? null,
+    promptTimeoutMs: settings.promptTimeoutMs, // Fixed timeout instead of the learned one
+    dedupePrompts: !!settings.dedupePrompts, // Also applies to prompts enqueued later
+    // After a Chrome crash: same profile, same Flow project, run settings
+    relaunchBrowser: () =>
+      launchBrowser(
+        db,
+        runId,
+        profilePath,
+        settings,
+        db.getRunProjectUrl(runId, profilePath),
+      ),
+    maxBrowserRestarts: settings.maxBrowserRestarts,
+    // No submit response captured: a fresh capture on the same page
+    reopenCapture: (driver, mode) =>
+      enableNetworkCapture(
+        driver,
+        mode ? { ...settings, networkCapture: mode } : settings,
+      ),
+    maxSubmitRejections: settings.maxSubmitRejections,
+  });
+}
+
+/**
+ * Failover hooks of a run's ProfilePool: exhausted profiles are cooled
+ * down in profiles.json and the next healthy profile takes over
+ */
+function createFailoverHooks(db, runId, settings, initialProfiles) {
+  return {
+    nextProfile: async (excludePaths) => {
+      const manager = await getProfileManager();
+      const profile = await manager.getNextHealthyProfile(excludePaths);
+      return profile ? profile.path : null;
+    },
+    launchProfile: (profilePath) =>
+      createProfileOrchestrator(db, runId, profilePath, settings, {
+        projectUrl: db.getRunProjectUrl(runId, profilePath),
+        sharedQueue: true,
+        downloadConcurrency: Math.ceil(
+          (settings.downloadConcurrency || 5) / initialProfiles,
+        ),
+      }),
+    cooldown: async (profilePath, kind, reason) => {
+      const until = new Date(
+        Date.now() +
+          (PROFILE_COOLDOWN_MS[kind] || PROFILE_COOLDOWN_MS.rate_limit),
+      ).toISOString();
+      const manager = await getProfileManager();
+      if (!(await manager.setCooldown(profilePath, until, reason))) {
+        logger.warn(
+          `Profile ${profilePath} is not in profiles.json, no cooldown recorded`,
+        );
+      }
+      return until;
+    },
+  };
+}
+
+/**
+ * HAR recorder of the run's Flow traffic when settings.recordHar is set
+ * Written next to the run's outputs (<outputDir>/run-<id>.har);
+ * settings.harMaxBytes caps its size (default 50 MB) and
+ * settings.harVideoBodies keeps video response bodies
+ */
+function createHarRecorder(runId, settings) {
+  if (!settings.recordHar) return null;
+  return new HarRecorder(
+    path.join(settings.outputDir || "outputs", `run-${runId}.har`),
+    {
+      maxBytes: settings.harMaxBytes,
+      videoBodies: !!settings.harVideoBodies,
+      logger,
+    },
+  );
+}
+
+/**
+ * Launch a browser for a profile of the run and open its Flow project
+ * (first launch, or after a crash)
+ * Returns: { driver, cdpInterceptor }
+ */
+async function launchBrowser(db, runId, profilePath, settings, projectUrl) {
+  const driver = await createDriver(profilePath);
+  try {
+    const cdpInterceptor = await openFlowPage(
+      driver,
+      db,
+      runId,
+      settings,
+      projectUrl,
+      profilePath,
+    );
+    return { driver, cdpInterceptor };
+  } catch (error) {
+    await driver.quit().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Open the run's Flow project (or a new one), configure the run settings
+ * and inject the network interceptor
+ * profilePath: the profile the new project belongs to
+ * Returns the CDP interceptor
+ */
+async function openFlowPage(
+  driver,
+  db,
+  runId,
+  settings,
+  projectUrl = null,
+  profilePath = null,
+) {
+  if (projectUrl) {
+    // Reopen the run's project so Flow keeps polling its operations
+    logger.info(`Reopening Flow project: ${projectUrl}`);
+    await driver.get(projectUrl);
+    await driver.sleep(3000);
+    // A relaunch of this profile reopens it too
+    db.setRunProjectUrl(runId, projectUrl, profilePath);
+  } else {
+    // Navigate to VEO Flow and authenticate
+    logger.info("Opening VEO Flow for authentication...");
+    await driver.get("https://labs.google/fx/tools/flow");
+    await driver.sleep(3000);
+
+    // Create new project (optional, for clean state)
+    try {
+      const buttons = await driver.findElements(By.css("button"));
+      for (const button of buttons) {
+        try {
+          const text = await button.getText();
+          if (text.includes("Dự án mới") || text.includes("New project")) {
+            await driver.executeScript("arguments[0].click();", button);
+            logger.info("New project created");
+            break;
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+    } catch (error) {
+      logger.warn("Could not create project, continuing...");
+    }
+
+    await driver.sleep(2000);
+
+    // Remember the project so a resume can reopen it
     try {
-      await driver.quit();
-    } catch (e) {
-      logger.warn(`Failed to quit driver: ${e.message}`);
+      db.setRunProjectUrl(runId, await driver.getCurrentUrl(), profilePath);
+    } catch (error) {
+      logger.warn(`Could not record project URL: ${error.message}`);
+    }
+  }
+
+  // ========================================
+  // Configure VEO Settings (NEW)
+  // ========================================
+  if (settings.mode || settings.aspectRatio || settings.outputs || settings.model) {
+    logger.info("Configuring VEO settings...");
+    const { configureVEOSettings } = require('./veo-settings-integration');
+    
+    try {
+      await configureVEOSettings(driver, {
+        mode: settings.mode,
+        aspectRatio: settings.aspectRatio,
+        outputs: settings.outputs,
+        model: settings.model
+      }, logger);
+      logger.info("VEO settings configured successfully");
+    } catch (error) {
+      logger.warn(`Failed to configure VEO settings: ${error.message}`);
+      // Continue anyway - settings might already be correct
+    }
+  }
+  // ========================================
+
+  // Enable CDP network interception
+  logger.info("Enabling CDP network interception...");
+  const cdpInterceptor = await enableNetworkCapture(driver, settings);
+  logger.info("CDP enabled - passively monitoring VEO API calls");
+
+  return cdpInterceptor;
+}
+
+/**
+ * Start capturing Flow's submit/poll responses
+ * settings.networkCapture: "cdp" (DevTools Network events, default) or
+ * "script" (injected fetch/XHR hook read every 500ms); "cdp" falls back
+ * to the script when the DevTools session cannot be opened
+ * settings.endpointsConfig: endpoint registry JSON replacing the bundled
+ * src/main/veo-endpoints.json
+ * settings.harRecorder: HAR recorder of the run (see createHarRecorder)
+ */
+async function enableNetworkCapture(driver, settings = {}) {
+  const mode = settings.networkCapture || "cdp";
+  if (!["cdp", "script"].includes(mode)) {
+    throw new Error(`Unknown network capture: ${mode} (use cdp or script)`);
+  }
+  const registry = EndpointRegistry.load(settings.endpointsConfig);
+
+  if (mode === "cdp") {
+    const capture = new CDPNetworkCapture(driver, logger, registry);
+    if (settings.harRecorder) capture.setRecorder(settings.harRecorder);
+    try {
+      await capture.enable();
+      return capture;
+    } catch (error) {
+      logger.warn(
+        `DevTools network capture unavailable (${error.message}), using the injected script`,
+      );
+      await capture.disable();
     }
   }
+
+  const interceptor = new CDPInterceptor(driver, logger, registry);
+  if (settings.harRecorder) interceptor.setRecorder(settings.harRecorder);
+  await interceptor.enable();
+  return interceptor;
 }
 
 /**
@@ -265,6 +735,9 @@ async function createDriver(profilePath) {
 
 /**
  * Load prompts from CSV file
+ * Optional columns mode, aspect_ratio, outputs, model set per-prompt
+ * settings; rows without them use the run settings. Optional column
+ * repeat queues that many takes of the row.
  */
 async function loadPromptsFromCSV(csvPath) {
   const prompts = [];
@@ -274,7 +747,26 @@ async function loadPromptsFromCSV(csvPath) {
       .pipe(csvParser())
       .on("data", (row) => {
         if (row.prompt && row.prompt.trim()) {
-          prompts.push(row.prompt.trim());
+          const text = row.prompt.trim();
+          const hasSettings =
+            row.mode ||
+            row.aspect_ratio ||
+            row.outputs ||
+            row.model ||
+            row.repeat;
+
+          prompts.push(
+            hasSettings
+              ? {
+                  text,
+                  repeat: row.repeat || 1,
+                  mode: row.mode,
+                  aspectRatio: row.aspect_ratio,
+                  outputs: row.outputs,
+                  model: row.model,
+                }
+              : text,
+          );
         }
       })
       .on("end", () => {
@@ -285,6 +777,243 @@ async function loadPromptsFromCSV(csvPath) {
   });
 }
 
+/**
+ * Download the videos a finished run never saved (expired fifeUrls are
+ * refreshed through the browser session of the run's profile)
+ */
+async function redownloadRun(runId, profilePath = null, settings = {}) {
+  logger.info(`=== Re-downloading missing videos of run #${runId} ===`);
+
+  const db = new VeoDatabase(DB_PATH, getDatabaseOptions(settings));
+  await db.init();
+
+  let run;
+  try {
+    run = db.setActiveRun(runId);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+
+  const missing = db.getUndownloadedOperations(run.id).length;
+  if (missing === 0) {
+    db.close();
+    logger.info("Nothing to re-download");
+    return { runId: run.id, missing: 0, refreshed: 0, downloaded: 0, failed: 0 };
+  }
+
+  profilePath = profilePath || run.profile_path;
+  if (!profilePath) {
+    db.close();
+    throw new Error(`Run #${run.id} has no profile path`);
+  }
+
+  const driver = await createDriver(profilePath);
+  try {
+    // The API client authenticates with the page's cookies
+    await driver.get(run.project_url || "https://labs.google/fx/tools/flow");
+    await driver.sleep(3000);
+
+    const orchestrator = new SequentialOrchestrator(
+      driver,
+      new CDPInterceptor(driver, logger),
+      db,
+      logger,
+      {
+        downloadConcurrency: settings.downloadConcurrency || 5,
+        outputDir: settings.outputDir || run.settings.outputDir || "outputs",
+      },
+    );
+
+    const result = await orchestrator.redownloadMissing();
+    logger.info(
+      `Re-download finished: ${result.downloaded}/${result.missing} saved, ${result.failed} failed`,
+    );
+    return { runId: run.id, ...result };
+  } finally {
+    db.close();
+    try {
+      await driver.quit();
+    } catch (e) {
+      logger.warn(`Failed to quit driver: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Apply a control command to a run's database/orchestrator
+ * command: { type, args }
+ */
+async function applyRunCommand({ db, orchestrator }, { type, args = {} }) {
+  // Lifecycle commands only make sense for a batch that is running
+  const lifecycle = ["enqueue", "pause", "continue", "cancel"];
+  if (lifecycle.includes(type) && !orchestrator) {
+    throw new Error(`Run #${db.runId} is not running`);
+  }
+
+  switch (type) {
+    case "enqueue":
+      return orchestrator.enqueuePrompts(
+        preparePrompts(args.prompts || [], db.getMaxPromptIdx() + 1),
+      );
+    case "pause":
+      orchestrator.pause(args.reason || "paused by user", { hold: true });
+      return { state: orchestrator.getState() };
+    case "continue":
+      orchestrator.resume();
+      return { state: orchestrator.getState() };
+    case "cancel":
+      orchestrator.cancel();
+      return { state: orchestrator.getState() };
+    case "status":
+      return describeRun(db, db.runId, orchestrator);
+    case "queue":
+      return db.getQueue();
+    case "bump":
+      return { idx: args.idx, priority: db.bumpPrompt(args.idx) };
+    case "demote":
+      return { idx: args.idx, priority: db.demotePrompt(args.idx) };
+    case "skip":
+      return orchestrator
+        ? orchestrator.skipPrompt(args.idx, args.reason)
+        : db.skipPrompt(args.idx, args.reason);
+    case "abandon":
+      // Without a running batch there is no poller to stop
+      return orchestrator
+        ? orchestrator.abandonPrompt(args.idx, args.reason)
+        : db.abandonPrompt(args.idx, args.reason);
+    case "priority":
+      return {
+        idx: args.idx,
+        priority: db.setPromptPriority(args.idx, args.priority),
+      };
+    case "reorder":
+      db.reorderPrompts(args.order);
+      return db.getQueue();
+    default:
+      throw new Error(`Unknown command: ${type}`);
+  }
+}
+
+/**
+ * Send a control command to a run (latest run unless runId is given)
+ * Applied by whichever process is executing the run, so the submitter
+ * sees it on its next tick; runs nobody executes are changed in the file.
+ */
+async function controlRun(command, runId = null) {
+  if (!runId) {
+    runId = [...activeRuns.keys()].pop() || null;
+  }
+
+  if (runId && activeRuns.has(runId)) {
+    return applyRunCommand(activeRuns.get(runId), command);
+  }
+
+  if (runId && getRunOwner(runId)) {
+    return sendRunCommand(runId, command);
+  }
+
+  if (!runId) {
+    // Read-only: the latest run may be executing in another process,
+    // which owns the database file
+    const latest = await withDatabase((db) => db.findRun());
+    if (getRunOwner(latest.id)) {
+      return sendRunCommand(latest.id, command);
+    }
+    runId = latest.id;
+  }
+
+  const db = new VeoDatabase(DB_PATH);
+  await db.init();
+  try {
+    db.setActiveRun(runId);
+    return await applyRunCommand({ db, orchestrator: null }, command);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Status of a run: run row, live prompt stats and lifecycle state
+ * live: the run is being executed right now
+ */
+function describeRun(db, runId, orchestrator = null) {
+  const run = db.getRun(runId);
+  if (!run) {
+    throw new Error(`Run ${runId} not found`);
+  }
+
+  return {
+    ...run,
+    stats: db.getStats(runId),
+    state: orchestrator ? orchestrator.getState() : run.status,
+    pausedReason: orchestrator?.pausedReason || null,
+    live: !!orchestrator,
+  };
+}
+
+/**
+ * Status of one run, from the process executing it when there is one
+ */
+async function getRunStatus(runId) {
+  const active = activeRuns.get(runId);
+  if (active) {
+    return describeRun(active.db, runId, active.orchestrator);
+  }
+
+  if (getRunOwner(runId)) {
+    return sendRunCommand(runId, { type: "status" });
+  }
+
+  return withDatabase((db) => describeRun(db, runId));
+}
+
+/**
+ * Recent runs, newest first, with live state for runs executing here
+ */
+async function listRuns(limit = 20) {
+  const runs = await withDatabase((db) =>
+    db.listRuns(limit).map((run) => ({
+      ...run,
+      stats: db.getStats(run.id),
+      state: run.status,
+      live: false,
+    })),
+  );
+
+  return runs.map((run) => {
+    const active = activeRuns.get(run.id);
+    if (active) {
+      return describeRun(active.db, run.id, active.orchestrator);
+    }
+    return { ...run, live: !!getRunOwner(run.id) };
+  });
+}
+
+/**
+ * Query the database file without migrating or writing it
+ */
+function withDatabase(fn) {
+  return VeoDatabase.read(DB_PATH, fn);
+}
+
+/**
+ * Read the events timeline of one prompt (latest run unless runId is given)
+ * Opens the database read-only, so it also works while a run is active;
+ * events still batched in the running process may not be visible yet.
+ */
+async function getPromptTimeline(idx, runId = null) {
+  return withDatabase((db) => {
+    const run = db.findRun(runId);
+    const timeline = db.getPromptTimeline(run.id, idx);
+    if (!timeline) {
+      throw new Error(`Prompt ${idx} not found in run ${run.id}`);
+    }
+
+    return { runId: run.id, ...timeline };
+  });
+}
+
 /**
  * Legacy function for backward compatibility
  * Redirects to new API-driven automation
@@ -297,23 +1026,42 @@ async function automateWithTwoPhase(profilePath, prompts, settings = {}) {
 }
 
 /**
- * Placeholder for concurrent generation (multi-profile)
- * TODO: Implement multi-profile support with API-driven approach
+ * Concurrent generation: several logged-in profiles drain one run
+ * Each profile gets its own Chrome, interceptor and inflight limit; the
+ * prompts are claimed atomically so none is submitted twice.
+ * profiles: profile paths (or { path } objects), the first one is the
+ * run's primary profile; maxConcurrent caps how many are used
  */
 async function automateConcurrentGeneration(
   profiles,
   prompts,
-  settings,
-  maxConcurrent = 4,
+  settings = {},
+  maxConcurrent = profiles.length,
 ) {
-  logger.error(
-    "automateConcurrentGeneration not yet implemented with API-driven approach",
+  const profilePaths = [
+    ...new Set(profiles.map((p) => (typeof p === "string" ? p : p.path))),
+  ].slice(0, maxConcurrent);
+  if (profilePaths.length === 0) {
+    throw new Error("No profiles given");
+  }
+
+  logger.info(
+    `=== Concurrent generation with ${profilePaths.length} profiles ===`,
   );
-  throw new Error("Multi-profile automation not yet implemented");
+  return automateWithAPIQueue(profilePaths[0], prompts, {
+    ...settings,
+    profilePaths,
+  });
 }
 
 module.exports = {
   automateWithAPIQueue, // New main function
+  resumeLastRun,
+  getPromptTimeline,
+  redownloadRun,
+  controlRun,
+  getRunStatus,
+  listRuns,
   automateWithTwoPhase, // Legacy compatibility
   automateConcurrentGeneration,
   loadPromptsFromCSV,
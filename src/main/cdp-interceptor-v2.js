@@ -1,122 +1,247 @@
 /**
  * CDP Interceptor V2 - Inject script to intercept fetch/XHR
  * Simpler and more reliable than CDP Network domain
+ * Which calls are captured, and the event they are published as, comes
+ * from the endpoint registry (endpoint-registry.js)
  */
 
-class CDPInterceptorV2 {
-  constructor(driver, logger) {
+const { extractPromptTexts } = require("./endpoint-registry");
+const NetworkCapture = require("./network-capture");
+
+/**
+ * Script hooking fetch/XHR of the page; runs once per document
+ * Calls matching a registry endpoint, and VEO API calls answered with an
+ * error status, are buffered in window.__veoInterceptedResponses for the
+ * polling loop; fetch and XHR share the matching. With a HAR recorder
+ * every call of registry.isRecordedUrl is buffered, with all its headers.
+ */
+function buildInterceptorScript(registry, recorder = null) {
+  const record = recorder ? { videoBodies: recorder.videoBodies } : null;
+  return `
+(function () {
+  // Already hooked (preload script and executeScript on the same document)
+  if (window.__veoInterceptedResponses) return;
+
+  const CONFIG = ${JSON.stringify(registry.toPageConfig())};
+  const RECORD = ${JSON.stringify(record)};
+
+  // Captured calls: { url, method, status, headers, body, requestBody, ... }
+  window.__veoInterceptedResponses = [];
+
+  const isEndpoint = (url) => CONFIG.endpoints.some((endpoint) =>
+    endpoint.pattern ? new RegExp(endpoint.pattern).test(url) : url.includes(endpoint.match));
+  const isApi = (url) => url.includes(CONFIG.apiPath) || isEndpoint(url);
+  const isRecorded = (url) => !!RECORD && (isApi(url) || CONFIG.recordUrls.some((part) => url.includes(part)));
+  const isText = (mimeType) => !mimeType || /^text\\/|json|javascript|xml/.test(mimeType);
+  const isVideo = (mimeType, url) =>
+    mimeType ? mimeType.startsWith('video/') : /\\.(mp4|webm|mov)(\\?|$)/i.test(url);
+
+  // Binary bodies travel base64-encoded, like Network.getResponseBody
+  const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  };
+
+  // call: { url, method, requestHeaders, requestBody, startedAt, status,
+  // statusText, getHeader, getHeaders, readBody, readBase64 }
+  const capture = async (call) => {
+    const failed = call.status < 200 || call.status >= 300;
+    if (!isEndpoint(call.url) && !(failed && isApi(call.url)) && !isRecorded(call.url)) {
+      return;
+    }
+
+    // Error status: headers of interest; recording: all of them
+    let headers = {};
+    if (RECORD) {
+      headers = call.getHeaders();
+    } else if (failed) {
+      CONFIG.errorHeaders.forEach((name) => {
+        const value = call.getHeader(name);
+        if (value) headers[name] = value;
+      });
+    }
+
+    // Only text bodies are read (video bodies, base64, when asked for)
+    const mimeType = (call.getHeader('content-type') || '').split(';')[0].trim() || null;
+    const video = isVideo(mimeType, call.url);
+    const readText = !video && isText(mimeType);
+    const readVideo = video && !!RECORD && RECORD.videoBodies;
+
+    try {
+      window.__veoInterceptedResponses.push({
+        url: call.url,
+        method: call.method,
+        requestHeaders: call.requestHeaders,
+        status: call.status,
+        statusText: call.statusText,
+        headers: headers,
+        mimeType: mimeType,
+        body: readText ? await call.readBody() : null,
+        bodyBase64: readVideo ? await call.readBase64() : null,
+        requestBody: call.requestBody,
+        startedAt: call.startedAt,
+        time: Date.now() - call.startedAt,
+        timestamp: Date.now()
+      });
+      console.log('🎯 Intercepted VEO API call:', call.status, call.url);
+    } catch (e) {
+      console.error('Failed to read VEO API response:', e);
+    }
+  };
+
+  const headersToObject = (headers) => {
+    const result = {};
+    try {
+      new Headers(headers || {}).forEach((value, name) => { result[name] = value; });
+    } catch (e) {}
+    return result;
+  };
+
+  // Intercept fetch
+  const originalFetch = window.fetch;
+  window.fetch = function(...args) {
+    const startedAt = Date.now();
+    const request = args[0] instanceof Request ? args[0] : null;
+    const init = args[1] || {};
+    const url = typeof args[0] === 'string' ? args[0] : String((args[0] && args[0].url) || args[0]);
+
+    // Request body: the prompt text Flow actually sends. A Request body is
+    // only read for calls that can be captured, from a clone taken before
+    // the page's fetch consumes it, and without delaying that fetch
+    let requestBody = Promise.resolve(null);
+    if (typeof init.body === 'string') {
+      requestBody = Promise.resolve(init.body);
+    } else if (request && (isEndpoint(url) || isRecorded(url))) {
+      try {
+        requestBody = request.clone().text().catch(() => null);
+      } catch (e) {}
+    }
+
+    const pending = originalFetch.apply(this, args);
+    // Registered before the page's own handlers: the response is cloned
+    // before the page reads it
+    pending.then(async (response) => {
+      const clonedResponse = response.clone();
+      capture({
+        url: url,
+        method: init.method || (request && request.method) || 'GET',
+        requestHeaders: headersToObject(init.headers || (request && request.headers)),
+        requestBody: await requestBody,
+        startedAt: startedAt,
+        status: response.status,
+        statusText: response.statusText,
+        getHeader: (name) => response.headers.get(name),
+        getHeaders: () => headersToObject(response.headers),
+        readBody: () => clonedResponse.text(),
+        readBase64: () => clonedResponse.arrayBuffer().then(toBase64)
+      });
+    }).catch(() => {});
+
+    return pending;
+  };
+
+  // Intercept XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+  XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+    this.__method = method;
+    this.__url = url;
+    this.__headers = {};
+    return originalOpen.apply(this, [method, url, ...rest]);
+  };
+
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+    if (this.__headers) this.__headers[name.toLowerCase()] = value;
+    return originalSetRequestHeader.apply(this, [name, value]);
+  };
+
+  XMLHttpRequest.prototype.send = function(...args) {
+    this.__body = typeof args[0] === 'string' ? args[0] : null;
+    const startedAt = Date.now();
+    this.addEventListener('load', function() {
+      if (!this.__url) return;
+      const readBody = () =>
+        this.responseType === '' || this.responseType === 'text' ? this.responseText : JSON.stringify(this.response);
+      // Binary only survives as an arraybuffer or blob response
+      const readBase64 = async () => {
+        if (this.responseType === 'arraybuffer') return toBase64(this.response);
+        if (this.responseType === 'blob') return toBase64(await this.response.arrayBuffer());
+        return null;
+      };
+      const getHeaders = () => {
+        const headers = {};
+        this.getAllResponseHeaders().trim().split(/[\\r\\n]+/).forEach((line) => {
+          const index = line.indexOf(':');
+          if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        });
+        return headers;
+      };
+      capture({
+        url: String(this.__url),
+        method: this.__method || 'GET',
+        requestHeaders: this.__headers || {},
+        requestBody: this.__body,
+        startedAt: startedAt,
+        status: this.status,
+        statusText: this.statusText,
+        getHeader: (name) => this.getResponseHeader(name),
+        getHeaders: getHeaders,
+        readBody: readBody,
+        readBase64: readBase64
+      });
+    });
+
+    return originalSend.apply(this, args);
+  };
+
+  console.log('✅ VEO network interceptor injected');
+})();
+`;
+}
+
+// Checks that the page still has the interceptor
+const HEARTBEAT_MS = 2000;
+
+class CDPInterceptorV2 extends NetworkCapture {
+  constructor(driver, logger, registry) {
+    super(logger, registry);
     this.driver = driver;
-    this.logger = logger;
-    this.listeners = {
-      submit: [],
-      poll: [],
-    };
+    this.script = buildInterceptorScript(this.registry);
+    this.newDocumentScriptId = null; // Page.addScriptToEvaluateOnNewDocument
+    this.reinjections = 0;
+  }
+
+  /**
+   * The recorder also changes what the page script captures
+   */
+  setRecorder(recorder) {
+    super.setRecorder(recorder);
+    this.script = buildInterceptorScript(this.registry, recorder);
   }
 
   /**
    * Enable interception by injecting script into page
+   * The script is also registered for every new document, so reloads and
+   * Flow navigations keep the hook; a heartbeat re-injects it when missing
    */
   async enable() {
     try {
       this.logger?.info("Injecting network interceptor script...");
 
-      // Inject script to intercept fetch
-      await this.driver.executeScript(`
-        // Store intercepted responses
-        window.__veoInterceptedResponses = {
-          submit: [],
-          poll: []
-        };
-        
-        // Intercept fetch
-        const originalFetch = window.fetch;
-        window.fetch = async function(...args) {
-          const response = await originalFetch.apply(this, args);
-          
-          // Clone response to read body
-          const clonedResponse = response.clone();
-          const url = args[0];
-          
-          // Check if this is a VEO API call
-          if (url.includes('batchAsyncGenerateVideoText')) {
-            try {
-              const data = await clonedResponse.json();
-              window.__veoInterceptedResponses.submit.push({
-                url: url,
-                data: data,
-                timestamp: Date.now()
-              });
-              console.log('🎯 Intercepted submit:', data);
-            } catch (e) {
-              console.error('Failed to parse submit response:', e);
-            }
-          } else if (url.includes('batchCheckAsyncVideoGenerationStatus')) {
-            try {
-              const data = await clonedResponse.json();
-              window.__veoInterceptedResponses.poll.push({
-                url: url,
-                data: data,
-                timestamp: Date.now()
-              });
-              console.log('🎯 Intercepted poll:', data);
-            } catch (e) {
-              console.error('Failed to parse poll response:', e);
-            }
-          }
-          
-          return response;
-        };
-        
-        // Intercept XMLHttpRequest
-        const originalOpen = XMLHttpRequest.prototype.open;
-        const originalSend = XMLHttpRequest.prototype.send;
-        
-        XMLHttpRequest.prototype.open = function(method, url, ...rest) {
-          this.__url = url;
-          return originalOpen.apply(this, [method, url, ...rest]);
-        };
-        
-        XMLHttpRequest.prototype.send = function(...args) {
-          this.addEventListener('load', function() {
-            const url = this.__url;
-            
-            if (url && url.includes('batchAsyncGenerateVideoText')) {
-              try {
-                const data = JSON.parse(this.responseText);
-                window.__veoInterceptedResponses.submit.push({
-                  url: url,
-                  data: data,
-                  timestamp: Date.now()
-                });
-                console.log('🎯 Intercepted submit (XHR):', data);
-              } catch (e) {
-                console.error('Failed to parse submit response (XHR):', e);
-              }
-            } else if (url && url.includes('batchCheckAsyncVideoGenerationStatus')) {
-              try {
-                const data = JSON.parse(this.responseText);
-                window.__veoInterceptedResponses.poll.push({
-                  url: url,
-                  data: data,
-                  timestamp: Date.now()
-                });
-                console.log('🎯 Intercepted poll (XHR):', data);
-              } catch (e) {
-                console.error('Failed to parse poll response (XHR):', e);
-              }
-            }
-          });
-          
-          return originalSend.apply(this, args);
-        };
-        
-        console.log('✅ VEO network interceptor injected');
-      `);
+      await this.installOnNewDocument();
+      await this.inject();
 
       this.logger?.info("Network interceptor script injected successfully");
 
       // Start polling for intercepted responses
       this.startPolling();
+      this.startHeartbeat();
     } catch (error) {
       this.logger?.error(`Failed to inject interceptor: ${error.message}`);
       throw error;
@@ -124,63 +249,84 @@ class CDPInterceptorV2 {
   }
 
   /**
-   * Poll for intercepted responses
+   * Inject the interceptor into the current document
    */
-  startPolling() {
-    this.pollingInterval = setInterval(async () => {
-      try {
-        // Get intercepted responses from page
-        const responses = await this.driver.executeScript(`
-          const responses = window.__veoInterceptedResponses;
-          const result = {
-            submit: [...responses.submit],
-            poll: [...responses.poll]
-          };
-          
-          // Clear processed responses
-          responses.submit = [];
-          responses.poll = [];
-          
-          return result;
-        `);
+  async inject() {
+    await this.driver.executeScript(this.script);
+  }
 
-        // Process submit responses
-        if (responses.submit && responses.submit.length > 0) {
-          for (const item of responses.submit) {
-            this.logger?.info(
-              `📥 Submit response: ${item.data.operations?.length || 0} operations`,
-            );
-            this.listeners.submit.forEach((cb) => cb(item.data));
-          }
-        }
+  /**
+   * Evaluate the interceptor in every new document before the page's
+   * own scripts (CDP Page.addScriptToEvaluateOnNewDocument)
+   */
+  async installOnNewDocument() {
+    if (typeof this.driver.sendAndGetDevToolsCommand !== "function") {
+      this.logger?.warn(
+        "Driver has no DevTools commands, the interceptor is re-injected by the heartbeat only",
+      );
+      return;
+    }
 
-        // Process poll responses
-        if (responses.poll && responses.poll.length > 0) {
-          for (const item of responses.poll) {
-            this.logger?.info(
-              `📥 Poll response: ${item.data.operations?.length || 0} operations`,
-            );
-            this.listeners.poll.forEach((cb) => cb(item.data));
-          }
-        }
-      } catch (error) {
-        // Ignore polling errors (page might not be ready)
-      }
-    }, 500); // Poll every 500ms
+    try {
+      const result = await this.driver.sendAndGetDevToolsCommand(
+        "Page.addScriptToEvaluateOnNewDocument",
+        { source: this.script },
+      );
+      this.newDocumentScriptId = result?.identifier || null;
+    } catch (error) {
+      this.logger?.warn(
+        `Could not register the interceptor for new documents: ${error.message}`,
+      );
+    }
   }
 
   /**
-   * Register listener for submit responses
+   * Re-inject the interceptor when the page lost it (reload, navigation)
    */
-  onSubmit(callback) {
-    this.listeners.submit.push(callback);
+  startHeartbeat() {
+    this.heartbeatInterval = setInterval(async () => {
+      if (this.checkingHeartbeat) return;
+      this.checkingHeartbeat = true;
+      try {
+        const installed = await this.driver.executeScript(
+          "return !!window.__veoInterceptedResponses;",
+        );
+        if (!installed) {
+          await this.inject();
+          this.reinjections++;
+          this.logger?.warn(
+            `🔌 Network interceptor was gone (page reloaded?), re-injected (${this.reinjections}x)`,
+          );
+        }
+      } catch (error) {
+        // Page is navigating, checked again on the next beat
+      } finally {
+        this.checkingHeartbeat = false;
+      }
+    }, HEARTBEAT_MS);
   }
 
   /**
-   * Register listener for poll responses
+   * Poll for intercepted responses
    */
-  onPoll(callback) {
-    this.listeners.poll.push(callback);
+  startPolling() {
+    this.pollingInterval = setInterval(async () => {
+      let items;
+      try {
+        // Take the captured calls from the page
+        items = await this.driver.executeScript(`
+          const captured = window.__veoInterceptedResponses;
+          return captured ? captured.splice(0) : null; // Lost: heartbeat re-injects
+        `);
+      } catch (error) {
+        // Ignore polling errors (page might not be ready)
+        return;
+      }
+
+      for (const item of items || []) {
+        this.dispatch(item);
+      }
+    }, 500); // Poll every 500ms
   }
 
   /**
@@ -191,9 +337,26 @@ class CDPInterceptorV2 {
       clearInterval(this.pollingInterval);
       this.pollingInterval = null;
     }
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    if (this.newDocumentScriptId) {
+      try {
+        await this.driver.sendDevToolsCommand(
+          "Page.removeScriptToEvaluateOnNewDocument",
+          { identifier: this.newDocumentScriptId },
+        );
+      } catch (error) {
+        // Browser already gone
+      }
+      this.newDocumentScriptId = null;
+    }
 
     this.logger?.info("Network interception disabled");
   }
 }
 
 module.exports = CDPInterceptorV2;
+module.exports.extractPromptTexts = extractPromptTexts;
@@ -0,0 +1,249 @@
+/**
+ * cdp-network-capture.js
+ * Push-based capture of Flow's submit/poll responses over the driver's
+ * Chrome DevTools connection
+ *
+ * Network.requestWillBeSent remembers VEO API requests (with the request
+ * body) and Network.responseReceived their status; Network.loadingFinished
+ * fetches the response with Network.getResponseBody and dispatches it to
+ * the listeners of its registry event (error for an error status) and to
+ * the HAR recorder, if any. Same interface as CDPInterceptorV2 (the
+ * injected-script backend), without a WebDriver round-trip every 500ms;
+ * the page target keeps its session across reloads and navigations.
+ */
+
+const NetworkCapture = require("./network-capture");
+const { isErrorStatus, CLOSED_EVENT } = require("./endpoint-registry");
+
+const CONNECT_TIMEOUT_MS = 10000;
+
+class CDPNetworkCapture extends NetworkCapture {
+  constructor(driver, logger, registry) {
+    super(logger, registry);
+    this.driver = driver;
+    this.connection = null;
+    // requestId → { url, method, postData, status, headers, ... }
+    this.requests = new Map();
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Open a DevTools session on the page and enable Network events
+   * Throws when the driver has no CDP connection (caller falls back to
+   * the injected script)
+   */
+  async enable() {
+    if (typeof this.driver.createCDPConnection !== "function") {
+      throw new Error("Driver has no DevTools connection");
+    }
+
+    this.logger?.info("Opening DevTools network capture...");
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error("DevTools connection timed out")),
+        CONNECT_TIMEOUT_MS,
+      );
+    });
+    const connecting = this.driver.createCDPConnection("page");
+    try {
+      this.connection = await Promise.race([connecting, timeout]);
+    } catch (error) {
+      // Nobody would close a connection that opens after the timeout
+      connecting.then(
+        (connection) => connection?._wsConnection?.close(),
+        () => {},
+      );
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.socket = this.connection._wsConnection;
+    this.socket.on("message", this.handleMessage);
+    this.socket.on("close", () => {
+      if (!this.connection) return; // disable()
+      this.connection = null;
+      this.requests.clear();
+      this.logger?.warn("DevTools network capture connection closed");
+      this.publish(CLOSED_EVENT);
+    });
+
+    try {
+      await this.send("Network.enable", { maxPostDataSize: 65536 });
+    } catch (error) {
+      await this.disable(); // The caller falls back to the script
+      throw error;
+    }
+    this.logger?.info("DevTools network capture enabled");
+  }
+
+  /**
+   * Send a command on the page session, resolves with its result
+   */
+  async send(method, params = {}) {
+    const payload = await this.connection.send(method, params);
+    if (payload.error) {
+      throw new Error(`${method}: ${payload.error.message}`);
+    }
+    return payload.result || {};
+  }
+
+  /**
+   * Route DevTools events of the page session
+   */
+  handleMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      return;
+    }
+    if (!payload.method || payload.sessionId !== this.connection?.sessionId) {
+      return;
+    }
+
+    const params = payload.params || {};
+    switch (payload.method) {
+      case "Network.requestWillBeSent":
+        // CORS preflights carry no API response
+        if (
+          this.isCaptured(params.request?.url) &&
+          params.request.method !== "OPTIONS"
+        ) {
+          this.requests.set(params.requestId, {
+            url: params.request.url,
+            method: params.request.method,
+            requestHeaders: params.request.headers || {},
+            postData: params.request.postData || null,
+            hasPostData: !!params.request.hasPostData,
+            status: null,
+            headers: {},
+            startedAt: params.wallTime ? params.wallTime * 1000 : Date.now(),
+            timestamp: params.timestamp,
+          });
+        }
+        break;
+      case "Network.responseReceived": {
+        const request = this.requests.get(params.requestId);
+        if (request) {
+          request.status = params.response?.status ?? null;
+          request.statusText = params.response?.statusText || "";
+          request.headers = params.response?.headers || {};
+          request.mimeType = params.response?.mimeType || null;
+          request.httpVersion = params.response?.protocol || "";
+        }
+        break;
+      }
+      case "Network.loadingFinished": {
+        const request = this.requests.get(params.requestId);
+        if (request) {
+          request.time = (params.timestamp - request.timestamp) * 1000 || 0;
+          this.captureResponse(params.requestId);
+        }
+        break;
+      }
+      case "Network.loadingFailed":
+        this.requests.delete(params.requestId);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Read a finished call and dispatch it
+   * Successful responses of unregistered endpoints are only read for a
+   * HAR recording
+   */
+  async captureResponse(requestId) {
+    const request = this.requests.get(requestId);
+    this.requests.delete(requestId);
+
+    const published =
+      isErrorStatus(request.status) || !!this.registry.match(request.url);
+    if (!published && !this.recorder) {
+      return;
+    }
+
+    const item = {
+      url: request.url,
+      method: request.method,
+      requestHeaders: request.requestHeaders,
+      status: request.status,
+      statusText: request.statusText,
+      httpVersion: request.httpVersion,
+      headers: request.headers,
+      mimeType: request.mimeType,
+      body: null,
+      startedAt: request.startedAt,
+      time: request.time,
+    };
+
+    if (published || this.recorder.wantsBody(request.mimeType, request.url)) {
+      try {
+        const { body, base64Encoded } = await this.send(
+          "Network.getResponseBody",
+          { requestId },
+        );
+        if (base64Encoded) {
+          item.bodyBase64 = body;
+          if (published) {
+            item.body = Buffer.from(body, "base64").toString("utf8");
+          }
+        } else {
+          item.body = body;
+        }
+      } catch (error) {
+        // A recorded-only call is kept without its body
+        if (published) {
+          this.logger?.warn(
+            `Failed to capture response of ${request.url}: ${error.message}`,
+          );
+          return;
+        }
+      }
+    }
+
+    item.requestBody = await this.getRequestBody(requestId, request);
+    this.dispatch(item);
+  }
+
+  /**
+   * Body of a captured request (large bodies are left out of
+   * requestWillBeSent)
+   */
+  async getRequestBody(requestId, request) {
+    if (request.postData || !request.hasPostData) {
+      return request.postData;
+    }
+    try {
+      return (await this.send("Network.getRequestPostData", { requestId }))
+        .postData;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stop capturing and close the DevTools session
+   */
+  async disable() {
+    const connection = this.connection;
+    if (!connection) return;
+    this.connection = null;
+    this.requests.clear();
+
+    this.socket.off("message", this.handleMessage);
+    try {
+      connection.execute("Network.disable", {}, null);
+      this.socket.close();
+    } catch (error) {
+      // Browser already gone
+    }
+
+    this.logger?.info("DevTools network capture disabled");
+  }
+}
+
+module.exports = CDPNetworkCapture;
@@ -0,0 +1,371 @@
+/**
+ * db-migrations.js
+ * Ordered, numbered schema migrations for VeoDatabase
+ *
+ * The applied version is stored in `PRAGMA user_version`. Each migration runs
+ * inside its own transaction together with the version bump, so a failure
+ * leaves the database at the previous version.
+ *
+ * Rules:
+ * - Never edit or reorder a released migration, append a new one instead
+ * - `up(db)` receives the VeoDatabase instance (use db.exec / db.prepare)
+ * - Set `disableForeignKeys` for migrations that rebuild tables; SQLite
+ *   cannot toggle foreign keys inside a transaction
+ *
+ * Migrations 1-4 predate versioning: databases from earlier releases all
+ * report user_version 0 while already containing some of these changes,
+ * so those migrations check the current columns before altering anything.
+ */
+
+/**
+ * Check whether a table has a column
+ */
+function hasColumn(db, table, column) {
+  return db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .some((col) => col.name === column);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "Initial schema (prompts, operations, downloads)",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS prompts (
+          id INTEGER PRIMARY KEY,
+          idx INTEGER NOT NULL,
+          prompt_text TEXT,
+          tail50 TEXT,
+          tail_slug TEXT,
+          text_hash TEXT UNIQUE,
+          status TEXT CHECK(status IN ('queued','submitting','in_progress','done','failed','timeout')),
+          submit_at TEXT,
+          done_at TEXT,
+          error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_prompts_status ON prompts(status);
+
+        CREATE TABLE IF NOT EXISTS operations (
+          id INTEGER PRIMARY KEY,
+          prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+          take_index INTEGER NOT NULL,
+          op_name TEXT NOT NULL,
+          scene_id TEXT,
+          status TEXT,
+          fife_url TEXT,
+          model TEXT,
+          duration_sec INTEGER,
+          last_poll_at TEXT,
+          downloaded INTEGER DEFAULT 0,
+          file_path TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_ops_prompt ON operations(prompt_id);
+        CREATE INDEX IF NOT EXISTS ix_ops_status ON operations(status);
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_ops_name ON operations(op_name);
+
+        CREATE TABLE IF NOT EXISTS downloads (
+          id INTEGER PRIMARY KEY,
+          prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+          operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+          state TEXT CHECK(state IN ('queued','running','done','failed')),
+          retries INTEGER DEFAULT 0,
+          last_error TEXT,
+          enqueued_at TEXT,
+          started_at TEXT,
+          finished_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_dl_state ON downloads(state);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "Retry columns on prompts",
+    up(db) {
+      if (hasColumn(db, "prompts", "retry_count")) return;
+      db.exec(`
+        ALTER TABLE prompts ADD COLUMN retry_count INTEGER DEFAULT 0;
+        ALTER TABLE prompts ADD COLUMN max_retries INTEGER DEFAULT 3;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "Runs table, prompts/operations/downloads scoped by run_id",
+    disableForeignKeys: true,
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS runs (
+          id INTEGER PRIMARY KEY,
+          status TEXT CHECK(status IN ('running','completed','failed','interrupted')),
+          profile_path TEXT,
+          settings TEXT,
+          started_at TEXT,
+          finished_at TEXT,
+          total_prompts INTEGER DEFAULT 0,
+          stats TEXT,
+          error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_runs_status ON runs(status);
+      `);
+
+      if (!hasColumn(db, "prompts", "run_id")) {
+        // Existing prompts become one legacy run
+        const legacy = db
+          .prepare(
+            `SELECT COUNT(*) as count, MIN(submit_at) as started_at, MAX(done_at) as finished_at FROM prompts`,
+          )
+          .get();
+
+        let legacyRunId = null;
+        if (legacy.count > 0) {
+          legacyRunId = db
+            .prepare(
+              `
+              INSERT INTO runs (status, settings, started_at, finished_at, total_prompts, error)
+              VALUES ('interrupted', '{}', ?, ?, ?, 'Imported from database without run history')
+            `,
+            )
+            .run(
+              legacy.started_at || new Date().toISOString(),
+              legacy.finished_at,
+              legacy.count,
+            ).lastInsertRowid;
+        }
+
+        // Rebuild prompts without the global UNIQUE(text_hash) / UNIQUE(idx)
+        db.exec(`
+          DROP INDEX IF EXISTS ux_prompts_idx;
+          CREATE TABLE prompts_new (
+            id INTEGER PRIMARY KEY,
+            run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE,
+            idx INTEGER NOT NULL,
+            prompt_text TEXT,
+            tail50 TEXT,
+            tail_slug TEXT,
+            text_hash TEXT,
+            status TEXT CHECK(status IN ('queued','submitting','in_progress','done','failed','timeout')),
+            submit_at TEXT,
+            done_at TEXT,
+            error TEXT,
+            retry_count INTEGER DEFAULT 0,
+            max_retries INTEGER DEFAULT 3
+          );
+        `);
+        db.prepare(
+          `
+          INSERT INTO prompts_new (id, run_id, idx, prompt_text, tail50, tail_slug, text_hash,
+                                   status, submit_at, done_at, error, retry_count, max_retries)
+          SELECT id, ?, idx, prompt_text, tail50, tail_slug, text_hash,
+                 status, submit_at, done_at, error, retry_count, max_retries
+          FROM prompts
+        `,
+        ).run(legacyRunId);
+        db.exec(`
+          DROP TABLE prompts;
+          ALTER TABLE prompts_new RENAME TO prompts;
+          CREATE INDEX IF NOT EXISTS ix_prompts_status ON prompts(status);
+        `);
+      }
+
+      if (!hasColumn(db, "operations", "run_id")) {
+        db.exec(`
+          ALTER TABLE operations ADD COLUMN run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE;
+          UPDATE operations SET run_id = (SELECT run_id FROM prompts WHERE prompts.id = operations.prompt_id);
+        `);
+      }
+
+      if (!hasColumn(db, "downloads", "run_id")) {
+        db.exec(`
+          ALTER TABLE downloads ADD COLUMN run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE;
+          UPDATE downloads SET run_id = (SELECT run_id FROM prompts WHERE prompts.id = downloads.prompt_id);
+        `);
+      }
+
+      db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_run_idx ON prompts(run_id, idx);
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_run_hash ON prompts(run_id, text_hash);
+        CREATE INDEX IF NOT EXISTS ix_prompts_run ON prompts(run_id);
+        CREATE INDEX IF NOT EXISTS ix_ops_run ON operations(run_id);
+        CREATE INDEX IF NOT EXISTS ix_dl_run ON downloads(run_id);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "Flow project URL on runs",
+    up(db) {
+      if (hasColumn(db, "runs", "project_url")) return;
+      db.exec(`ALTER TABLE runs ADD COLUMN project_url TEXT`);
+    },
+  },
+  {
+    version: 5,
+    name: "Per-prompt generation settings",
+    up(db) {
+      // NULL = use the run's settings
+      db.exec(`
+        ALTER TABLE prompts ADD COLUMN mode TEXT;
+        ALTER TABLE prompts ADD COLUMN aspect_ratio TEXT;
+        ALTER TABLE prompts ADD COLUMN model TEXT;
+        ALTER TABLE prompts ADD COLUMN outputs INTEGER;
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "Repeated prompts: row uid and repeat index, text_hash no longer unique",
+    up(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS ux_prompts_run_hash;
+        CREATE INDEX IF NOT EXISTS ix_prompts_run_hash ON prompts(run_id, text_hash);
+
+        ALTER TABLE prompts ADD COLUMN uid TEXT;
+        ALTER TABLE prompts ADD COLUMN repeat_index INTEGER DEFAULT 0;
+        UPDATE prompts SET uid = lower(hex(randomblob(16))) WHERE uid IS NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_uid ON prompts(uid);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "Events table (state-transition audit log)",
+    up(db) {
+      // operation_id / download_id are not foreign keys: retries delete
+      // failed operations, but their history must stay in the log
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS events (
+          id INTEGER PRIMARY KEY,
+          run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE,
+          prompt_id INTEGER REFERENCES prompts(id) ON DELETE CASCADE,
+          operation_id INTEGER,
+          download_id INTEGER,
+          entity TEXT CHECK(entity IN ('prompt','operation','download')),
+          event TEXT NOT NULL,
+          from_status TEXT,
+          to_status TEXT,
+          source TEXT,
+          detail TEXT,
+          created_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_events_prompt ON events(prompt_id, id);
+        CREATE INDEX IF NOT EXISTS ix_events_run ON events(run_id);
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: "Credits ledger (remaining credits per submit)",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS credits_ledger (
+          id INTEGER PRIMARY KEY,
+          run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE,
+          prompt_id INTEGER REFERENCES prompts(id) ON DELETE SET NULL,
+          profile_path TEXT,
+          remaining_credits INTEGER NOT NULL,
+          created_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS ix_credits_run ON credits_ledger(run_id, id);
+        CREATE INDEX IF NOT EXISTS ix_credits_profile ON credits_ledger(profile_path, id);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "Prompt priority (higher is submitted first)",
+    up(db) {
+      db.exec(`
+        ALTER TABLE prompts ADD COLUMN priority INTEGER NOT NULL DEFAULT 0;
+        CREATE INDEX IF NOT EXISTS ix_prompts_run_queue ON prompts(run_id, status, priority DESC, idx);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: "Cancelled prompt status (skipped/abandoned prompts)",
+    disableForeignKeys: true,
+    up(db) {
+      // SQLite cannot alter a CHECK constraint, rebuild the table
+      const columns = `id, run_id, idx, prompt_text, tail50, tail_slug, text_hash, status,
+        submit_at, done_at, error, retry_count, max_retries, mode, aspect_ratio, model,
+        outputs, uid, repeat_index, priority`;
+      db.exec(`
+        CREATE TABLE prompts_new (
+          id INTEGER PRIMARY KEY,
+          run_id INTEGER REFERENCES runs(id) ON DELETE CASCADE,
+          idx INTEGER NOT NULL,
+          prompt_text TEXT,
+          tail50 TEXT,
+          tail_slug TEXT,
+          text_hash TEXT,
+          status TEXT CHECK(status IN ('queued','submitting','in_progress','done','failed','timeout','cancelled')),
+          submit_at TEXT,
+          done_at TEXT,
+          error TEXT,
+          retry_count INTEGER DEFAULT 0,
+          max_retries INTEGER DEFAULT 3,
+          mode TEXT,
+          aspect_ratio TEXT,
+          model TEXT,
+          outputs INTEGER,
+          uid TEXT,
+          repeat_index INTEGER DEFAULT 0,
+          priority INTEGER NOT NULL DEFAULT 0
+        );
+        INSERT INTO prompts_new (${columns}) SELECT ${columns} FROM prompts;
+        DROP TABLE prompts;
+        ALTER TABLE prompts_new RENAME TO prompts;
+
+        CREATE INDEX IF NOT EXISTS ix_prompts_status ON prompts(status);
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_run_idx ON prompts(run_id, idx);
+        CREATE INDEX IF NOT EXISTS ix_prompts_run ON prompts(run_id);
+        CREATE INDEX IF NOT EXISTS ix_prompts_run_hash ON prompts(run_id, text_hash);
+        CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_uid ON prompts(uid);
+        CREATE INDEX IF NOT EXISTS ix_prompts_run_queue ON prompts(run_id, status, priority DESC, idx);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "Submitted text (what Flow received when it differs from the prompt)",
+    up(db) {
+      db.exec(`
+        ALTER TABLE prompts ADD COLUMN submitted_text TEXT;
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: "Multi-profile runs (profile per prompt/operation, project per profile)",
+    up(db) {
+      // prompts.profile_path: profile that claimed the prompt (NULL = not claimed yet)
+      db.exec(`
+        ALTER TABLE prompts ADD COLUMN profile_path TEXT;
+        ALTER TABLE operations ADD COLUMN profile_path TEXT;
+
+        CREATE TABLE IF NOT EXISTS run_profiles (
+          run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+          profile_path TEXT NOT NULL,
+          project_url TEXT,
+          PRIMARY KEY (run_id, profile_path)
+        );
+
+        UPDATE prompts SET profile_path = (SELECT profile_path FROM runs WHERE runs.id = prompts.run_id)
+        WHERE status != 'queued';
+        UPDATE operations SET profile_path = (SELECT profile_path FROM runs WHERE runs.id = operations.run_id);
+
+        CREATE INDEX IF NOT EXISTS ix_prompts_run_profile ON prompts(run_id, profile_path, status);
+      `);
+    },
+  },
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+};
@@ -2,6 +2,8 @@ const initSqlJs = require("sql.js");
 const path = require("path");
 const fs = require("fs-extra");
 const crypto = require("crypto");
+const { MIGRATIONS, LATEST_SCHEMA_VERSION } = require("./db-migrations");
+const { DEFAULT_TIMEOUT_MS } = require("./timeout-policy");
 
 // Operation status constants
 const OPERATION_STATUS = {
@@ -10,17 +12,80 @@ const OPERATION_STATUS = {
   CANCELLED: "MEDIA_GENERATION_STATUS_CANCELLED",
 };
 
+// Who caused a state transition (events.source)
+const EVENT_SOURCE = {
+  SUBMITTER: "submitter",
+  POLLER: "poller",
+  DOWNLOADER: "downloader",
+  RECOVERY: "recovery",
+  USER: "user", // Manual changes through IPC/CLI
+};
+
+// Prompt statuses that set done_at
+const TERMINAL_PROMPT_STATUSES = ["done", "failed", "timeout", "cancelled"];
+
+// Durability modes for flushing the in-memory sql.js database to disk
+// - full:       flush after every write statement (slowest, loses nothing)
+// - transition: flush at state transitions (submit, done/failed/timeout,
+//               download done, run start/finish); other writes are batched
+//               and flushed within flushIntervalMs (default)
+// - interval:   only batched flushes every flushIntervalMs plus shutdown;
+//               a crash can lose up to flushIntervalMs of updates
+const DURABILITY = {
+  FULL: "full",
+  TRANSITION: "transition",
+  INTERVAL: "interval",
+};
+
+// Temp files of save(), numbered per process
+let tmpFileCounter = 0;
+
 class VeoDatabase {
-  constructor(dbPath = "data/veo-automation.db") {
+  constructor(dbPath = "data/veo-automation.db", options = {}) {
     this.dbPath = dbPath;
     this.db = null;
     this.SQL = null;
+    this.runId = null; // Active run; prompt/operation/download queries are scoped to it
+
+    // Persistence
+    this.durability = options.durability || DURABILITY.TRANSITION;
+    if (!Object.values(DURABILITY).includes(this.durability)) {
+      throw new Error(
+        `Invalid durability "${this.durability}". Must be one of: ${Object.values(DURABILITY).join(", ")}`,
+      );
+    }
+    this.flushIntervalMs = options.flushIntervalMs || 1000;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.shutdownHandlers = null;
+    this.inTransaction = false; // BEGIN ... COMMIT/ROLLBACK through exec()
+  }
+
+  /**
+   * Query a database file without migrating or writing it, e.g. while a
+   * run in another process owns it; an outdated schema is refused
+   */
+  static async read(dbPath, fn) {
+    const db = new VeoDatabase(dbPath);
+    await db.init({ migrate: false });
+
+    try {
+      if (db.getPendingMigrations().length > 0) {
+        throw new Error(
+          "Database schema is outdated, run: npm run cli -- migrate",
+        );
+      }
+      return await fn(db);
+    } finally {
+      db.close();
+    }
   }
 
   /**
    * Initialize database with schema and pragmas
+   * Pass { migrate: false } to open without creating or upgrading the schema
    */
-  async init() {
+  async init({ migrate = true } = {}) {
     // Ensure data directory exists
     fs.ensureDirSync(path.dirname(this.dbPath));
 
@@ -35,151 +100,430 @@ class VeoDatabase {
       this.db = new this.SQL.Database();
     }
 
-    // Set pragmas for performance and safety
-    this.exec("PRAGMA journal_mode = WAL");
-    this.exec("PRAGMA synchronous = NORMAL");
-    this.exec("PRAGMA foreign_keys = ON");
+    // Set pragmas for performance and safety (connection settings, nothing to persist)
+    this.db.run("PRAGMA journal_mode = WAL");
+    this.db.run("PRAGMA synchronous = NORMAL");
+    this.db.run("PRAGMA foreign_keys = ON");
 
-    // Create tables
-    this.createTables();
+    // Inspection only (e.g. CLI `schema`): leave the file untouched
+    if (!migrate) {
+      return;
+    }
 
-    // Run migrations for existing databases
+    // Create/upgrade schema (saved only when a migration ran: the file
+    // may be owned by a process executing a run)
     this.runMigrations();
 
     // DON'T run resume cleanup here - it will be called manually if needed
     // this.resumeCleanup();
 
-    // Save initial state
-    this.save();
+    // Don't lose batched writes when the process goes away
+    this.registerShutdownFlush();
+  }
+
+  /**
+   * Current schema version (PRAGMA user_version)
+   */
+  getSchemaVersion() {
+    return this.prepare(`PRAGMA user_version`).get().user_version;
+  }
+
+  /**
+   * Migrations not yet applied to this database
+   */
+  getPendingMigrations() {
+    const current = this.getSchemaVersion();
+    return MIGRATIONS.filter((m) => m.version > current);
   }
 
   /**
-   * Run database migrations
+   * Apply pending migrations in order, each in its own transaction
    */
   runMigrations() {
-    // Check if retry columns exist
-    const tableInfo = this.prepare(`PRAGMA table_info(prompts)`).all();
-    const hasRetryCount = tableInfo.some((col) => col.name === "retry_count");
+    const current = this.getSchemaVersion();
+    if (current > LATEST_SCHEMA_VERSION) {
+      throw new Error(
+        `Database schema v${current} is newer than this version of the app supports (v${LATEST_SCHEMA_VERSION})`,
+      );
+    }
 
-    if (!hasRetryCount) {
+    const pending = this.getPendingMigrations();
+    for (const migration of pending) {
       console.log(
-        "Running migration: Adding retry columns to prompts table...",
+        `Running migration ${migration.version}: ${migration.name}...`,
       );
-      this.exec(`
-        ALTER TABLE prompts ADD COLUMN retry_count INTEGER DEFAULT 0;
-        ALTER TABLE prompts ADD COLUMN max_retries INTEGER DEFAULT 3;
-      `);
-      console.log("Migration completed: retry columns added");
+
+      if (migration.disableForeignKeys) {
+        this.exec("PRAGMA foreign_keys = OFF");
+      }
+
+      try {
+        this.exec("BEGIN TRANSACTION");
+        migration.up(this);
+
+        if (migration.disableForeignKeys) {
+          const violations = this.prepare(`PRAGMA foreign_key_check`).all();
+          if (violations.length > 0) {
+            throw new Error(
+              `${violations.length} foreign key violations (first in table ${violations[0].table})`,
+            );
+          }
+        }
+
+        this.exec(`PRAGMA user_version = ${migration.version}`);
+        this.exec("COMMIT");
+      } catch (error) {
+        try {
+          this.exec("ROLLBACK");
+        } catch (e) {
+          // Transaction already rolled back by SQLite
+        }
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+        );
+      } finally {
+        if (migration.disableForeignKeys) {
+          this.exec("PRAGMA foreign_keys = ON");
+        }
+      }
+
+      console.log(`Migration ${migration.version} completed`);
+    }
+
+    if (pending.length > 0) {
       this.save();
     }
   }
 
   /**
-   * Create database schema
+   * Resume cleanup: reset stale states on startup
+   * profilePath: only recover the submits of that profile (shared queue)
    */
-  createTables() {
-    // Prompts table
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS prompts (
-        id INTEGER PRIMARY KEY,
-        idx INTEGER NOT NULL,
-        prompt_text TEXT,
-        tail50 TEXT,
-        tail_slug TEXT,
-        text_hash TEXT UNIQUE,
-        status TEXT CHECK(status IN ('queued','submitting','in_progress','done','failed','timeout')),
-        submit_at TEXT,
-        done_at TEXT,
-        error TEXT,
-        retry_count INTEGER DEFAULT 0,
-        max_retries INTEGER DEFAULT 3
-      );
-      CREATE INDEX IF NOT EXISTS ix_prompts_status ON prompts(status);
-      CREATE UNIQUE INDEX IF NOT EXISTS ux_prompts_idx ON prompts(idx);
-    `);
+  resumeCleanup(profilePath = null) {
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
-    // Operations table
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS operations (
-        id INTEGER PRIMARY KEY,
-        prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
-        take_index INTEGER NOT NULL,
-        op_name TEXT NOT NULL,
-        scene_id TEXT,
-        status TEXT,
-        fife_url TEXT,
-        model TEXT,
-        duration_sec INTEGER,
-        last_poll_at TEXT,
-        downloaded INTEGER DEFAULT 0,
-        file_path TEXT
-      );
-      CREATE INDEX IF NOT EXISTS ix_ops_prompt ON operations(prompt_id);
-      CREATE INDEX IF NOT EXISTS ix_ops_status ON operations(status);
-      CREATE UNIQUE INDEX IF NOT EXISTS ux_ops_name ON operations(op_name);
-    `);
+    this.recoverSubmittingPrompts("Interrupted while submitting", profilePath);
+
+    // Timeout old in_progress prompts
+    const stale = this.prepare(
+      `
+      SELECT id FROM prompts
+      WHERE status = 'in_progress' AND submit_at < ? AND run_id = ?
+    `,
+    ).all(oneDayAgo, this.runId);
+    stale.forEach((p) =>
+      this.setPromptStatus(p.id, "timeout", EVENT_SOURCE.RECOVERY, {
+        reason: "In progress for more than 24h",
+      }),
+    );
+
+    // Reset running downloads → queued
+    const running = this.prepare(
+      `SELECT id, prompt_id, operation_id FROM downloads WHERE state = 'running' AND run_id = ?`,
+    ).all(this.runId);
+    this.prepare(
+      `
+      UPDATE downloads SET state = 'queued', started_at = NULL 
+      WHERE state = 'running' AND run_id = ?
+    `,
+    ).run(this.runId);
+    running.forEach((d) =>
+      this.recordEvent({
+        entity: "download",
+        promptId: d.prompt_id,
+        operationId: d.operation_id,
+        downloadId: d.id,
+        from: "running",
+        to: "queued",
+        source: EVENT_SOURCE.RECOVERY,
+      }),
+    );
+  }
 
-    // Downloads table
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS downloads (
-        id INTEGER PRIMARY KEY,
-        prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
-        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
-        state TEXT CHECK(state IN ('queued','running','done','failed')),
-        retries INTEGER DEFAULT 0,
-        last_error TEXT,
-        enqueued_at TEXT,
-        started_at TEXT,
-        finished_at TEXT
+  /**
+   * Prompts left in submitting (e.g. after a crash): in_progress if their
+   * submit response was recorded, otherwise back to queued
+   * profilePath: only the prompts claimed by that profile
+   */
+  recoverSubmittingPrompts(reason, profilePath = null) {
+    // Submitting prompts whose response was already recorded → in_progress
+    const submitted = this.prepare(
+      `
+      SELECT id FROM prompts
+      WHERE status = 'submitting' AND run_id = ? AND (? IS NULL OR profile_path = ?)
+      AND EXISTS (SELECT 1 FROM operations o WHERE o.prompt_id = prompts.id)
+    `,
+    ).all(this.runId, profilePath, profilePath);
+    submitted.forEach((p) =>
+      this.setPromptStatus(p.id, "in_progress", EVENT_SOURCE.RECOVERY, {
+        reason: "Submit response recorded before restart",
+      }),
+    );
+    if (submitted.length > 0) {
+      console.log(
+        `Re-attached ${submitted.length} submitting prompts with operations`,
       );
-      CREATE INDEX IF NOT EXISTS ix_dl_state ON downloads(state);
-    `);
+    }
+
+    // Reset submitting → queued (important for retries)
+    const submitting = this.prepare(
+      `
+      SELECT id FROM prompts
+      WHERE status = 'submitting' AND run_id = ? AND (? IS NULL OR profile_path = ?)
+    `,
+    ).all(this.runId, profilePath, profilePath);
+    submitting.forEach((p) =>
+      this.resetPromptToQueued(p.id, EVENT_SOURCE.RECOVERY, {
+        reason,
+      }),
+    );
+    if (submitting.length > 0) {
+      console.log(`Reset ${submitting.length} submitting prompts to queued`);
+    }
   }
 
   /**
-   * Resume cleanup: reset stale states on startup
+   * Append an entry to the events audit log
+   * run_id is taken from the prompt when there is one, otherwise the active run
+   */
+  recordEvent({
+    entity = "prompt",
+    event = "status",
+    promptId = null,
+    operationId = null,
+    downloadId = null,
+    from = null,
+    to = null,
+    source = null,
+    detail = null,
+  }) {
+    this.prepare(
+      `
+      INSERT INTO events (run_id, prompt_id, operation_id, download_id, entity, event,
+                          from_status, to_status, source, detail, created_at)
+      VALUES (COALESCE((SELECT run_id FROM prompts WHERE id = ?), ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    ).run(
+      promptId,
+      this.runId,
+      promptId,
+      operationId,
+      downloadId,
+      entity,
+      event,
+      from,
+      to,
+      source,
+      detail ? JSON.stringify(detail) : null,
+      new Date().toISOString(),
+    );
+  }
+
+  /**
+   * Get the status/retry/download history of one prompt of a run
+   * Returns: { prompt, events } or null if the prompt does not exist
    */
-  resumeCleanup() {
+  getPromptTimeline(runId, idx) {
+    const prompt = this.prepare(
+      `
+      SELECT id, idx, uid, repeat_index, prompt_text, status, submit_at, done_at,
+             error, retry_count, max_retries, submitted_text
+      FROM prompts WHERE run_id = ? AND idx = ?
+    `,
+    ).get(runId, idx);
+
+    if (!prompt) return null;
+
+    const events = this.prepare(
+      `SELECT * FROM events WHERE prompt_id = ? ORDER BY id`,
+    )
+      .all(prompt.id)
+      .map((e) => ({ ...e, detail: e.detail ? JSON.parse(e.detail) : null }));
+
+    return { prompt, events };
+  }
+
+  /**
+   * Create a new run and make it the active run
+   */
+  createRun({ profilePath = null, settings = {} } = {}) {
     const now = new Date().toISOString();
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    this.runId = this.prepare(
+      `
+      INSERT INTO runs (status, profile_path, settings, started_at)
+      VALUES ('running', ?, ?, ?)
+    `,
+    ).run(
+      profilePath,
+      JSON.stringify(this.serializableSettings(settings)),
+      now,
+    ).lastInsertRowid;
+    return this.runId;
+  }
 
-    // Reset submitting → queued (important for retries)
-    const submittingCount = this.prepare(
-      `SELECT COUNT(*) as count FROM prompts WHERE status = 'submitting'`,
-    ).get();
-    if (submittingCount && submittingCount.count > 0) {
-      this.prepare(
-        `UPDATE prompts SET status = 'queued' WHERE status = 'submitting'`,
-      ).run();
-      console.log(
-        `Reset ${submittingCount.count} submitting prompts to queued`,
-      );
+  /**
+   * Make an existing run the active run
+   */
+  setActiveRun(runId) {
+    const run = this.getRun(runId);
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
     }
+    this.runId = run.id;
+    return run;
+  }
 
-    // Timeout old in_progress prompts
+  /**
+   * Record final status and stats for a run
+   */
+  finishRun(runId, status, error = null) {
+    const now = new Date().toISOString();
+    const stats = this.getStats(runId);
     this.prepare(
       `
-      UPDATE prompts SET status = 'timeout', done_at = ? 
-      WHERE status = 'in_progress' AND submit_at < ?
+      UPDATE runs
+      SET status = ?, finished_at = ?, total_prompts = ?, stats = ?, error = ?
+      WHERE id = ?
     `,
-    ).run(now, oneDayAgo);
+    ).run(
+      status,
+      now,
+      stats.total_prompts || 0,
+      JSON.stringify(stats),
+      error,
+      runId,
+    );
+    this.checkpoint();
+  }
 
-    // Reset running downloads → queued
+  /**
+   * Mark a previously stopped run as running again
+   */
+  markRunResumed(runId) {
+    this.prepare(
+      `UPDATE runs SET status = 'running', finished_at = NULL, error = NULL WHERE id = ?`,
+    ).run(runId);
+  }
+
+  /**
+   * Remember the Flow project URL a run submits into
+   * profilePath: the profile that owns the project; each profile of a
+   * multi-profile run has its own, runs.project_url is the run profile's
+   */
+  setRunProjectUrl(runId, projectUrl, profilePath = null) {
     this.prepare(
       `
-      UPDATE downloads SET state = 'queued', started_at = NULL 
-      WHERE state = 'running'
+      UPDATE runs SET project_url = ?
+      WHERE id = ? AND (? IS NULL OR profile_path IS NULL OR profile_path = ?)
     `,
-    ).run();
+    ).run(projectUrl, runId, profilePath, profilePath);
+    if (!profilePath) return;
+
+    this.prepare(
+      `
+      INSERT INTO run_profiles (run_id, profile_path, project_url) VALUES (?, ?, ?)
+      ON CONFLICT(run_id, profile_path) DO UPDATE SET project_url = excluded.project_url
+    `,
+    ).run(runId, profilePath, projectUrl);
+  }
+
+  /**
+   * Flow project URL a profile of a run submits into (null = new project)
+   * Runs started before multi-profile support only have runs.project_url,
+   * which belongs to the run's profile
+   */
+  getRunProjectUrl(runId, profilePath = null) {
+    const run = this.getRun(runId);
+    if (!run) return null;
+
+    if (profilePath) {
+      const row = this.prepare(
+        `SELECT project_url FROM run_profiles WHERE run_id = ? AND profile_path = ?`,
+      ).get(runId, profilePath);
+      if (row) return row.project_url;
+      if (run.profile_path && run.profile_path !== profilePath) return null;
+    }
+    return run.project_url;
+  }
+
+  /**
+   * Get the most recent run that did not complete
+   */
+  getLastUnfinishedRun() {
+    const run = this.prepare(
+      `SELECT * FROM runs WHERE status != 'completed' ORDER BY id DESC LIMIT 1`,
+    ).get();
+    return run ? this.parseRun(run) : null;
+  }
+
+  /**
+   * A run, or the latest run when no runId is given; throws when there
+   * is none
+   */
+  findRun(runId = null) {
+    const run = runId ? this.getRun(runId) : this.listRuns(1)[0];
+    if (!run) {
+      throw new Error(runId ? `Run ${runId} not found` : "No runs found");
+    }
+    return run;
+  }
+
+  /**
+   * Get a single run (settings/stats parsed)
+   */
+  getRun(runId) {
+    const run = this.prepare(`SELECT * FROM runs WHERE id = ?`).get(runId);
+    return run ? this.parseRun(run) : null;
+  }
+
+  /**
+   * List runs, newest first
+   */
+  listRuns(limit = 50) {
+    return this.prepare(`SELECT * FROM runs ORDER BY id DESC LIMIT ?`)
+      .all(limit)
+      .map((run) => this.parseRun(run));
+  }
+
+  /**
+   * Parse JSON columns of a run row
+   */
+  parseRun(run) {
+    return {
+      ...run,
+      settings: run.settings ? JSON.parse(run.settings) : {},
+      stats: run.stats ? JSON.parse(run.stats) : null,
+    };
+  }
+
+  /**
+   * Drop callbacks and other non-JSON values from settings
+   */
+  serializableSettings(settings) {
+    return Object.fromEntries(
+      Object.entries(settings || {}).filter(
+        ([, value]) => typeof value !== "function",
+      ),
+    );
   }
 
   /**
    * Insert prompts from array
+   * Each item: { index, promptText, settings?, repeatIndex? } where settings may
+   * hold per-prompt mode/aspectRatio/model/outputs overriding the run settings.
+   * Identical texts are separate rows (each gets its own uid) unless
+   * options.dedupe is set, which skips texts already in the run; explicit
+   * repeats (repeatIndex > 0) are always kept.
+   * Returns { inserted, skipped, errors }
    */
-  insertPrompts(prompts) {
+  insertPrompts(prompts, options = {}) {
     const stmt = this.prepare(`
-      INSERT INTO prompts (idx, prompt_text, tail50, tail_slug, text_hash, status)
-      VALUES (?, ?, ?, ?, ?, 'queued')
+      INSERT INTO prompts (run_id, idx, uid, repeat_index, prompt_text, tail50, tail_slug, text_hash,
+                           status, mode, aspect_ratio, model, outputs)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?)
+    `);
+    const existsStmt = this.prepare(`
+      SELECT id FROM prompts WHERE run_id = ? AND text_hash = ? LIMIT 1
     `);
 
     let inserted = 0;
@@ -190,28 +534,44 @@ class VeoDatabase {
     for (const p of prompts) {
       const tail50 = p.promptText.slice(-50);
       const tailSlug = this.createTailSlug(p.promptText);
-      const textHash = crypto
-        .createHash("sha256")
-        .update(p.promptText)
-        .digest("hex");
+      const textHash = hashPromptText(p.promptText);
+      const repeatIndex = p.repeatIndex || 0;
+
+      if (
+        options.dedupe &&
+        repeatIndex === 0 &&
+        existsStmt.get(this.runId, textHash)
+      ) {
+        console.log(`⊘ Skipped duplicate prompt #${p.index}`);
+        skipped++;
+        continue;
+      }
 
       try {
-        stmt.run(p.index, p.promptText, tail50, tailSlug, textHash);
+        const settings = p.settings || {};
+        stmt.run(
+          this.runId,
+          p.index,
+          crypto.randomBytes(16).toString("hex"),
+          repeatIndex,
+          p.promptText,
+          tail50,
+          tailSlug,
+          textHash,
+          settings.mode || null,
+          settings.aspectRatio || null,
+          settings.model || null,
+          settings.outputs || null,
+        );
         inserted++;
         console.log(`✓ Inserted prompt #${p.index}`);
       } catch (err) {
-        // Skip duplicates
-        if (err.message && err.message.includes("UNIQUE constraint")) {
-          console.log(`⊘ Skipped duplicate prompt #${p.index}`);
-          skipped++;
-        } else {
-          console.error(`✗ Error inserting prompt #${p.index}: ${err.message}`);
-          errors.push({ index: p.index, error: err.message });
-        }
+        console.error(`✗ Error inserting prompt #${p.index}: ${err.message}`);
+        errors.push({ index: p.index, error: err.message });
       }
     }
 
-    this.save();
+    this.checkpoint();
     console.log(
       `Inserted ${inserted} prompts, skipped ${skipped} duplicates, errors: ${errors.length}`,
     );
@@ -219,6 +579,55 @@ class VeoDatabase {
     if (errors.length > 0) {
       console.error("Insert errors:", errors);
     }
+
+    return { inserted, skipped, errors };
+  }
+
+  /**
+   * Prompts of the active run a submit response for this text can belong to
+   * Submitting prompts first, then prompts reset to queued before their
+   * (late) response arrived; prompts with operations only when retrying
+   * profilePath: only prompts claimed by that profile (shared queue)
+   */
+  getSubmitCandidates(textHash, profilePath = null) {
+    return this.prepare(
+      `
+      SELECT * FROM prompts p
+      WHERE p.run_id = ? AND p.text_hash = ?
+      AND p.status IN ('submitting', 'queued')
+      AND (? IS NULL OR p.profile_path = ?)
+      AND (p.retry_count > 0
+           OR NOT EXISTS (SELECT 1 FROM operations o WHERE o.prompt_id = p.id))
+      ORDER BY CASE p.status WHEN 'submitting' THEN 0 ELSE 1 END, p.idx
+    `,
+    ).all(this.runId, textHash, profilePath, profilePath);
+  }
+
+  /**
+   * Flag a prompt whose submit request carried a different text
+   */
+  flagTextMismatch(promptId, submittedText, source = EVENT_SOURCE.SUBMITTER) {
+    this.prepare(`UPDATE prompts SET submitted_text = ? WHERE id = ?`).run(
+      submittedText,
+      promptId,
+    );
+    this.recordEvent({
+      promptId,
+      event: "text_mismatch",
+      source,
+      detail: { submittedText },
+    });
+    this.checkpoint();
+  }
+
+  /**
+   * Highest prompt idx of a run (0 when empty)
+   */
+  getMaxPromptIdx(runId = this.runId) {
+    const row = this.prepare(
+      `SELECT MAX(idx) as maxIdx FROM prompts WHERE run_id = ?`,
+    ).get(runId);
+    return row.maxIdx || 0;
   }
 
   /**
@@ -238,31 +647,66 @@ class VeoDatabase {
 
   /**
    * Get inflight count (transactional)
+   * profilePath: only the prompts of that profile (shared queue)
    */
-  getInflightCount() {
+  getInflightCount(profilePath = null) {
     const result = this.prepare(
       `
-      SELECT COUNT(*) as count FROM prompts WHERE status = 'in_progress'
+      SELECT COUNT(*) as count FROM prompts
+      WHERE status = 'in_progress' AND run_id = ? AND (? IS NULL OR profile_path = ?)
     `,
-    ).get();
+    ).get(this.runId, profilePath, profilePath);
     return result.count || 0;
   }
 
+  /**
+   * Queued/submitting/in_progress counts as seen by one profile
+   * profilePath: queued counts the prompts it may claim (unclaimed or its
+   * own retries), the others only its own prompts; null = whole run
+   * Returns: { queued, submitting, in_progress }
+   */
+  getPromptLoad(profilePath = null) {
+    return this.prepare(
+      `
+      SELECT
+        SUM(CASE WHEN status = 'queued'
+                 AND (? IS NULL OR profile_path IS NULL OR profile_path = ?) THEN 1 ELSE 0 END) as queued,
+        SUM(CASE WHEN status = 'submitting'
+                 AND (? IS NULL OR profile_path = ?) THEN 1 ELSE 0 END) as submitting,
+        SUM(CASE WHEN status = 'in_progress'
+                 AND (? IS NULL OR profile_path = ?) THEN 1 ELSE 0 END) as in_progress
+      FROM prompts WHERE run_id = ?
+    `,
+    ).get(
+      profilePath,
+      profilePath,
+      profilePath,
+      profilePath,
+      profilePath,
+      profilePath,
+      this.runId,
+    );
+  }
+
   /**
    * Get next queued prompt WITHOUT marking (just peek)
+   * profilePath: with a shared queue, prompts another profile already
+   * claimed stay with it (their retries need the same account)
    */
-  peekNextQueuedPrompt() {
+  peekNextQueuedPrompt(profilePath = null) {
     try {
-      const inflight = this.getInflightCount();
+      const inflight = this.getInflightCount(profilePath);
       if (inflight >= 5) {
         return null;
       }
 
       const prompt = this.prepare(
         `
-        SELECT * FROM prompts WHERE status = 'queued' ORDER BY idx LIMIT 1
+        SELECT * FROM prompts WHERE status = 'queued' AND run_id = ?
+        AND (? IS NULL OR profile_path IS NULL OR profile_path = ?)
+        ORDER BY priority DESC, idx LIMIT 1
       `,
-      ).get();
+      ).get(this.runId, profilePath, profilePath);
 
       return prompt;
     } catch (error) {
@@ -272,14 +716,233 @@ class VeoDatabase {
   }
 
   /**
-   * Mark prompt as submitting
+   * Queued prompts of a run in submission order
+   */
+  getQueue(runId = this.runId) {
+    return this.prepare(
+      `
+      SELECT id, idx, repeat_index, priority, prompt_text, retry_count
+      FROM prompts WHERE status = 'queued' AND run_id = ?
+      ORDER BY priority DESC, idx
+    `,
+    ).all(runId);
+  }
+
+  /**
+   * Get a queued prompt of the active run by idx (throws otherwise)
+   */
+  getQueuedPrompt(idx) {
+    const prompt = this.prepare(
+      `SELECT * FROM prompts WHERE run_id = ? AND idx = ?`,
+    ).get(this.runId, idx);
+    if (!prompt) {
+      throw new Error(`Prompt ${idx} not found in run ${this.runId}`);
+    }
+    if (prompt.status !== "queued") {
+      throw new Error(
+        `Prompt ${idx} is ${prompt.status}, only queued prompts can be reordered`,
+      );
+    }
+    return prompt;
+  }
+
+  /**
+   * Set the priority of a queued prompt (higher is submitted first)
+   */
+  setPromptPriority(idx, priority, source = EVENT_SOURCE.USER) {
+    const prompt = this.getQueuedPrompt(idx);
+    this.prepare(`UPDATE prompts SET priority = ? WHERE id = ?`).run(
+      priority,
+      prompt.id,
+    );
+    this.recordEvent({
+      promptId: prompt.id,
+      event: "priority",
+      source,
+      detail: { from: prompt.priority, to: priority },
+    });
+    this.checkpoint();
+    return priority;
+  }
+
+  /**
+   * Move a queued prompt to the front of the queue
+   */
+  bumpPrompt(idx, source = EVENT_SOURCE.USER) {
+    const { top } = this.getQueuePriorityRange();
+    return this.setPromptPriority(idx, top + 1, source);
+  }
+
+  /**
+   * Move a queued prompt to the back of the queue
    */
-  markPromptSubmitting(promptId) {
+  demotePrompt(idx, source = EVENT_SOURCE.USER) {
+    const { bottom } = this.getQueuePriorityRange();
+    return this.setPromptPriority(idx, bottom - 1, source);
+  }
+
+  /**
+   * Put queued prompts at the front of the queue in the given order
+   */
+  reorderPrompts(idxList, source = EVENT_SOURCE.USER) {
+    // Validate everything before changing anything
+    idxList.forEach((idx) => this.getQueuedPrompt(idx));
+
+    const { top } = this.getQueuePriorityRange();
+    idxList.forEach((idx, i) =>
+      this.setPromptPriority(idx, top + idxList.length - i, source),
+    );
+  }
+
+  /**
+   * Highest and lowest priority among queued prompts of the active run
+   */
+  getQueuePriorityRange() {
+    const range = this.prepare(
+      `
+      SELECT MAX(priority) as top, MIN(priority) as bottom
+      FROM prompts WHERE status = 'queued' AND run_id = ?
+    `,
+    ).get(this.runId);
+    return { top: range.top ?? 0, bottom: range.bottom ?? 0 };
+  }
+
+  /**
+   * Skip a queued prompt of the active run (it is never submitted)
+   */
+  skipPrompt(idx, reason = null, source = EVENT_SOURCE.USER) {
+    return this.cancelPrompt(idx, "queued", "skip", reason, source);
+  }
+
+  /**
+   * Abandon an in-progress prompt of the active run
+   * Its operations keep rendering in Flow but are never downloaded
+   */
+  abandonPrompt(idx, reason = null, source = EVENT_SOURCE.USER) {
+    return this.cancelPrompt(idx, "in_progress", "abandon", reason, source);
+  }
+
+  /**
+   * Move a prompt from an expected status to cancelled
+   */
+  cancelPrompt(idx, expectedStatus, event, reason, source) {
+    const prompt = this.prepare(
+      `SELECT id, idx, status FROM prompts WHERE run_id = ? AND idx = ?`,
+    ).get(this.runId, idx);
+    if (!prompt) {
+      throw new Error(`Prompt ${idx} not found in run ${this.runId}`);
+    }
+    if (prompt.status !== expectedStatus) {
+      throw new Error(
+        `Prompt ${idx} is ${prompt.status}, only ${expectedStatus} prompts can be ${event === "skip" ? "skipped" : "abandoned"}`,
+      );
+    }
+
     this.prepare(
+      `UPDATE prompts SET status = 'cancelled', done_at = ?, error = ? WHERE id = ?`,
+    ).run(new Date().toISOString(), reason, prompt.id);
+    this.recordEvent({
+      promptId: prompt.id,
+      event,
+      from: prompt.status,
+      to: "cancelled",
+      source,
+      detail: reason ? { reason } : null,
+    });
+    this.checkpoint();
+
+    return { id: prompt.id, idx: prompt.idx, from: prompt.status };
+  }
+
+  /**
+   * Get the current status of a prompt (null if it does not exist)
+   */
+  getPromptStatus(promptId) {
+    const row = this.prepare(`SELECT status FROM prompts WHERE id = ?`).get(
+      promptId,
+    );
+    return row ? row.status : null;
+  }
+
+  /**
+   * Set prompt status and log the transition
+   * done/failed/timeout/cancelled also set done_at
+   */
+  setPromptStatus(promptId, status, source, detail = null) {
+    const from = this.getPromptStatus(promptId);
+
+    if (TERMINAL_PROMPT_STATUSES.includes(status)) {
+      this.prepare(
+        `UPDATE prompts SET status = ?, done_at = ? WHERE id = ?`,
+      ).run(status, new Date().toISOString(), promptId);
+    } else {
+      this.prepare(`UPDATE prompts SET status = ? WHERE id = ?`).run(
+        status,
+        promptId,
+      );
+    }
+
+    this.recordEvent({ promptId, from, to: status, source, detail });
+  }
+
+  /**
+   * Mark prompt as submitting
+   */
+  markPromptSubmitting(promptId, source = EVENT_SOURCE.SUBMITTER) {
+    this.setPromptStatus(promptId, "submitting", source);
+  }
+
+  /**
+   * Claim a queued prompt for a profile and mark it as submitting
+   * Compare-and-set on the status: returns false when it is no longer
+   * queued (claimed by another profile, skipped), so two profiles never
+   * submit the same prompt
+   */
+  claimPrompt(promptId, profilePath, source = EVENT_SOURCE.SUBMITTER) {
+    const { changes } = this.prepare(
       `
-      UPDATE prompts SET status = 'submitting' WHERE id = ?
+      UPDATE prompts SET status = 'submitting', profile_path = ?
+      WHERE id = ? AND status = 'queued'
     `,
-    ).run(promptId);
+    ).run(profilePath, promptId);
+    if (changes !== 1) return false;
+
+    this.recordEvent({
+      promptId,
+      from: "queued",
+      to: "submitting",
+      source,
+      detail: profilePath ? { profilePath } : null,
+    });
+    return true;
+  }
+
+  /**
+   * Hand a profile's queued prompts (retries it claimed) back to the
+   * shared queue, e.g. when the profile ran out of credits
+   * Returns the number of released prompts
+   */
+  releaseQueuedPrompts(profilePath, source = EVENT_SOURCE.RECOVERY) {
+    const prompts = this.prepare(
+      `SELECT id FROM prompts WHERE run_id = ? AND profile_path = ? AND status = 'queued'`,
+    ).all(this.runId, profilePath);
+
+    prompts.forEach((p) => {
+      this.prepare(`UPDATE prompts SET profile_path = NULL WHERE id = ?`).run(
+        p.id,
+      );
+      this.recordEvent({
+        promptId: p.id,
+        event: "released",
+        source,
+        detail: { profilePath },
+      });
+    });
+
+    if (prompts.length > 0) {
+      this.checkpoint();
+    }
+    return prompts.length;
   }
 
   /**
@@ -307,9 +970,16 @@ class VeoDatabase {
 
   /**
    * Mark prompt as in_progress and insert operations
+   * detail: summary of the CDP submit response for the events log
    */
-  markPromptInProgress(promptId, operations) {
+  markPromptInProgress(
+    promptId,
+    operations,
+    source = EVENT_SOURCE.SUBMITTER,
+    detail = null,
+  ) {
     const now = new Date().toISOString();
+    const from = this.getPromptStatus(promptId);
 
     // Update prompt
     this.prepare(
@@ -319,47 +989,77 @@ class VeoDatabase {
     ).run(now, promptId);
 
     // Insert operations
+    // profile_path: the profile whose browser produced the operation
     const stmt = this.prepare(`
-      INSERT INTO operations (prompt_id, take_index, op_name, scene_id, status)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO operations (prompt_id, run_id, profile_path, take_index, op_name, scene_id, status)
+      VALUES (?, (SELECT run_id FROM prompts WHERE id = ?), (SELECT profile_path FROM prompts WHERE id = ?), ?, ?, ?, ?)
     `);
 
     operations.forEach((op, index) => {
-      stmt.run(promptId, index, op.operation.name, op.sceneId, op.status);
+      stmt.run(
+        promptId,
+        promptId,
+        promptId,
+        index,
+        op.operation.name,
+        op.sceneId,
+        op.status,
+      );
+    });
+
+    this.recordEvent({
+      promptId,
+      event: "submit_response",
+      from,
+      to: "in_progress",
+      source,
+      detail: {
+        operations: operations.map((op) => op.operation.name),
+        ...detail,
+      },
     });
 
     // Explicit save
-    this.save();
+    this.checkpoint();
   }
 
   /**
    * Mark prompt as failed
    */
-  markPromptFailed(promptId, error) {
+  markPromptFailed(promptId, error, source = EVENT_SOURCE.SUBMITTER) {
     const now = new Date().toISOString();
+    const from = this.getPromptStatus(promptId);
     this.prepare(
       `
       UPDATE prompts SET status = 'failed', done_at = ?, error = ? WHERE id = ?
     `,
     ).run(now, error, promptId);
+    this.recordEvent({
+      promptId,
+      from,
+      to: "failed",
+      source,
+      detail: { error },
+    });
+    this.checkpoint();
   }
 
   /**
    * Reset prompt back to queued (for retry)
    */
-  resetPromptToQueued(promptId) {
-    this.prepare(
-      `
-      UPDATE prompts SET status = 'queued' WHERE id = ?
-    `,
-    ).run(promptId);
+  resetPromptToQueued(
+    promptId,
+    source = EVENT_SOURCE.SUBMITTER,
+    detail = null,
+  ) {
+    this.setPromptStatus(promptId, "queued", source, detail);
   }
 
   /**
    * Retry failed/timeout operations for a prompt
    * Returns: { canRetry: boolean, retriedCount: number, reason: string }
    */
-  retryFailedOperations(promptId) {
+  retryFailedOperations(promptId, source = EVENT_SOURCE.POLLER) {
     const prompt = this.prepare(`SELECT * FROM prompts WHERE id = ?`).get(
       promptId,
     );
@@ -426,7 +1126,21 @@ class VeoDatabase {
     `,
     ).run(now, promptId);
 
-    this.save();
+    this.recordEvent({
+      promptId,
+      event: "retry",
+      from: prompt.status,
+      to: "queued",
+      source,
+      detail: {
+        attempt: prompt.retry_count + 1,
+        maxRetries: prompt.max_retries,
+        retriedOperations: failedOps.map((op) => op.op_name),
+        keptOperations: successfulOps.count,
+      },
+    });
+
+    this.checkpoint();
 
     return {
       canRetry: true,
@@ -437,13 +1151,15 @@ class VeoDatabase {
 
   /**
    * Get all in-progress prompts with their operations
+   * profilePath: only the prompts of that profile (shared queue)
    */
-  getInProgressPrompts() {
+  getInProgressPrompts(profilePath = null) {
     const prompts = this.prepare(
       `
-      SELECT * FROM prompts WHERE status = 'in_progress'
+      SELECT * FROM prompts
+      WHERE status = 'in_progress' AND run_id = ? AND (? IS NULL OR profile_path = ?)
     `,
-    ).all();
+    ).all(this.runId, profilePath, profilePath);
 
     return prompts.map((prompt) => {
       const operations = this.prepare(
@@ -458,9 +1174,20 @@ class VeoDatabase {
 
   /**
    * Update operations from poll response
+   * Returns the status changes: [{ operationId, opName, from, to }]
    */
-  updateOperations(promptId, operations) {
+  updateOperations(promptId, operations, source = EVENT_SOURCE.POLLER) {
     const now = new Date().toISOString();
+    const changes = [];
+
+    // Previous statuses, to log only actual changes
+    const previous = new Map(
+      this.prepare(
+        `SELECT id, op_name, status FROM operations WHERE prompt_id = ?`,
+      )
+        .all(promptId)
+        .map((op) => [op.op_name, op]),
+    );
 
     const stmt = this.prepare(`
       UPDATE operations 
@@ -482,13 +1209,40 @@ class VeoDatabase {
         promptId,
         op.operation.name,
       );
+
+      const prev = previous.get(op.operation.name);
+      if (prev && prev.status !== op.status) {
+        this.recordEvent({
+          entity: "operation",
+          promptId,
+          operationId: prev.id,
+          from: prev.status,
+          to: op.status,
+          source,
+          detail: fifeUrl ? { model } : null,
+        });
+        changes.push({
+          operationId: prev.id,
+          opName: prev.op_name,
+          from: prev.status,
+          to: op.status,
+        });
+      }
     });
+
+    return changes;
   }
 
   /**
    * Check if prompt is complete and update status
+   * timeoutMs: null leaves timeouts to the caller (e.g. a poller that
+   * does a final status poll before giving up)
    */
-  checkAndUpdatePromptStatus(promptId) {
+  checkAndUpdatePromptStatus(
+    promptId,
+    source = EVENT_SOURCE.POLLER,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  ) {
     const prompt = this.prepare(`SELECT * FROM prompts WHERE id = ?`).get(
       promptId,
     );
@@ -503,8 +1257,6 @@ class VeoDatabase {
     `,
     ).all(promptId);
 
-    const now = new Date().toISOString();
-
     // Check if ALL operations are failed/cancelled
     const allFailed = operations.every(
       (op) =>
@@ -513,12 +1265,10 @@ class VeoDatabase {
     );
 
     if (allFailed && operations.length > 0) {
-      this.prepare(
-        `
-        UPDATE prompts SET status = 'failed', done_at = ? WHERE id = ?
-      `,
-      ).run(now, promptId);
-      this.save();
+      this.setPromptStatus(promptId, "failed", source, {
+        reason: "All operations failed",
+      });
+      this.checkpoint();
       return "failed";
     }
 
@@ -531,12 +1281,13 @@ class VeoDatabase {
     );
 
     if (allCompleted && operations.length > 0) {
-      this.prepare(
-        `
-        UPDATE prompts SET status = 'done', done_at = ? WHERE id = ?
-      `,
-      ).run(now, promptId);
-      this.save();
+      this.setPromptStatus(promptId, "done", source, {
+        successful: operations.filter(
+          (op) => op.status === OPERATION_STATUS.SUCCESSFUL,
+        ).length,
+        total: operations.length,
+      });
+      this.checkpoint();
 
       // Enqueue downloads for successful operations only
       this.enqueueDownloads(promptId, operations);
@@ -547,40 +1298,89 @@ class VeoDatabase {
     const submitTime = new Date(prompt.submit_at).getTime();
     const elapsed = Date.now() - submitTime;
 
-    if (elapsed > 210000) {
-      this.prepare(
-        `
-        UPDATE prompts SET status = 'timeout', done_at = ? WHERE id = ?
-      `,
-      ).run(now, promptId);
-      this.save();
+    if (timeoutMs !== null && elapsed > timeoutMs) {
+      this.setPromptStatus(promptId, "timeout", source, {
+        elapsedMs: elapsed,
+        timeoutMs,
+      });
+      this.checkpoint();
       return "timeout";
     }
 
     return "in_progress";
   }
 
+  /**
+   * Submit → done latencies (ms) of completed prompts, newest first
+   * Prompts without their own model/outputs use the run's settings.
+   */
+  getCompletionLatencies(model, outputs = 1, limit = 100) {
+    return this.prepare(
+      `
+      SELECT (julianday(p.done_at) - julianday(p.submit_at)) * 86400000 AS latency_ms
+      FROM prompts p
+      JOIN runs r ON r.id = p.run_id
+      WHERE p.status = 'done'
+      AND p.submit_at IS NOT NULL AND p.done_at IS NOT NULL
+      AND COALESCE(p.model, json_extract(r.settings, '$.model')) IS ?
+      AND CAST(COALESCE(p.outputs, json_extract(r.settings, '$.outputs'), 1) AS INTEGER) = ?
+      ORDER BY p.done_at DESC
+      LIMIT ?
+    `,
+    )
+      .all(model ?? null, outputs || 1, limit)
+      .map((row) => Math.round(row.latency_ms));
+  }
+
+  /**
+   * Model/output combinations that have completed prompts
+   */
+  getLatencyGroups() {
+    return this.prepare(
+      `
+      SELECT COALESCE(p.model, json_extract(r.settings, '$.model')) AS model,
+             CAST(COALESCE(p.outputs, json_extract(r.settings, '$.outputs'), 1) AS INTEGER) AS outputs,
+             COUNT(*) AS done
+      FROM prompts p
+      JOIN runs r ON r.id = p.run_id
+      WHERE p.status = 'done' AND p.submit_at IS NOT NULL AND p.done_at IS NOT NULL
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `,
+    ).all();
+  }
+
   /**
    * Enqueue download tasks for successful operations
    */
   enqueueDownloads(promptId, operations) {
     const now = new Date().toISOString();
     const stmt = this.prepare(`
-      INSERT INTO downloads (prompt_id, operation_id, state, enqueued_at)
-      VALUES (?, ?, 'queued', ?)
+      INSERT INTO downloads (prompt_id, operation_id, run_id, state, enqueued_at)
+      VALUES (?, ?, ?, 'queued', ?)
     `);
 
     operations.forEach((op) => {
       if (op.fife_url && op.status === OPERATION_STATUS.SUCCESSFUL) {
-        stmt.run(promptId, op.id, now);
+        const { lastInsertRowid } = stmt.run(promptId, op.id, op.run_id, now);
+        this.recordEvent({
+          entity: "download",
+          promptId,
+          operationId: op.id,
+          downloadId: lastInsertRowid,
+          to: "queued",
+          source: EVENT_SOURCE.POLLER,
+        });
       }
     });
   }
 
   /**
    * Get next queued download
+   * profilePath: only downloads of operations that profile produced, their
+   * URLs can only be refreshed with that profile's session
    */
-  getNextQueuedDownload() {
+  getNextQueuedDownload(profilePath = null) {
     return this.prepare(
       `
       SELECT d.*, o.fife_url, o.file_path, o.model, o.duration_sec, o.take_index,
@@ -588,11 +1388,12 @@ class VeoDatabase {
       FROM downloads d
       JOIN operations o ON d.operation_id = o.id
       JOIN prompts p ON d.prompt_id = p.id
-      WHERE d.state = 'queued'
+      WHERE d.state = 'queued' AND d.run_id = ?
+      AND (? IS NULL OR o.profile_path IS NULL OR o.profile_path = ?)
       ORDER BY d.id
       LIMIT 1
     `,
-    ).get();
+    ).get(this.runId, profilePath, profilePath);
   }
 
   /**
@@ -600,11 +1401,16 @@ class VeoDatabase {
    */
   markDownloadRunning(downloadId) {
     const now = new Date().toISOString();
+    const download = this.getDownload(downloadId);
     this.prepare(
       `
       UPDATE downloads SET state = 'running', started_at = ? WHERE id = ?
     `,
     ).run(now, downloadId);
+    this.recordDownloadEvent(download, "running", {
+      event: "download_attempt",
+      detail: { attempt: download ? download.retries + 1 : 1 },
+    });
   }
 
   /**
@@ -612,6 +1418,7 @@ class VeoDatabase {
    */
   markDownloadDone(downloadId, operationId, filePath) {
     const now = new Date().toISOString();
+    const download = this.getDownload(downloadId);
 
     this.prepare(
       `
@@ -625,7 +1432,9 @@ class VeoDatabase {
     `,
     ).run(filePath, operationId);
 
-    this.save();
+    this.recordDownloadEvent(download, "done", { detail: { filePath } });
+
+    this.checkpoint();
   }
 
   /**
@@ -633,6 +1442,7 @@ class VeoDatabase {
    */
   markDownloadFailed(downloadId, error) {
     const now = new Date().toISOString();
+    const download = this.getDownload(downloadId);
     this.prepare(
       `
       UPDATE downloads 
@@ -640,15 +1450,14 @@ class VeoDatabase {
       WHERE id = ?
     `,
     ).run(now, error, downloadId);
+    this.recordDownloadEvent(download, "failed", { detail: { error } });
   }
 
   /**
    * Retry download (reset to queued if retries < 3)
    */
   retryDownload(downloadId) {
-    const download = this.prepare(
-      `SELECT retries FROM downloads WHERE id = ?`,
-    ).get(downloadId);
+    const download = this.getDownload(downloadId);
 
     if (download && download.retries < 3) {
       this.prepare(
@@ -656,24 +1465,160 @@ class VeoDatabase {
         UPDATE downloads SET state = 'queued', started_at = NULL WHERE id = ?
       `,
       ).run(downloadId);
+      this.recordDownloadEvent(download, "queued", { event: "retry" });
       return true;
     }
     return false;
   }
 
   /**
-   * Get manifest for export
+   * Get a download row by id
+   */
+  getDownload(downloadId) {
+    return this.prepare(`SELECT * FROM downloads WHERE id = ?`).get(downloadId);
+  }
+
+  /**
+   * Log a download state change (download = row read before the update)
+   */
+  recordDownloadEvent(
+    download,
+    to,
+    { event = "status", detail = null, source = EVENT_SOURCE.DOWNLOADER } = {},
+  ) {
+    if (!download) return;
+    this.recordEvent({
+      entity: "download",
+      event,
+      promptId: download.prompt_id,
+      operationId: download.operation_id,
+      downloadId: download.id,
+      from: download.state,
+      to,
+      source,
+      detail,
+    });
+  }
+
+  /**
+   * Get an operation row by id
+   */
+  getOperation(operationId) {
+    return this.prepare(`SELECT * FROM operations WHERE id = ?`).get(
+      operationId,
+    );
+  }
+
+  /**
+   * Replace an operation's fifeUrl (the signed URL expires, the operation does not)
+   */
+  updateOperationFifeUrl(
+    operationId,
+    fifeUrl,
+    source = EVENT_SOURCE.DOWNLOADER,
+  ) {
+    const operation = this.getOperation(operationId);
+    if (!operation) return;
+
+    this.prepare(
+      `UPDATE operations SET fife_url = ?, last_poll_at = ? WHERE id = ?`,
+    ).run(fifeUrl, new Date().toISOString(), operationId);
+
+    this.recordEvent({
+      entity: "operation",
+      event: "fife_refresh",
+      promptId: operation.prompt_id,
+      operationId,
+      source,
+    });
+  }
+
+  /**
+   * Successful operations of a run whose video was never saved
+   */
+  getUndownloadedOperations(runId = this.runId) {
+    return this.prepare(
+      `
+      SELECT o.*, p.idx as prompt_idx
+      FROM operations o
+      JOIN prompts p ON o.prompt_id = p.id
+      WHERE o.run_id = ? AND o.status = ? AND o.downloaded = 0
+      AND p.status != 'cancelled'
+      ORDER BY p.idx, o.take_index
+    `,
+    ).all(runId, OPERATION_STATUS.SUCCESSFUL);
+  }
+
+  /**
+   * Queue downloads again for operations, with a fresh retry budget
+   * Operations without a fifeUrl are skipped. Returns the number queued.
+   */
+  requeueDownloads(operations, source = EVENT_SOURCE.RECOVERY) {
+    const now = new Date().toISOString();
+    let queued = 0;
+
+    operations.forEach((op) => {
+      if (!op.fife_url) return;
+
+      const download = this.prepare(
+        `SELECT * FROM downloads WHERE operation_id = ? ORDER BY id DESC LIMIT 1`,
+      ).get(op.id);
+
+      if (download) {
+        this.prepare(
+          `
+          UPDATE downloads
+          SET state = 'queued', retries = 0, last_error = NULL,
+              enqueued_at = ?, started_at = NULL, finished_at = NULL
+          WHERE id = ?
+        `,
+        ).run(now, download.id);
+        this.recordDownloadEvent(download, "queued", {
+          event: "requeue",
+          source,
+        });
+      } else {
+        const { lastInsertRowid } = this.prepare(
+          `
+          INSERT INTO downloads (prompt_id, operation_id, run_id, state, enqueued_at)
+          VALUES (?, ?, ?, 'queued', ?)
+        `,
+        ).run(op.prompt_id, op.id, op.run_id, now);
+        this.recordEvent({
+          entity: "download",
+          promptId: op.prompt_id,
+          operationId: op.id,
+          downloadId: lastInsertRowid,
+          to: "queued",
+          source,
+        });
+      }
+      queued++;
+    });
+
+    this.checkpoint();
+    return queued;
+  }
+
+  /**
+   * Get manifest for export (defaults to the active run)
    */
-  getManifest() {
+  getManifest(runId = this.runId) {
     return this.prepare(
       `
       SELECT 
         p.idx, 
+        p.uid,
+        p.repeat_index,
         p.prompt_text,
         p.tail_slug, 
         p.status as prompt_status,
         p.submit_at,
         p.done_at,
+        p.mode,
+        p.aspect_ratio,
+        p.outputs,
+        p.model as requested_model,
         o.take_index, 
         o.model, 
         o.file_path, 
@@ -682,29 +1627,34 @@ class VeoDatabase {
         o.fife_url
       FROM prompts p
       LEFT JOIN operations o ON o.prompt_id = p.id
+      WHERE p.run_id = ?
       ORDER BY p.idx, o.take_index
     `,
-    ).all();
+    ).all(runId);
   }
 
   /**
-   * Get statistics
+   * Get statistics (defaults to the active run)
    */
-  getStats() {
+  getStats(runId = this.runId) {
     const stats = this.prepare(
       `
       SELECT 
         COUNT(*) as total_prompts,
         SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+        SUM(CASE WHEN status = 'submitting' THEN 1 ELSE 0 END) as submitting,
         SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
         SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) as done,
         SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
         SUM(CASE WHEN status = 'timeout' THEN 1 ELSE 0 END) as timeout,
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
         SUM(CASE WHEN retry_count > 0 THEN 1 ELSE 0 END) as retried,
+        SUM(CASE WHEN submitted_text IS NOT NULL THEN 1 ELSE 0 END) as mismatched,
         AVG(retry_count) as avg_retry_count
       FROM prompts
+      WHERE run_id = ?
     `,
-    ).get();
+    ).get(runId);
 
     const opStats = this.prepare(
       `
@@ -712,28 +1662,316 @@ class VeoDatabase {
         COUNT(*) as total_ops,
         SUM(CASE WHEN downloaded = 1 THEN 1 ELSE 0 END) as downloaded
       FROM operations
+      WHERE run_id = ?
     `,
-    ).get();
+    ).get(runId);
 
     return { ...stats, ...opStats };
   }
 
   /**
-   * Save database to file
+   * Count downloads still queued or running for the active run
+   * profilePath: only the downloads of operations that profile produced
+   */
+  getPendingDownloadCount(profilePath = null) {
+    const result = this.prepare(
+      `
+      SELECT COUNT(*) as count FROM downloads d
+      JOIN operations o ON d.operation_id = o.id
+      WHERE d.state IN ('queued', 'running') AND d.run_id = ?
+      AND (? IS NULL OR o.profile_path IS NULL OR o.profile_path = ?)
+    `,
+    ).get(this.runId, profilePath, profilePath);
+    return result.count || 0;
+  }
+
+  /**
+   * Count downloads currently running for the active run
+   */
+  getRunningDownloadCount() {
+    const result = this.prepare(
+      `SELECT COUNT(*) as count FROM downloads WHERE state = 'running' AND run_id = ?`,
+    ).get(this.runId);
+    return result.count || 0;
+  }
+
+  /**
+   * Record the remaining credits reported by a submit response
+   * profile_path defaults to the profile the run was started with
+   */
+  recordCredits(promptId, remainingCredits, profilePath = null) {
+    const prompt = this.prepare(`SELECT run_id FROM prompts WHERE id = ?`).get(
+      promptId,
+    );
+    const runId = prompt ? prompt.run_id : this.runId;
+
+    this.prepare(
+      `
+      INSERT INTO credits_ledger (run_id, prompt_id, profile_path, remaining_credits, created_at)
+      VALUES (?, ?, COALESCE(?, (SELECT profile_path FROM runs WHERE id = ?)), ?, ?)
+    `,
+    ).run(
+      runId,
+      prompt ? promptId : null,
+      profilePath,
+      runId,
+      remainingCredits,
+      new Date().toISOString(),
+    );
+  }
+
+  /**
+   * Average credits spent per submit for a profile (null if unknown)
+   * Taken from the drop between consecutive ledger entries; increases are
+   * top-ups and are ignored.
+   */
+  getCreditCostPerPrompt(profilePath, sampleSize = 20) {
+    const entries = this.prepare(
+      `
+      SELECT remaining_credits FROM credits_ledger
+      WHERE profile_path IS ?
+      ORDER BY id DESC LIMIT ?
+    `,
+    ).all(profilePath, sampleSize + 1);
+
+    const costs = [];
+    for (let i = 0; i < entries.length - 1; i++) {
+      const cost =
+        entries[i + 1].remaining_credits - entries[i].remaining_credits;
+      if (cost > 0) costs.push(cost);
+    }
+
+    if (costs.length === 0) return null;
+    return costs.reduce((sum, cost) => sum + cost, 0) / costs.length;
+  }
+
+  /**
+   * Which profile handled which prompts of a run (the last profile that
+   * claimed each prompt) and how many operations each one produced
+   * Returns: [{ profilePath, prompts: [idx], done, failed, operations }]
+   */
+  getProfileReport(runId = this.runId) {
+    const report = new Map();
+    const entry = (profilePath) => {
+      if (!report.has(profilePath)) {
+        report.set(profilePath, {
+          profilePath,
+          prompts: [],
+          done: 0,
+          failed: 0,
+          operations: 0,
+        });
+      }
+      return report.get(profilePath);
+    };
+
+    this.prepare(
+      `
+      SELECT idx, status, profile_path FROM prompts
+      WHERE run_id = ? AND profile_path IS NOT NULL
+      ORDER BY idx
+    `,
+    )
+      .all(runId)
+      .forEach((p) => {
+        const row = entry(p.profile_path);
+        row.prompts.push(p.idx);
+        if (p.status === "done") row.done++;
+        if (p.status === "failed" || p.status === "timeout") row.failed++;
+      });
+
+    this.prepare(
+      `
+      SELECT profile_path, COUNT(*) as count FROM operations
+      WHERE run_id = ? AND profile_path IS NOT NULL
+      GROUP BY profile_path
+    `,
+    )
+      .all(runId)
+      .forEach((o) => {
+        entry(o.profile_path).operations = o.count;
+      });
+
+    return [...report.values()];
+  }
+
+  /**
+   * Credits summary per profile for a run: balance, burn rate and how
+   * many more prompts are affordable before reaching the budget floor
+   */
+  getCreditsSummary(runId = this.runId, floor = 0) {
+    const entries = this.prepare(
+      `SELECT * FROM credits_ledger WHERE run_id = ? ORDER BY id`,
+    ).all(runId);
+
+    const byProfile = new Map();
+    entries.forEach((entry) => {
+      const list = byProfile.get(entry.profile_path) || [];
+      list.push(entry);
+      byProfile.set(entry.profile_path, list);
+    });
+
+    return [...byProfile.entries()].map(([profilePath, list]) => {
+      const first = list[0];
+      const last = list[list.length - 1];
+
+      let spent = 0;
+      for (let i = 1; i < list.length; i++) {
+        spent += Math.max(
+          0,
+          list[i - 1].remaining_credits - list[i].remaining_credits,
+        );
+      }
+
+      const hours =
+        (new Date(last.created_at) - new Date(first.created_at)) / 3600000;
+      const costPerPrompt = this.getCreditCostPerPrompt(profilePath);
+
+      return {
+        profilePath,
+        submits: list.length,
+        remainingCredits: last.remaining_credits,
+        spent,
+        costPerPrompt,
+        // Under a minute of data gives a meaningless hourly rate
+        burnPerHour: hours >= 1 / 60 ? Math.round(spent / hours) : null,
+        affordablePrompts: costPerPrompt
+          ? Math.max(
+              0,
+              Math.floor((last.remaining_credits - floor) / costPerPrompt),
+            )
+          : null,
+        updatedAt: last.created_at,
+      };
+    });
+  }
+
+  /**
+   * Save database to file (immediately)
+   * Writes to a temp file and renames it so a crash mid-write can't
+   * leave a truncated database behind.
    */
   save() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
     if (this.db && this.dbPath !== ":memory:") {
       const data = this.db.export();
       const buffer = Buffer.from(data);
-      fs.writeFileSync(this.dbPath, buffer);
+      // Unique per save: another process (app, CLI) may be saving too
+      const tmpPath = `${this.dbPath}.${process.pid}-${++tmpFileCounter}.tmp`;
+      try {
+        fs.writeFileSync(tmpPath, buffer);
+        fs.renameSync(tmpPath, this.dbPath);
+      } catch (error) {
+        fs.removeSync(tmpPath);
+        throw error;
+      }
+    }
+    this.dirty = false;
+  }
+
+  /**
+   * Flush pending writes to disk (no-op if nothing changed)
+   */
+  flush() {
+    if (this.dirty) {
+      this.save();
     }
   }
 
+  /**
+   * Record that the in-memory database has unsaved writes
+   */
+  markDirty() {
+    this.dirty = true;
+
+    if (this.durability === DURABILITY.FULL) {
+      // export() would end the open transaction: saved after its COMMIT
+      if (!this.inTransaction) this.save();
+      return;
+    }
+
+    // Batch writes: flush at most once per interval, even under constant load
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        try {
+          this.flush();
+        } catch (error) {
+          console.error(`Failed to flush database: ${error.message}`);
+        }
+      }, this.flushIntervalMs);
+      // The exit hook flushes, don't keep the process alive for it
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * State transition reached: flush now unless running in interval mode
+   */
+  checkpoint() {
+    if (this.durability === DURABILITY.INTERVAL) {
+      this.markDirty();
+    } else {
+      this.flush();
+    }
+  }
+
+  /**
+   * Flush on process exit and termination signals
+   */
+  registerShutdownFlush() {
+    if (this.shutdownHandlers) return;
+
+    const onExit = () => {
+      try {
+        this.flush();
+      } catch (error) {
+        console.error(`Failed to flush database on exit: ${error.message}`);
+      }
+    };
+
+    // Flush, then re-raise so the default signal behaviour still applies
+    const onSignal = (signal) => {
+      onExit();
+      this.unregisterShutdownFlush();
+      process.kill(process.pid, signal);
+    };
+
+    this.shutdownHandlers = { onExit, onSignal };
+    process.on("exit", onExit);
+    process.once("SIGINT", onSignal);
+    process.once("SIGTERM", onSignal);
+  }
+
+  /**
+   * Remove process hooks installed by registerShutdownFlush()
+   */
+  unregisterShutdownFlush() {
+    if (!this.shutdownHandlers) return;
+
+    const { onExit, onSignal } = this.shutdownHandlers;
+    process.removeListener("exit", onExit);
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+    this.shutdownHandlers = null;
+  }
+
   /**
    * Execute SQL (helper for sql.js)
    */
   exec(sql) {
+    const statement = sql.trim().split(/\s+/)[0].toUpperCase();
+    if (statement === "COMMIT" || statement === "ROLLBACK") {
+      this.inTransaction = false;
+    }
     this.db.run(sql);
+    if (statement === "BEGIN") {
+      this.inTransaction = true;
+    }
+    this.markDirty();
   }
 
   /**
@@ -744,8 +1982,12 @@ class VeoDatabase {
     return {
       run(...params) {
         self.db.run(sql, params);
-        self.save();
-        return { changes: self.db.getRowsModified() };
+        // Read before any save(): export() resets the connection state
+        const changes = self.db.getRowsModified();
+        const lastInsertRowid = self.db.exec("SELECT last_insert_rowid()")[0]
+          .values[0][0];
+        self.markDirty();
+        return { changes, lastInsertRowid };
       },
       get(...params) {
         const stmt = self.db.prepare(sql);
@@ -788,7 +2030,7 @@ class VeoDatabase {
         } catch (e) {
           // No transaction to commit
         }
-        this.save();
+        this.checkpoint();
         return result;
       } catch (error) {
         try {
@@ -805,11 +2047,24 @@ class VeoDatabase {
    * Close database
    */
   close() {
+    this.unregisterShutdownFlush();
     if (this.db) {
-      this.save();
+      this.flush();
       this.db.close();
+      this.db = null;
     }
   }
 }
 
+/**
+ * Hash of a prompt text (prompts.text_hash)
+ */
+function hashPromptText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
 module.exports = VeoDatabase;
+module.exports.DURABILITY = DURABILITY;
+module.exports.EVENT_SOURCE = EVENT_SOURCE;
+module.exports.OPERATION_STATUS = OPERATION_STATUS;
+module.exports.hashPromptText = hashPromptText;
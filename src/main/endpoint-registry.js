@@ -0,0 +1,247 @@
+/**
+ * endpoint-registry.js
+ * Declarative map of the VEO API endpoints the network interceptors capture
+ *
+ * Loaded from JSON (src/main/veo-endpoints.json, or settings.endpointsConfig):
+ *   apiPath       substring of every VEO API URL (error statuses of these
+ *                 calls are captured even without an endpoint entry)
+ *   errorHeaders  response headers kept with a captured error
+ *   endpoints     [{ event, match | pattern, name?, parser? }]
+ *   recordUrls    URL substrings of further Flow calls a HAR recording
+ *                 keeps (generated media); VEO API calls are always kept
+ * A response of a matching endpoint is published to the listeners of its
+ * event: submit and poll drive the orchestrator, any other event is for
+ * interceptor.on(event, listener). match is a URL substring, pattern a
+ * regular expression; parser names a response parser (json by default).
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "veo-endpoints.json");
+
+// Published for every VEO API call answered with an error status
+const ERROR_EVENT = "error";
+// Published when a capture backend stopped on its own (DevTools
+// connection closed); the caller replaces the capture
+const CLOSED_EVENT = "closed";
+
+// Response parsers endpoints can name, body is the response text
+const PARSERS = {
+  json: (body) => JSON.parse(body),
+  text: (body) => body,
+};
+
+class EndpointRegistry {
+  constructor(config = {}) {
+    this.apiPath = config.apiPath || "/v1/video:";
+    this.errorHeaders = (config.errorHeaders || []).map((name) =>
+      name.toLowerCase(),
+    );
+    this.endpoints = (config.endpoints || []).map(normalizeEndpoint);
+    this.recordUrls = config.recordUrls || [];
+  }
+
+  /**
+   * Read a registry from a JSON config file (the bundled one by default)
+   */
+  static load(configPath = null) {
+    const file = configPath || DEFAULT_CONFIG_PATH;
+    let config;
+    try {
+      config = fs.readJsonSync(file);
+    } catch (error) {
+      throw new Error(`Cannot read endpoint config ${file}: ${error.message}`);
+    }
+    return new EndpointRegistry(config);
+  }
+
+  /**
+   * Make a parser available to endpoint configs
+   * parser(body, url) returns the data passed to the listeners
+   */
+  static registerParser(name, parser) {
+    PARSERS[name] = parser;
+  }
+
+  /**
+   * Endpoint of a request URL, null when no entry matches
+   */
+  match(url) {
+    if (!url) return null;
+    return (
+      this.endpoints.find((endpoint) =>
+        endpoint.regex
+          ? endpoint.regex.test(url)
+          : url.includes(endpoint.match),
+      ) || null
+    );
+  }
+
+  /**
+   * Whether a request URL is a VEO API call (captured when it fails)
+   */
+  isApiUrl(url) {
+    return !!url && (url.includes(this.apiPath) || !!this.match(url));
+  }
+
+  /**
+   * Whether a HAR recording keeps a request URL
+   */
+  isRecordedUrl(url) {
+    return (
+      this.isApiUrl(url) ||
+      (!!url && this.recordUrls.some((part) => url.includes(part)))
+    );
+  }
+
+  /**
+   * Matching rules for the script injected into the page (plain JSON)
+   */
+  toPageConfig() {
+    return {
+      apiPath: this.apiPath,
+      errorHeaders: this.errorHeaders,
+      recordUrls: this.recordUrls,
+      endpoints: this.endpoints.map(({ event, match, pattern }) => ({
+        event,
+        match,
+        pattern,
+      })),
+    };
+  }
+
+  /**
+   * Turn a captured call into what its listeners get
+   * item: { url, status, headers, body (response text), requestBody }
+   * Returns { event, data, request }: data is the parsed response, or the
+   * error (see createError) for an error status; request.promptTexts are
+   * the prompt texts of the request body
+   */
+  decode(item) {
+    const request = {
+      url: item.url,
+      promptTexts: extractPromptTexts(item.requestBody),
+    };
+
+    if (isErrorStatus(item.status)) {
+      return { event: ERROR_EVENT, data: this.createError(item), request };
+    }
+
+    const endpoint = this.match(item.url);
+    if (!endpoint) return null;
+    return {
+      event: endpoint.event,
+      data: PARSERS[endpoint.parser](item.body, item.url),
+      request,
+    };
+  }
+
+  /**
+   * Error passed to error listeners:
+   * { type, endpoint, url, status, headers, body, message }
+   * type is the endpoint's event (other for unregistered calls), body the
+   * parsed JSON error body (text when it is not JSON), message
+   * "HTTP <status>: <error message or status>"
+   */
+  createError({ url, status, headers = {}, body = null }) {
+    let parsed = body;
+    if (typeof body === "string") {
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        parsed = body.slice(0, 2000) || null;
+      }
+    }
+
+    const kept = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (this.errorHeaders.includes(name.toLowerCase())) {
+        kept[name.toLowerCase()] = value;
+      }
+    }
+
+    const endpoint = this.match(url);
+    const detail = parsed?.error?.message || parsed?.error?.status;
+    return {
+      type: endpoint?.event || "other",
+      endpoint:
+        endpoint?.name || url.split(this.apiPath)[1]?.split("?")[0] || url,
+      url,
+      status,
+      headers: kept,
+      body: parsed,
+      message: detail ? `HTTP ${status}: ${detail}` : `HTTP ${status}`,
+    };
+  }
+}
+
+/**
+ * Validate an endpoint entry of the config
+ */
+function normalizeEndpoint(endpoint, index) {
+  const label = endpoint.name || endpoint.match || `#${index + 1}`;
+  if (!endpoint.event || (!endpoint.match && !endpoint.pattern)) {
+    throw new Error(`Endpoint ${label} needs an event and a match or pattern`);
+  }
+  if ([ERROR_EVENT, CLOSED_EVENT].includes(endpoint.event)) {
+    throw new Error(
+      `Endpoint ${label}: "${endpoint.event}" is a reserved event`,
+    );
+  }
+
+  const parser = endpoint.parser || "json";
+  if (!PARSERS[parser]) {
+    throw new Error(`Endpoint ${label}: unknown parser ${parser}`);
+  }
+
+  let regex = null;
+  if (endpoint.pattern) {
+    try {
+      regex = new RegExp(endpoint.pattern);
+    } catch (error) {
+      throw new Error(`Endpoint ${label}: ${error.message}`);
+    }
+  }
+
+  return {
+    name: endpoint.name || endpoint.match || endpoint.pattern,
+    event: endpoint.event,
+    match: endpoint.match || null,
+    pattern: endpoint.pattern || null,
+    regex,
+    parser,
+  };
+}
+
+/**
+ * Whether an HTTP status is not a success (unknown statuses are not)
+ */
+function isErrorStatus(status) {
+  return typeof status === "number" && (status < 200 || status >= 300);
+}
+
+/**
+ * Prompt texts of a batchAsyncGenerateVideoText request body
+ * (requestData.promptInputs[].textInput), [] when unknown
+ */
+function extractPromptTexts(requestBody) {
+  if (!requestBody) return [];
+  try {
+    const body = JSON.parse(requestBody);
+    const inputs = body.requestData?.promptInputs || body.promptInputs || [];
+    return inputs
+      .map((input) => input.textInput)
+      .filter((text) => typeof text === "string");
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  EndpointRegistry,
+  ERROR_EVENT,
+  CLOSED_EVENT,
+  isErrorStatus,
+  extractPromptTexts,
+};
@@ -0,0 +1,365 @@
+/**
+ * har-recorder.js
+ * Opt-in HAR 1.2 recording of a run's Flow traffic
+ *
+ * The network capture backends hand every VEO-related call they see to
+ * record() (see NetworkCapture.setRecorder); the entries are written to
+ * the run's HAR file (outputs/run-<id>.har) every 30 seconds and when the
+ * run ends, asynchronously and through a temp file like VeoDatabase.save.
+ * Cookies, auth headers and credential query parameters (also of signed
+ * URLs inside request and response bodies) are redacted. Past maxBytes
+ * the bodies of new calls are left out, then the calls themselves; video
+ * bodies are only kept with videoBodies.
+ */
+
+const fs = require("fs-extra");
+const path = require("path");
+const { version } = require("../../package.json");
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const FLUSH_MS = 30000;
+const REDACTED = "[REDACTED]";
+
+const REDACTED_REQUEST_HEADERS = [
+  "cookie",
+  "authorization",
+  "proxy-authorization",
+  "x-goog-api-key",
+];
+const REDACTED_RESPONSE_HEADERS = ["set-cookie", "set-cookie2"];
+// Signed media URLs: V4 (X-Goog-*) and V2 (Signature, GoogleAccessId)
+const REDACTED_QUERY_PARAMS = [
+  "key",
+  "access_token",
+  "token",
+  "x-goog-signature",
+  "x-goog-credential",
+  "signature",
+  "googleaccessid",
+];
+// URLs inside a body that is not JSON
+const URL_PATTERN = /https?:\/\/[^\s"'<>\\]+/g;
+
+class HarRecorder {
+  /**
+   * options: { maxBytes, videoBodies, logger }
+   * A file left by an earlier attempt of the run (resume) is continued
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.videoBodies = !!options.videoBodies;
+    this.logger = options.logger;
+    // Serialized entries, a write only joins them
+    this.entries = readEntries(filePath, this.logger).map((entry) =>
+      JSON.stringify(entry),
+    );
+    this.bytes = this.entries.reduce((total, entry) => total + entry.length, 0);
+    this.strippedBodies = 0; // Recorded without bodies (size cap)
+    this.dropped = 0; // Not recorded (size cap)
+    this.dirty = false;
+    this.writing = Promise.resolve(); // Writes run one after another
+
+    fs.ensureDirSync(path.dirname(filePath));
+    this.flushInterval = setInterval(() => this.flush(), FLUSH_MS);
+    this.flushInterval.unref?.();
+    this.logger?.info(`📼 Recording Flow traffic to ${filePath}`);
+  }
+
+  /**
+   * Whether the response body of a call is recorded (video bodies are
+   * not fetched from the browser unless asked for)
+   */
+  wantsBody(mimeType, url) {
+    return this.videoBodies || !isVideo(mimeType, url);
+  }
+
+  /**
+   * Add a captured call
+   * item: { url, method, requestHeaders, requestBody, status, statusText,
+   * httpVersion, headers, mimeType, body, bodyBase64, startedAt, time }
+   */
+  record(item) {
+    if (!this.flushInterval) return;
+
+    const entry = toEntry(item, this.wantsBody(item.mimeType, item.url));
+    let serialized = JSON.stringify(entry);
+    if (this.bytes + serialized.length > this.maxBytes) {
+      serialized = JSON.stringify(stripBodies(entry));
+      if (this.bytes + serialized.length > this.maxBytes) {
+        if (this.dropped === 0) {
+          this.logger?.warn(
+            `📼 HAR file reached its ${formatMB(this.maxBytes)} cap, further calls are not recorded`,
+          );
+        }
+        this.dropped++;
+        return;
+      }
+      if (this.strippedBodies === 0) {
+        this.logger?.warn(
+          `📼 HAR file near its ${formatMB(this.maxBytes)} cap, recording calls without bodies`,
+        );
+      }
+      this.strippedBodies++;
+    }
+
+    this.entries.push(serialized);
+    this.bytes += serialized.length;
+    this.dirty = true;
+  }
+
+  /**
+   * Write the HAR file when calls were recorded since the last write
+   * Resolves once written (errors are logged)
+   */
+  flush() {
+    this.writing = this.writing.then(() => this.write());
+    return this.writing;
+  }
+
+  async write() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const notes = [];
+    if (this.strippedBodies > 0) {
+      notes.push(`${this.strippedBodies} calls recorded without bodies`);
+    }
+    if (this.dropped > 0) {
+      notes.push(`${this.dropped} calls not recorded`);
+    }
+    const log = {
+      version: "1.2",
+      creator: { name: "veo-automation", version },
+      pages: [],
+    };
+    if (notes.length > 0) {
+      log.comment = `Size cap ${formatMB(this.maxBytes)}: ${notes.join(", ")}`;
+    }
+    const header = JSON.stringify(log).slice(0, -1);
+    const text = `{"log":${header},"entries":[${this.entries.join(",")}]}}`;
+
+    // A crash mid-write leaves the previous file intact
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      await fs.writeFile(tmpPath, text);
+      await fs.rename(tmpPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      this.logger?.error(`Failed to write HAR file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop recording and write the file
+   */
+  async close() {
+    if (!this.flushInterval) return;
+    clearInterval(this.flushInterval);
+    this.flushInterval = null;
+    await this.flush();
+    this.logger?.info(
+      `📼 HAR file: ${this.filePath} (${this.entries.length} calls)`,
+    );
+  }
+}
+
+/**
+ * Entries of an existing HAR file, [] when there is none
+ * An unreadable file is kept aside (<file>.corrupt) instead of overwritten
+ */
+function readEntries(filePath, logger) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const entries = fs.readJsonSync(filePath).log?.entries;
+    if (Array.isArray(entries)) return entries;
+    throw new Error("no log.entries");
+  } catch (error) {
+    const corruptPath = `${filePath}.corrupt`;
+    logger?.warn(
+      `📼 Cannot continue the HAR file (${error.message}), kept as ${corruptPath}`,
+    );
+    try {
+      fs.moveSync(filePath, corruptPath, { overwrite: true });
+    } catch (moveError) {
+      // Overwritten by the next write
+    }
+    return [];
+  }
+}
+
+/**
+ * HAR entry of a captured call, credentials redacted
+ */
+function toEntry(item, withBody) {
+  const url = redactUrl(item.url);
+  const requestHeaders = toHeaders(
+    item.requestHeaders,
+    REDACTED_REQUEST_HEADERS,
+  );
+  const responseHeaders = toHeaders(item.headers, REDACTED_RESPONSE_HEADERS);
+  const mimeType =
+    item.mimeType ||
+    headerValue(responseHeaders, "content-type") ||
+    "x-unknown";
+
+  const content = { size: 0, mimeType };
+  if (!withBody) {
+    content.comment = "Video body not recorded";
+  } else if (item.bodyBase64) {
+    content.size = Buffer.byteLength(item.bodyBase64, "base64");
+    content.text = item.bodyBase64;
+    content.encoding = "base64";
+  } else if (typeof item.body === "string") {
+    content.size = Buffer.byteLength(item.body);
+    content.text = redactBody(item.body);
+  }
+
+  const request = {
+    method: item.method || "GET",
+    url,
+    httpVersion: item.httpVersion || "",
+    cookies: [],
+    headers: requestHeaders,
+    queryString: toQueryString(url),
+    headersSize: -1,
+    bodySize: item.requestBody ? Buffer.byteLength(item.requestBody) : 0,
+  };
+  if (item.requestBody) {
+    request.postData = {
+      mimeType: headerValue(requestHeaders, "content-type") || "",
+      text: redactBody(item.requestBody),
+    };
+  }
+
+  const time = Math.max(0, Math.round(item.time || 0));
+  return {
+    startedDateTime: new Date(item.startedAt || Date.now()).toISOString(),
+    time,
+    request,
+    response: {
+      status: item.status || 0,
+      statusText: item.statusText || "",
+      httpVersion: item.httpVersion || "",
+      cookies: [],
+      headers: responseHeaders,
+      content,
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+  };
+}
+
+/**
+ * Entry without request and response bodies (size cap)
+ */
+function stripBodies(entry) {
+  const { postData, ...request } = entry.request;
+  const { text, encoding, ...content } = entry.response.content;
+  const comment = "Body not recorded (HAR size cap)";
+  return {
+    ...entry,
+    request: postData ? { ...request, comment } : request,
+    response: {
+      ...entry.response,
+      content: text === undefined ? content : { ...content, comment },
+    },
+  };
+}
+
+/**
+ * HAR name/value list of a header object, values of the given headers
+ * redacted
+ */
+function toHeaders(headers, redacted) {
+  return Object.entries(headers || {}).flatMap(([name, value]) =>
+    // CDP joins repeated headers with newlines
+    String(value)
+      .split("\n")
+      .map((line) => ({
+        name,
+        value: redacted.includes(name.toLowerCase()) ? REDACTED : line,
+      })),
+  );
+}
+
+function headerValue(headers, name) {
+  return headers.find((header) => header.name.toLowerCase() === name)?.value;
+}
+
+/**
+ * URL with the values of credential query parameters redacted
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  let changed = false;
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (REDACTED_QUERY_PARAMS.includes(name.toLowerCase())) {
+      parsed.searchParams.set(name, REDACTED);
+      changed = true;
+    }
+  }
+  return changed ? parsed.toString() : url;
+}
+
+/**
+ * Body text with the URLs in it redacted (e.g. the signed fifeUrls of a
+ * poll response); a JSON body is re-serialized only when a URL changed
+ */
+function redactBody(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return text.replace(URL_PATTERN, (url) => redactUrl(url));
+  }
+
+  let changed = false;
+  const redact = (value) => {
+    if (typeof value === "string") {
+      if (!/^https?:\/\//.test(value)) return value;
+      const redacted = redactUrl(value);
+      changed = changed || redacted !== value;
+      return redacted;
+    }
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, redact(item)]),
+      );
+    }
+    return value;
+  };
+  const redacted = redact(parsed);
+  return changed ? JSON.stringify(redacted) : text;
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({
+      name,
+      value,
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function isVideo(mimeType, url) {
+  if (mimeType) return mimeType.toLowerCase().startsWith("video/");
+  return /\.(mp4|webm|mov)(\?|$)/i.test(url || "");
+}
+
+function formatMB(bytes) {
+  return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+}
+
+module.exports = HarRecorder;
@@ -9,12 +9,25 @@ app.commandLine.appendSwitch("--disable-gpu-sandbox");
 app.commandLine.appendSwitch("--no-sandbox");
 
 // Import automation modules
-const { automateWithAPIQueue, automateWithTwoPhase } = require("./automation");
+const {
+  automateWithAPIQueue,
+  automateWithTwoPhase,
+  automateConcurrentGeneration,
+  resumeLastRun,
+  getPromptTimeline,
+  controlRun,
+  getRunStatus,
+  listRuns,
+} = require("./automation");
 const ProfileManager = require("./profile-manager");
 
 let mainWindow;
 let profileManager;
 
+// Runs started through IPC: runId → { runId, kind, startedAt, progress, finished, result, error }
+// Kept after the run ends so a reloaded renderer can still pick up the result
+const runSessions = new Map();
+
 function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
@@ -87,130 +100,360 @@ app.on("window-all-closed", () => {
   }
 });
 
-// IPC handlers for automation
-ipcMain.handle(
-  "automation:start",
-  async (event, { prompts, settings, profileId }) => {
-    try {
-      console.log(`Starting automation with ${prompts.length} prompts`);
-
-      // Get profile
-      const profile = profileManager.getProfile(profileId);
-      if (!profile) {
-        throw new Error("Profile not found");
-      }
-
-      console.log(`Using profile: ${profile.name} (${profile.path})`);
-
-      // Send initial progress
-      console.log('[Progress] Sending initial progress...');
-      try {
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send("automation:progress", {
-            current: 0,
-            total: prompts.length,
-            status: "Initializing automation...",
-          });
-          console.log('[Progress] Initial progress sent');
-        } else {
-          console.error('[Progress] mainWindow is null or destroyed at start!');
+/**
+ * Send a progress update to the renderer (if the window is still alive)
+ */
+function sendProgress(data) {
+  try {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("automation:progress", data);
+    } else {
+      console.error("[Progress] mainWindow is null or destroyed!");
+    }
+  } catch (error) {
+    console.error("[Progress] Error sending to renderer:", error);
+  }
+}
+
+/**
+ * Send an event of one run to the renderer
+ * type: progress | finished | failed
+ */
+function sendRunEvent(runId, type, data = {}) {
+  try {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("automation:run-event", {
+        runId,
+        type,
+        ...data,
+      });
+    }
+  } catch (error) {
+    console.error("[RunEvent] Error sending to renderer:", error);
+  }
+}
+
+/**
+ * Start a run in the background
+ * Resolves with { runId } as soon as the run exists in the database; the
+ * outcome is delivered as a run event ("finished" / "failed") and kept in
+ * runSessions. Errors before the run is created reject.
+ */
+function launchRun(kind, execute, { onFinished } = {}) {
+  return new Promise((resolve, reject) => {
+    let session = null;
+
+    const onRunCreated = (runId) => {
+      session = {
+        runId,
+        kind,
+        startedAt: new Date().toISOString(),
+        progress: { current: 0, total: 0, status: "Initializing..." },
+        finished: false,
+        result: null,
+        error: null,
+      };
+      runSessions.set(runId, session);
+      resolve({ runId });
+    };
+
+    const onProgress = (current, status, total) => {
+      console.log(`[Progress] Update: ${current}/${total} - ${status}`);
+      if (!session) return;
+      session.progress = { current, total, status };
+      sendProgress(session.progress);
+      sendRunEvent(session.runId, "progress", { progress: session.progress });
+    };
+
+    // Typed orchestrator events (run-events.js), forwarded as they are
+    const onEvent = (event) => {
+      if (!session) return;
+      sendRunEvent(session.runId, event.type, { event });
+    };
+
+    const label = kind === "resume" ? "Resume" : "Automation";
+
+    execute({ onRunCreated, onProgress, onEvent })
+      .then(async (twoPhaseResults) => {
+        session.result = formatAutomationResults(
+          twoPhaseResults,
+          twoPhaseResults.prompts.map((p) => p.promptText),
+        );
+        session.finished = true;
+        session.progress = {
+          current: twoPhaseResults.totalPrompts,
+          total: twoPhaseResults.totalPrompts,
+          status: "Completed!",
+        };
+        sendProgress(session.progress);
+
+        if (onFinished) {
+          await onFinished().catch((error) =>
+            console.error(`Run #${session.runId} onFinished failed:`, error),
+          );
         }
-      } catch (error) {
-        console.error('[Progress] Error sending initial progress:', error);
-      }
-
-      // Run automation with new API-driven approach
-      console.log("Starting API-driven automation...");
-      
-      // Create progress callback
-      const onProgress = (current, status) => {
-        console.log(`[Progress] Update: ${current}/${prompts.length} - ${status}`);
-        
-        try {
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send("automation:progress", {
-              current,
-              total: prompts.length,
-              status,
-            });
-            console.log(`[Progress] Sent to renderer: ${current}/${prompts.length}`);
-          } else {
-            console.error('[Progress] mainWindow is null or destroyed!');
-          }
-        } catch (error) {
-          console.error('[Progress] Error sending to renderer:', error);
+
+        sendRunEvent(session.runId, "finished", { result: session.result });
+      })
+      .catch((error) => {
+        console.error(`${label} failed:`, error);
+        if (!session) {
+          reject(new Error(`${label} failed: ${error.message}`));
+          return;
         }
-      };
+        session.finished = true;
+        session.error = error.message;
+        sendRunEvent(session.runId, "failed", { error: error.message });
+      });
+  });
+}
 
-      const twoPhaseResults = await automateWithAPIQueue(
-        profile.path,
-        prompts,
-        { ...settings, onProgress },
-      );
-      
-      // Send completion progress
-      mainWindow.webContents.send("automation:progress", {
-        current: prompts.length,
-        total: prompts.length,
-        status: "Completed!",
+/**
+ * Run status enriched with the session of this window (progress, result)
+ */
+function withSession(run) {
+  const session = runSessions.get(run.id);
+  if (!session) return { ...run, session: null };
+  return {
+    ...run,
+    // A session that has not finished yet is still running, whatever
+    // the database says between the last checkpoint and completion
+    live: run.live || !session.finished,
+    session,
+  };
+}
+
+/**
+ * Convert automation results to the format the renderer expects
+ */
+function formatAutomationResults(twoPhaseResults, prompts) {
+  // Convert to expected format with error handling
+  const results = [];
+  if (
+    twoPhaseResults &&
+    twoPhaseResults.prompts &&
+    Array.isArray(twoPhaseResults.prompts)
+  ) {
+    twoPhaseResults.prompts.forEach((prompt, index) => {
+      const promptVideos = twoPhaseResults.manifest
+        ? twoPhaseResults.manifest.filter((m) => m.idx === prompt.index)
+        : [];
+
+      results.push({
+        runId: twoPhaseResults.runId,
+        index: prompt.index,
+        prompt: prompt.promptText || prompts[index] || `Prompt ${index + 1}`,
+        filePath: promptVideos.length > 0 ? promptVideos[0].file_path : "",
+        timestamp: prompt.submitTime || new Date().toISOString(),
+        status:
+          promptVideos.length > 0
+            ? "success"
+            : prompt.status === "cancelled"
+              ? "cancelled"
+              : "no videos found",
       });
-      
-      console.log("API-driven automation completed, processing results...");
-
-      // Convert to expected format with error handling
-      const results = [];
-      if (
-        twoPhaseResults &&
-        twoPhaseResults.prompts &&
-        Array.isArray(twoPhaseResults.prompts)
-      ) {
-        twoPhaseResults.prompts.forEach((prompt, index) => {
-          const promptVideos = twoPhaseResults.manifest
-            ? twoPhaseResults.manifest.filter((m) => m.idx === prompt.index)
-            : [];
-
-          results.push({
-            prompt:
-              prompt.promptText || prompts[index] || `Prompt ${index + 1}`,
-            filePath: promptVideos.length > 0 ? promptVideos[0].file_path : "",
-            timestamp: prompt.submitTime || new Date().toISOString(),
-            status: promptVideos.length > 0 ? "success" : "no videos found",
-          });
-        });
-      } else {
-        // Fallback: create results from original prompts
-        prompts.forEach((prompt, index) => {
-          results.push({
-            prompt: prompt,
-            filePath: "",
-            timestamp: new Date().toISOString(),
-            status: "error: automation failed",
-          });
-        });
-      }
-
-      // Update last used
-      await profileManager.updateLastUsed(profileId);
-
-      const success = results.filter((r) => r.status === "success").length;
-      const failed = results.filter((r) => r.status !== "success").length;
-
-      return {
-        success,
-        failed,
-        results,
-        // Add Two-Phase specific info (with fallbacks)
-        totalVideos: twoPhaseResults?.totalVideos || 0,
-        promptsWithVideos: twoPhaseResults?.promptsWithVideos || 0,
-        manifest: twoPhaseResults?.manifest || [],
-      };
-    } catch (error) {
-      console.error("Automation failed:", error);
-      throw new Error(`Automation failed: ${error.message}`);
+    });
+  } else {
+    // Fallback: create results from original prompts
+    prompts.forEach((prompt, index) => {
+      results.push({
+        prompt: prompt,
+        filePath: "",
+        timestamp: new Date().toISOString(),
+        status: "error: automation failed",
+      });
+    });
+  }
+
+  const success = results.filter((r) => r.status === "success").length;
+  const failed = results.filter((r) => r.status !== "success").length;
+
+  return {
+    runId: twoPhaseResults?.runId || null,
+    success,
+    failed,
+    results,
+    // Add Two-Phase specific info (with fallbacks)
+    totalVideos: twoPhaseResults?.totalVideos || 0,
+    promptsWithVideos: twoPhaseResults?.promptsWithVideos || 0,
+    manifest: twoPhaseResults?.manifest || [],
+    credits: twoPhaseResults?.credits || [],
+    paused: twoPhaseResults?.paused || null,
+    cancelled: !!twoPhaseResults?.cancelled,
+  };
+}
+
+// IPC handlers for automation
+// start/resume return { runId } right away, the batch keeps running in the
+// background and reports through run events (automation:run-event)
+ipcMain.handle(
+  "automation:start",
+  async (event, { prompts, settings, profileId, profileIds }) => {
+    console.log(`Starting automation with ${prompts.length} prompts`);
+
+    // Get profiles: profileIds drains one queue with several profiles
+    const ids = profileIds?.length ? profileIds : [profileId];
+    const profiles = ids.map((id) => profileManager.getProfile(id));
+    if (profiles.some((profile) => !profile)) {
+      throw new Error("Automation failed: Profile not found");
     }
+
+    profiles.forEach((profile) =>
+      console.log(`Using profile: ${profile.name} (${profile.path})`),
+    );
+
+    // Send initial progress
+    sendProgress({
+      current: 0,
+      total: prompts.length,
+      status: "Initializing automation...",
+    });
+
+    return launchRun(
+      "start",
+      (hooks) =>
+        profiles.length > 1
+          ? automateConcurrentGeneration(
+              profiles.map((profile) => profile.path),
+              prompts,
+              { ...settings, ...hooks },
+            )
+          : automateWithAPIQueue(profiles[0].path, prompts, {
+              ...settings,
+              ...hooks,
+            }),
+      {
+        onFinished: () =>
+          Promise.all(ids.map((id) => profileManager.updateLastUsed(id))),
+      },
+    );
   },
 );
 
+ipcMain.handle("automation:resume", async (event, { settings, profileId } = {}) => {
+  // Profile is optional: the run remembers the profile it was started with
+  let profilePath = null;
+  if (profileId) {
+    const profile = profileManager.getProfile(profileId);
+    if (!profile) {
+      throw new Error("Resume failed: Profile not found");
+    }
+    profilePath = profile.path;
+  }
+
+  sendProgress({ current: 0, total: 0, status: "Resuming last run..." });
+
+  return launchRun(
+    "resume",
+    (hooks) => resumeLastRun(profilePath, { ...settings, ...hooks }),
+    {
+      onFinished: profileId
+        ? () => profileManager.updateLastUsed(profileId)
+        : null,
+    },
+  );
+});
+
+ipcMain.handle("automation:status", async (event, runId) => {
+  try {
+    return withSession(await getRunStatus(runId));
+  } catch (error) {
+    console.error("Run status failed:", error);
+    throw new Error(`Run status failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle("automation:listRuns", async (event, { limit } = {}) => {
+  try {
+    return (await listRuns(limit)).map(withSession);
+  } catch (error) {
+    console.error("List runs failed:", error);
+    throw new Error(`List runs failed: ${error.message}`);
+  }
+});
+
+ipcMain.handle("automation:timeline", async (event, { idx, runId } = {}) => {
+  try {
+    return await getPromptTimeline(idx, runId);
+  } catch (error) {
+    console.error("Timeline failed:", error);
+    throw new Error(`Timeline failed: ${error.message}`);
+  }
+});
+
+// Lifecycle of the running batch (runId defaults to the active run)
+async function lifecycleCommand(type, runId) {
+  try {
+    return await controlRun({ type }, runId);
+  } catch (error) {
+    console.error(`Automation ${type} failed:`, error);
+    throw new Error(`Automation ${type} failed: ${error.message}`);
+  }
+}
+
+ipcMain.handle("automation:pause", async (event, runId) => {
+  return lifecycleCommand("pause", runId);
+});
+
+ipcMain.handle("automation:continue", async (event, runId) => {
+  return lifecycleCommand("continue", runId);
+});
+
+ipcMain.handle("automation:stop", async (event, runId) => {
+  return lifecycleCommand("cancel", runId);
+});
+
+// Add prompts to the running batch
+ipcMain.handle("automation:enqueue", async (event, { prompts, runId } = {}) => {
+  try {
+    return await controlRun({ type: "enqueue", args: { prompts } }, runId);
+  } catch (error) {
+    console.error("Enqueue failed:", error);
+    throw new Error(`Enqueue failed: ${error.message}`);
+  }
+});
+
+// Queue handlers (queued prompts of the running or latest run)
+async function queueCommand(type, args, runId) {
+  try {
+    return await controlRun({ type, args }, runId);
+  } catch (error) {
+    console.error(`Queue ${type} failed:`, error);
+    throw new Error(`Queue ${type} failed: ${error.message}`);
+  }
+}
+
+ipcMain.handle("queue:list", async (event, { runId } = {}) => {
+  return queueCommand("queue", {}, runId);
+});
+
+ipcMain.handle("queue:bump", async (event, { idx, runId } = {}) => {
+  return queueCommand("bump", { idx }, runId);
+});
+
+ipcMain.handle("queue:demote", async (event, { idx, runId } = {}) => {
+  return queueCommand("demote", { idx }, runId);
+});
+
+ipcMain.handle("queue:skip", async (event, { idx, reason, runId } = {}) => {
+  return queueCommand("skip", { idx, reason }, runId);
+});
+
+ipcMain.handle("queue:abandon", async (event, { idx, reason, runId } = {}) => {
+  return queueCommand("abandon", { idx, reason }, runId);
+});
+
+ipcMain.handle(
+  "queue:setPriority",
+  async (event, { idx, priority, runId } = {}) => {
+    return queueCommand("priority", { idx, priority }, runId);
+  },
+);
+
+ipcMain.handle("queue:reorder", async (event, { order, runId } = {}) => {
+  return queueCommand("reorder", { order }, runId);
+});
+
 // Profile management handlers
 ipcMain.handle("profiles:list", async () => {
   try {
@@ -0,0 +1,137 @@
+/**
+ * network-capture.js
+ * Listener side shared by the network capture backends
+ * (CDPInterceptorV2: injected script, CDPNetworkCapture: DevTools events)
+ *
+ * A backend hands every captured VEO API call to dispatch(); the endpoint
+ * registry decides which event it is and parses it. With a HAR recorder
+ * (har-recorder.js) the backends also capture the rest of the run's Flow
+ * traffic (registry.isRecordedUrl) for the recording.
+ */
+
+const {
+  EndpointRegistry,
+  ERROR_EVENT,
+  CLOSED_EVENT,
+} = require("./endpoint-registry");
+
+class NetworkCapture {
+  constructor(logger, registry = EndpointRegistry.load()) {
+    this.logger = logger;
+    this.registry = registry;
+    this.listeners = {}; // event → [callback]
+    this.recorder = null;
+  }
+
+  /**
+   * Record the captured calls to a HAR file (call before enable)
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  /**
+   * Whether a backend captures calls to a URL
+   */
+  isCaptured(url) {
+    return this.recorder
+      ? this.registry.isRecordedUrl(url)
+      : this.registry.isApiUrl(url);
+  }
+
+  /**
+   * Publish a captured call to the listeners of its registry event
+   */
+  dispatch(item) {
+    if (this.recorder) {
+      try {
+        this.recorder.record(item);
+      } catch (error) {
+        this.logger?.warn(`Failed to record ${item.url}: ${error.message}`);
+      }
+    }
+    // Recorded-only calls (media downloads) are no VEO API calls
+    if (!this.registry.isApiUrl(item.url)) return;
+
+    let decoded;
+    try {
+      decoded = this.registry.decode(item);
+    } catch (error) {
+      this.logger?.warn(
+        `Failed to parse response of ${item.url}: ${error.message}`,
+      );
+      return;
+    }
+    if (!decoded) return;
+
+    const { event, data, request } = decoded;
+    if (event === ERROR_EVENT) {
+      this.logger?.warn(`📥 ${data.endpoint} error: ${data.message}`);
+    } else {
+      this.logger?.info(
+        `📥 ${event} response${Array.isArray(data?.operations) ? `: ${data.operations.length} operations` : ""}`,
+      );
+    }
+    this.publish(event, data, request);
+  }
+
+  /**
+   * Call the listeners of an event, a failing listener is logged
+   */
+  publish(event, ...args) {
+    for (const callback of this.listeners[event] || []) {
+      try {
+        callback(...args);
+      } catch (error) {
+        this.logger?.error(
+          `Interceptor listener for ${event} failed: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Register listener for a registry event (see endpoint-registry.js)
+   * callback(data, { url, promptTexts }); for "error" data is the error
+   * from EndpointRegistry.createError
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Register listener for submit responses
+   * callback(data, { promptTexts }): promptTexts are the texts of the
+   * request that produced the response ([] if it was not captured)
+   */
+  onSubmit(callback) {
+    this.on("submit", callback);
+  }
+
+  /**
+   * Register listener for poll responses
+   */
+  onPoll(callback) {
+    this.on("poll", callback);
+  }
+
+  /**
+   * Register listener for VEO API calls answered with an error status
+   */
+  onError(callback) {
+    this.on(ERROR_EVENT, callback);
+  }
+
+  /**
+   * Register listener for a capture that stopped on its own (its DevTools
+   * connection closed); nothing is captured afterwards
+   */
+  onClosed(callback) {
+    this.on(CLOSED_EVENT, callback);
+  }
+}
+
+module.exports = NetworkCapture;
@@ -3,8 +3,30 @@ const { contextBridge, ipcRenderer } = require("electron");
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld("electronAPI", {
-  // Automation
+  // Automation (start/resume resolve with { runId }, results come as run events)
   startAutomation: (config) => ipcRenderer.invoke("automation:start", config),
+  resumeAutomation: (config) => ipcRenderer.invoke("automation:resume", config),
+  getRunStatus: (runId) => ipcRenderer.invoke("automation:status", runId),
+  listRuns: (query) => ipcRenderer.invoke("automation:listRuns", query),
+  getPromptTimeline: (query) =>
+    ipcRenderer.invoke("automation:timeline", query),
+  enqueuePrompts: (query) => ipcRenderer.invoke("automation:enqueue", query),
+  automation: {
+    // Pause keeps polling/downloading in-flight prompts; stop cancels the
+    // batch, leaving it resumable (runId defaults to the running batch)
+    pause: (runId) => ipcRenderer.invoke("automation:pause", runId),
+    resume: (runId) => ipcRenderer.invoke("automation:continue", runId),
+    stop: (runId) => ipcRenderer.invoke("automation:stop", runId),
+  },
+
+  // Queue (query: { runId?, idx?, priority?, order?, reason? })
+  getQueue: (query) => ipcRenderer.invoke("queue:list", query),
+  bumpPrompt: (query) => ipcRenderer.invoke("queue:bump", query),
+  demotePrompt: (query) => ipcRenderer.invoke("queue:demote", query),
+  setPromptPriority: (query) => ipcRenderer.invoke("queue:setPriority", query),
+  skipPrompt: (query) => ipcRenderer.invoke("queue:skip", query),
+  abandonPrompt: (query) => ipcRenderer.invoke("queue:abandon", query),
+  reorderQueue: (query) => ipcRenderer.invoke("queue:reorder", query),
 
   // Profile management
   listProfiles: () => ipcRenderer.invoke("profiles:list"),
@@ -26,4 +48,12 @@ contextBridge.exposeInMainWorld("electronAPI", {
     // Return unsubscribe function
     return () => ipcRenderer.removeListener("automation:progress", listener);
   },
+  // Events of one run: { runId, type: "progress"|"finished"|"failed", progress?, result?, error? }
+  subscribeRun: (runId, callback) => {
+    const listener = (event, data) => {
+      if (data.runId === runId) callback(data);
+    };
+    ipcRenderer.on("automation:run-event", listener);
+    return () => ipcRenderer.removeListener("automation:run-event", listener);
+  },
 });
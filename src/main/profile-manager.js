@@ -182,12 +182,50 @@ class ProfileManager {
   }
 
   async updateLastUsed(profileId) {
+    // Runs update profiles.json too (cooldowns), don't save a stale list
+    await this.loadProfiles();
     const profile = this.getProfile(profileId);
     if (profile) {
       profile.lastUsed = new Date().toISOString();
       await this.saveProfiles();
     }
   }
+
+  /**
+   * Keep a profile out of failovers until a time (out of credits,
+   * rate-limited by Flow)
+   */
+  async setCooldown(profilePath, until, reason = null) {
+    await this.loadProfiles();
+    const profile = this.profiles.find((p) => p.path === profilePath);
+    if (!profile) return null;
+
+    profile.cooldownUntil = until;
+    profile.cooldownReason = reason;
+    await this.saveProfiles();
+    return profile;
+  }
+
+  isCoolingDown(profile, now = Date.now()) {
+    return !!profile.cooldownUntil && Date.parse(profile.cooldownUntil) > now;
+  }
+
+  /**
+   * Next profile a run can fail over to: logged in at least once and not
+   * cooling down, in list order
+   * excludePaths: profiles the run already uses
+   */
+  async getNextHealthyProfile(excludePaths = []) {
+    await this.loadProfiles();
+    for (const profile of this.profiles) {
+      if (excludePaths.includes(profile.path) || this.isCoolingDown(profile)) {
+        continue;
+      }
+      const { hasSession } = await this.testProfile(profile.id);
+      if (hasSession) return profile;
+    }
+    return null;
+  }
 }
 
 module.exports = ProfileManager;
@@ -0,0 +1,340 @@
+/**
+ * profile-pool.js
+ * Several Chrome profiles draining one run's prompt queue concurrently
+ *
+ * Each member is a SequentialOrchestrator in shared-queue mode with its own
+ * browser, interceptor and inflight limit; prompts are claimed atomically
+ * in the database. The pool has the orchestrator's control surface, so
+ * executeRun, IPC and the run-control inbox drive it like one orchestrator.
+ * Run-level events are published once by the pool; prompt, operation,
+ * browser and download events are forwarded with the member's profilePath.
+ *
+ * Failover: when a member's profile is exhausted (out of credits or
+ * rate-limited) the pool cools it down and starts the next healthy
+ * profile on the same queue through the failover hooks.
+ */
+
+const { RunEventBus, RUN_EVENTS } = require("./run-events");
+
+// Published by the pool instead of by each member
+const POOL_EVENTS = new Set([
+  RUN_EVENTS.RUN_PROGRESS,
+  RUN_EVENTS.RUN_PAUSED,
+  RUN_EVENTS.RUN_RESUMED,
+  RUN_EVENTS.RUN_CANCELLED,
+  RUN_EVENTS.RUN_FINISHED,
+]);
+
+class ProfilePool {
+  constructor(members, db, logger, settings = {}) {
+    this.members = members; // SequentialOrchestrator per profile, first = primary
+    this.db = db;
+    this.logger = logger;
+    this.cancelRequestedAt = null;
+
+    // { nextProfile(excludePaths), launchProfile(path), cooldown(path, kind, reason) }
+    this.failoverHooks = settings.failover || null;
+    this.pendingFailovers = new Set();
+
+    this.events = new RunEventBus(db.runId, { logger });
+    if (settings.onEvent) {
+      this.events.onAny(settings.onEvent);
+    }
+    if (settings.onProgress) {
+      this.events.on(RUN_EVENTS.RUN_PROGRESS, (event) =>
+        settings.onProgress(event.completed, event.message, event.total),
+      );
+    }
+    this.lastProgressKey = null;
+
+    for (const member of members) {
+      member.events.onAny((event) => this.relay(member, event));
+    }
+  }
+
+  get primary() {
+    return this.members[0];
+  }
+
+  /**
+   * Forward a member event, run-level ones are published by the pool
+   */
+  relay(member, event) {
+    const { type, runId, at, ...payload } = event;
+
+    if (type === RUN_EVENTS.RUN_PROGRESS) {
+      this.publishProgress(payload);
+      return;
+    }
+    if (POOL_EVENTS.has(type)) return;
+
+    // One lost browser does not stop the other profiles
+    if (type === RUN_EVENTS.RUN_ERROR && payload.fatal) {
+      payload.fatal = this.browserLostError !== null;
+    }
+    this.events.publish(type, { ...payload, profilePath: member.profilePath });
+
+    if (type === RUN_EVENTS.PROFILE_EXHAUSTED) {
+      this.startFailover(member, payload);
+    }
+  }
+
+  /**
+   * Fail over in the background, waitForCompletion waits for it
+   */
+  startFailover(member, { kind, reason }) {
+    const failover = this.failover(member, kind, reason)
+      .catch((error) =>
+        this.logger?.error(
+          `[Failover] ${member.profilePath}: ${error.message}`,
+        ),
+      )
+      .finally(() => this.pendingFailovers.delete(failover));
+    this.pendingFailovers.add(failover);
+  }
+
+  /**
+   * Cool the exhausted profile down and start the next healthy profile
+   * (not already in the run) on the queue; profiles that fail to start
+   * are skipped
+   */
+  async failover(member, kind, reason) {
+    const hooks = this.failoverHooks;
+    if (!hooks) return;
+
+    const cooldownUntil = await hooks.cooldown(
+      member.profilePath,
+      kind,
+      reason,
+    );
+    this.logger?.warn(
+      `🧊 [Failover] ${member.profilePath} cooling down until ${cooldownUntil}`,
+    );
+
+    const tried = this.members.map((m) => m.profilePath);
+    while (!this.cancelRequestedAt && this.db.getPromptLoad().queued > 0) {
+      const next = await hooks.nextProfile(tried);
+      if (!next) {
+        this.logger?.warn(
+          `[Failover] No healthy profile left to take over from ${member.profilePath}`,
+        );
+        break;
+      }
+      tried.push(next);
+
+      try {
+        this.addMember(await hooks.launchProfile(next));
+        this.logger?.info(
+          `🔀 [Failover] ${next} takes over from ${member.profilePath}`,
+        );
+        this.events.publish(RUN_EVENTS.PROFILE_FAILOVER, {
+          from: member.profilePath,
+          to: next,
+          cooldownUntil,
+        });
+        return;
+      } catch (error) {
+        this.logger?.error(
+          `[Failover] Profile ${next} failed to start: ${error.message}`,
+        );
+      }
+    }
+
+    this.events.publish(RUN_EVENTS.PROFILE_FAILOVER, {
+      from: member.profilePath,
+      to: null,
+      cooldownUntil,
+    });
+  }
+
+  /**
+   * Add a profile to the running pool, from now on every member only
+   * claims its share of the queue
+   */
+  addMember(member) {
+    this.members.push(member);
+    this.members.forEach((m) => m.shareQueue());
+    member.events.onAny((event) => this.relay(member, event));
+    member.start();
+    if (this.cancelRequestedAt) {
+      member.cancel();
+    }
+  }
+
+  /**
+   * Publish run:progress with the pool state (stats cover the whole run)
+   */
+  publishProgress({ completed, total, stats, message, credits }) {
+    const state = this.getState();
+    const key = JSON.stringify([stats, state]);
+    if (key === this.lastProgressKey) return;
+    this.lastProgressKey = key;
+
+    this.events.publish(RUN_EVENTS.RUN_PROGRESS, {
+      completed,
+      total,
+      stats,
+      state,
+      message:
+        this.members.length > 1
+          ? `[${this.members.length} profiles] ${message}`
+          : message,
+      credits,
+    });
+  }
+
+  start() {
+    if (this.members.length > 1) {
+      this.logger?.info(
+        `Starting ${this.members.length} profiles on one queue: ${this.members.map((m) => m.profilePath).join(", ")}`,
+      );
+    }
+    this.members.forEach((member) => member.start());
+  }
+
+  stop() {
+    this.members.forEach((member) => member.stop());
+  }
+
+  /**
+   * Resolves once every member has finished, including members added by
+   * a failover
+   */
+  async waitForCompletion() {
+    const finished = new Set();
+    for (;;) {
+      const pending = this.members.filter((member) => !finished.has(member));
+      if (pending.length === 0 && this.pendingFailovers.size === 0) break;
+
+      pending.forEach((member) => finished.add(member));
+      await Promise.all([
+        ...pending.map((member) => member.waitForCompletion()),
+        ...this.pendingFailovers,
+      ]);
+    }
+
+    // An exhausted profile stays paused, that only matters if the other
+    // profiles left prompts behind
+    const stats = this.db.getStats();
+    const unfinished =
+      (stats.queued || 0) + (stats.submitting || 0) + (stats.in_progress || 0);
+
+    let state = "completed";
+    if (this.cancelRequestedAt) state = "cancelled";
+    else if (this.browserLostError) state = "failed";
+    else if (this.pausedReason && unfinished > 0) state = "paused";
+
+    this.events.publish(RUN_EVENTS.RUN_FINISHED, {
+      state,
+      pausedReason: state === "paused" ? this.pausedReason : null,
+      stats,
+    });
+  }
+
+  pause(reason, options = {}) {
+    const paused = this.members.map((member) => member.pause(reason, options));
+    if (!paused.some(Boolean)) return false;
+    this.events.publish(RUN_EVENTS.RUN_PAUSED, {
+      reason,
+      hold: !!options.hold,
+    });
+    return true;
+  }
+
+  resume() {
+    const previousReason = this.pausedReason;
+    const resumed = this.members.map((member) => member.resume());
+    if (!resumed.some(Boolean)) return false;
+    this.events.publish(RUN_EVENTS.RUN_RESUMED, { previousReason });
+    return true;
+  }
+
+  cancel() {
+    if (this.cancelRequestedAt) return false;
+    this.cancelRequestedAt = Date.now();
+    this.members.forEach((member) => member.cancel());
+    this.events.publish(RUN_EVENTS.RUN_CANCELLED);
+    return true;
+  }
+
+  /**
+   * Lifecycle state: running | paused | cancelling | stopped
+   * Paused only once every profile still running is paused
+   */
+  getState() {
+    const active = this.members
+      .map((member) => member.getState())
+      .filter((state) => state !== "stopped");
+    if (active.length === 0) return "stopped";
+    if (this.cancelRequestedAt) return "cancelling";
+    return active.every((state) => state === "paused") ? "paused" : "running";
+  }
+
+  /**
+   * Why the run stopped submitting: a member's pause, or a lost browser
+   * whose prompts are left for a resume
+   */
+  get pausedReason() {
+    if (this.cancelRequestedAt) return "cancelled";
+    const paused = this.members.find((member) => member.pausedReason);
+    if (paused) return paused.pausedReason;
+    const lost = this.members.find((member) => member.browserLostError);
+    return lost ? `browser lost on ${lost.profilePath}` : null;
+  }
+
+  get holdWhilePaused() {
+    return this.members.some((member) => member.holdWhilePaused);
+  }
+
+  /**
+   * Set only once every profile lost its browser
+   */
+  get browserLostError() {
+    const errors = this.members.map((member) => member.browserLostError);
+    return errors.every(Boolean) ? errors.join("; ") : null;
+  }
+
+  get browserRestarts() {
+    return this.members.reduce(
+      (sum, member) => sum + member.browserRestarts,
+      0,
+    );
+  }
+
+  enqueuePrompts(promptsData) {
+    const member = this.members.find((m) => m.acceptingPrompts) || this.primary;
+    return member.enqueuePrompts(promptsData);
+  }
+
+  skipPrompt(idx, reason = null) {
+    return this.getPromptOwner(idx).skipPrompt(idx, reason);
+  }
+
+  abandonPrompt(idx, reason = null) {
+    return this.getPromptOwner(idx).abandonPrompt(idx, reason);
+  }
+
+  /**
+   * Member that claimed a prompt (polls it), the primary when unclaimed
+   */
+  getPromptOwner(idx) {
+    const prompt = this.db
+      .prepare(`SELECT profile_path FROM prompts WHERE run_id = ? AND idx = ?`)
+      .get(this.db.runId, idx);
+    return (
+      this.members.find(
+        (member) => member.profilePath === prompt?.profile_path,
+      ) || this.primary
+    );
+  }
+
+  getStats() {
+    return this.primary.getStats();
+  }
+
+  exportManifest(outputPath) {
+    return this.primary.exportManifest(outputPath);
+  }
+}
+
+module.exports = ProfilePool;
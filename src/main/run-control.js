@@ -0,0 +1,168 @@
+/**
+ * run-control.js
+ * Commands for a run that is executing in another process
+ *
+ * The database lives in memory in the process running the batch and is
+ * flushed over the file, so other processes (e.g. veo-cli.js) must not
+ * write to it while that run is active. Instead they drop a command file
+ * into data/control/run-<id>/; the owning process applies it within
+ * POLL_INTERVAL_MS and writes the result next to it.
+ */
+
+const path = require("path");
+const fs = require("fs-extra");
+const crypto = require("crypto");
+
+const CONTROL_DIR = "data/control";
+const POLL_INTERVAL_MS = 500;
+
+// Commands sent by this process, so ones sent in the same millisecond
+// still sort in the order they were sent
+let commandCounter = 0;
+
+/**
+ * Control directory of a run
+ */
+function getRunDir(runId, controlDir = CONTROL_DIR) {
+  return path.join(controlDir, `run-${runId}`);
+}
+
+/**
+ * Owning side: applies commands dropped into the run's control directory
+ */
+class RunControlServer {
+  constructor(runId, handler, options = {}) {
+    this.runId = runId;
+    this.handler = handler; // async (command) => result
+    this.logger = options.logger;
+    this.dir = getRunDir(runId, options.controlDir);
+    this.interval = null;
+    this.processing = false;
+  }
+
+  /**
+   * Claim the run and start watching for commands
+   */
+  start() {
+    fs.ensureDirSync(this.dir);
+    fs.writeJsonSync(path.join(this.dir, "owner.json"), {
+      pid: process.pid,
+      startedAt: new Date().toISOString(),
+    });
+    this.interval = setInterval(() => this.processInbox(), POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Stop watching and release the run
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    fs.removeSync(path.join(this.dir, "owner.json"));
+  }
+
+  /**
+   * Apply pending commands in the order they were sent
+   */
+  async processInbox() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const files = fs
+        .readdirSync(this.dir)
+        .filter((f) => f.endsWith(".cmd.json"))
+        .sort();
+
+      for (const file of files) {
+        const id = file.replace(/\.cmd\.json$/, "");
+        const cmdPath = path.join(this.dir, file);
+        let response;
+
+        try {
+          const command = fs.readJsonSync(cmdPath);
+          this.logger?.info(
+            `[Control] Run #${this.runId}: ${command.type} ${JSON.stringify(command.args || {})}`,
+          );
+          response = { ok: true, result: await this.handler(command) };
+        } catch (error) {
+          response = { ok: false, error: error.message };
+        }
+
+        writeJsonAtomic(path.join(this.dir, `${id}.result.json`), response);
+        fs.removeSync(cmdPath);
+      }
+    } catch (error) {
+      this.logger?.error(
+        `[Control] Error processing commands: ${error.message}`,
+      );
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+/**
+ * PID of the live process running a run, or null
+ */
+function getRunOwner(runId, controlDir = CONTROL_DIR) {
+  const ownerPath = path.join(getRunDir(runId, controlDir), "owner.json");
+  if (!fs.existsSync(ownerPath)) return null;
+
+  try {
+    const { pid } = fs.readJsonSync(ownerPath);
+    process.kill(pid, 0); // Throws if the process is gone
+    return pid;
+  } catch (error) {
+    // EPERM: process exists but belongs to another user
+    return error.code === "EPERM" ? fs.readJsonSync(ownerPath).pid : null;
+  }
+}
+
+/**
+ * Send a command to the process running a run and wait for its result
+ */
+async function sendRunCommand(runId, command, options = {}) {
+  const dir = getRunDir(runId, options.controlDir);
+  const timeoutMs = options.timeoutMs || 10000;
+  const seq = String(++commandCounter).padStart(6, "0");
+  const id = `${Date.now()}-${seq}-${crypto.randomBytes(4).toString("hex")}`;
+  const cmdPath = path.join(dir, `${id}.cmd.json`);
+  const resultPath = path.join(dir, `${id}.result.json`);
+
+  writeJsonAtomic(cmdPath, command);
+
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (fs.existsSync(resultPath)) {
+      const response = fs.readJsonSync(resultPath);
+      fs.removeSync(resultPath);
+      if (!response.ok) {
+        throw new Error(response.error);
+      }
+      return response.result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  fs.removeSync(cmdPath);
+  throw new Error(`Run #${runId} did not respond within ${timeoutMs}ms`);
+}
+
+/**
+ * Write JSON via a temp file so readers never see a partial file
+ */
+function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeJsonSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  RunControlServer,
+  getRunOwner,
+  sendRunCommand,
+  CONTROL_DIR,
+};
@@ -0,0 +1,108 @@
+/**
+ * run-events.js
+ * Typed events emitted by SequentialOrchestrator while a run executes
+ *
+ * Every event is a plain object { type, runId, at, ...payload }, so the same
+ * stream can be forwarded over Electron IPC, printed by the CLI or sent to
+ * other integrations. Subscribe to one type with bus.on(type, listener) or
+ * to everything with bus.onAny(listener).
+ */
+
+const { EventEmitter } = require("events");
+
+const RUN_EVENTS = {
+  // { completed, total, stats, state, message, credits }
+  RUN_PROGRESS: "run:progress",
+  // { reason, hold }
+  RUN_PAUSED: "run:paused",
+  // { previousReason }
+  RUN_RESUMED: "run:resumed",
+  // {}
+  RUN_CANCELLED: "run:cancelled",
+  // { state: completed|paused|cancelled|failed, pausedReason, stats }
+  RUN_FINISHED: "run:finished",
+  // { message, scope, promptId?, idx?, fatal }
+  RUN_ERROR: "run:error",
+
+  // { promptId, idx, operations: [opName], remainingCredits }
+  PROMPT_SUBMITTED: "prompt:submitted",
+  // { promptId, idx, successful, total }
+  PROMPT_DONE: "prompt:done",
+  // { promptId, idx, status: failed|timeout, error, willRetry }
+  PROMPT_FAILED: "prompt:failed",
+  // { promptId, idx, from, action: skip|abandon }
+  PROMPT_CANCELLED: "prompt:cancelled",
+  // { promptId, idx, expected, submitted }: Flow received another text
+  PROMPT_MISMATCH: "prompt:mismatch",
+
+  // { promptId, operationId, opName, from, to }
+  OPERATION_UPDATED: "operation:updated",
+
+  // { restarts, maxRestarts }
+  BROWSER_RESTARTED: "browser:restarted",
+
+  // { profilePath, kind: credits|rate_limit, reason, released }
+  PROFILE_EXHAUSTED: "profile:exhausted",
+  // { from, to, cooldownUntil }: to is null when no healthy profile is left
+  PROFILE_FAILOVER: "profile:failover",
+
+  // { downloadId, promptId, idx, operationId, takeIndex, bytes, totalBytes }
+  DOWNLOAD_PROGRESS: "download:progress",
+  // { downloadId, promptId, idx, operationId, takeIndex, filePath }
+  DOWNLOAD_DONE: "download:done",
+  // { downloadId, promptId, idx, operationId, takeIndex, error, willRetry }
+  DOWNLOAD_FAILED: "download:failed",
+};
+
+const EVENT_TYPES = new Set(Object.values(RUN_EVENTS));
+const ANY = "*";
+
+class RunEventBus extends EventEmitter {
+  constructor(runId = null, options = {}) {
+    super();
+    this.runId = runId;
+    this.logger = options.logger;
+  }
+
+  /**
+   * Emit a typed event to its listeners and to onAny listeners
+   * Unknown types throw so typos surface in development; a failing
+   * listener is logged and never breaks the orchestrator.
+   */
+  publish(type, payload = {}) {
+    if (!EVENT_TYPES.has(type)) {
+      throw new Error(`Unknown run event: ${type}`);
+    }
+
+    const event = {
+      type,
+      runId: this.runId,
+      at: new Date().toISOString(),
+      ...payload,
+    };
+
+    for (const listener of [...this.listeners(type), ...this.listeners(ANY)]) {
+      try {
+        listener(event);
+      } catch (error) {
+        this.logger?.error(
+          `[RunEvents] Listener for ${type} failed: ${error.message}`,
+        );
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Listen to every event, returns an unsubscribe function
+   */
+  onAny(listener) {
+    this.on(ANY, listener);
+    return () => this.off(ANY, listener);
+  }
+}
+
+module.exports = {
+  RunEventBus,
+  RUN_EVENTS,
+};
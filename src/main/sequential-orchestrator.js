@@ -1,6 +1,11 @@
 const path = require("path");
 const fs = require("fs-extra");
 const { By, Key } = require("selenium-webdriver");
+const { configureVEOSettings } = require("./veo-settings-integration");
+const { TimeoutPolicy } = require("./timeout-policy");
+const { RunEventBus, RUN_EVENTS } = require("./run-events");
+const { OPERATION_STATUS, hashPromptText } = require("./db");
+const VeoApiClient = require("./api-client");
 
 /**
  * Sequential Orchestrator - Implements VEO_Sequential_API_Flow.md
@@ -13,7 +18,20 @@ class SequentialOrchestrator {
     this.db = db;
     this.logger = logger;
     this.settings = settings;
-    this.onProgress = settings.onProgress || (() => {}); // Progress callback
+
+    // Typed run events (run-events.js) for IPC, the CLI and integrations
+    this.events = new RunEventBus(db.runId, { logger });
+    if (settings.onEvent) {
+      this.events.onAny(settings.onEvent);
+    }
+    // Legacy onProgress(current, status, total), fed by run:progress
+    if (settings.onProgress) {
+      this.events.on(RUN_EVENTS.RUN_PROGRESS, (event) =>
+        settings.onProgress(event.completed, event.message, event.total),
+      );
+    }
+    this.lastProgressKey = null; // run:progress is only published on change
+    this.lastDownloadProgressAt = new Map(); // downloadId → ms, throttling
 
     // State
     this.running = false;
@@ -21,6 +39,18 @@ class SequentialOrchestrator {
     this.pollerIntervals = new Map(); // Per-prompt pollers
     this.downloaderWorkers = [];
     this.currentSubmittingPrompt = null;
+    this.pausedReason = null; // Set while submitting is paused (e.g. budget floor)
+    this.holdWhilePaused = false; // Paused by the user: keep the run open
+    this.cancelRequestedAt = null; // Set by cancel()
+    this.acceptingPrompts = false; // Prompts can be enqueued until completion
+    this.profilePath = settings.profilePath || null;
+    // Shared queue (several profiles drain one run): claims, inflight,
+    // recovery and downloads only cover this profile's prompts
+    this.queueScope = settings.sharedQueue ? this.profilePath : null;
+    this.lastRemainingCredits = null; // Balance from the latest submit response
+    this.creditCostPerPrompt = null;
+    // Generation settings currently applied in the Flow page
+    this.appliedVeoSettings = { ...(settings.veoSettings || {}) };
 
     // Configuration
     this.MAX_IN_PROGRESS = 5;
@@ -28,8 +58,33 @@ class SequentialOrchestrator {
     this.POLL_INTERVAL_MS = 2000; // 1.5-2.5s base
     this.POLL_JITTER_MS = 250;
     this.DOWNLOAD_CONCURRENCY = settings.downloadConcurrency || 5;
-    this.T_TIMEOUT_PROMPT = 210000; // 180-240s, use 210s
+    // Per model/outputs, learned from completed prompts (p95 + margin)
+    this.timeoutPolicy = new TimeoutPolicy(db, {
+      fixedTimeoutMs: settings.promptTimeoutMs,
+    });
     this.OUTPUT_DIR = settings.outputDir || "outputs";
+    this.CREDIT_FLOOR = settings.creditFloor ?? null; // Pause before the balance drops below this
+    this.CANCEL_DRAIN_MS = 30000; // Max wait for an in-flight submit/download on cancel
+
+    // Browser recovery: relaunchBrowser() → { driver, cdpInterceptor }
+    this.relaunchBrowser = settings.relaunchBrowser || null;
+    this.MAX_BROWSER_RESTARTS = settings.maxBrowserRestarts ?? 3; // Per run
+    this.BROWSER_RESTART_DELAY_MS = 5000; // Between failed relaunches
+    this.browserRestarts = 0;
+    this.recoveringBrowser = false;
+    this.browserLostError = null; // Set once the browser is gone for good
+
+    // Capture recovery: reopenCapture(driver, mode) → a new interceptor
+    // (mode "script" forces the injected-script backend)
+    this.reopenCapture = settings.reopenCapture || null;
+    this.missedSubmitResponses = 0; // In a row
+    this.reopeningCapture = null; // Promise while reopening
+
+    // Failover: a profile out of credits or rejected by Flow stops submitting
+    // and hands its queue over (ProfilePool starts the next healthy profile)
+    this.MAX_SUBMIT_REJECTIONS = settings.maxSubmitRejections ?? 3; // In a row
+    this.submitRejections = 0;
+    this.exhaustedReason = null;
 
     fs.ensureDirSync(this.OUTPUT_DIR);
 
@@ -42,21 +97,104 @@ class SequentialOrchestrator {
    */
   setupCDPListeners() {
     // Listen for submit responses
-    this.cdp.onSubmit((data) => {
-      this.handleSubmitResponse(data);
+    this.cdp.onSubmit((data, request) => {
+      this.handleSubmitResponse(data, request);
     });
 
     // Listen for poll responses
     this.cdp.onPoll((data) => {
       this.handlePollResponse(data);
     });
+
+    // Listen for VEO API calls answered with an error status
+    this.cdp.onError((apiError, request) => {
+      this.handleApiError(apiError, request);
+    });
+
+    // DevTools connection closed: reconnect, or fall back to the script
+    this.cdp.onClosed(() => {
+      this.recoverCapture("DevTools connection closed");
+    });
+  }
+
+  /**
+   * Handle a VEO API error status from CDP
+   * Submit errors settle the prompt right away instead of the 10s wait;
+   * other endpoints are reported, Flow retries its own polls
+   */
+  async handleApiError(apiError, request = {}) {
+    if (apiError.type === "submit") {
+      await this.handleSubmitError(apiError, request);
+      return;
+    }
+
+    const message = `${apiError.endpoint} failed: ${apiError.message}`;
+    this.logger?.warn(`[CDP] ${message}`);
+    this.emitError("cdp", new Error(message));
+  }
+
+  /**
+   * Handle a rejected submit (error status, or an error body)
+   * The prompt is found from the request text like a response. A rejected
+   * prompt (invalid request, safety filter) fails; quota, rate limits and
+   * server errors requeue it and count against this profile.
+   */
+  async handleSubmitError(apiError, request = {}) {
+    this.missedSubmitResponses = 0; // The capture works
+    const kind = classifySubmitError(apiError);
+    const reason = apiError.message;
+    this.logger?.warn(`[CDP] Submit rejected (${kind}): ${reason}`);
+
+    const submittedText = request.promptTexts?.[0] ?? null;
+    const prompt =
+      submittedText !== null
+        ? this.matchSubmittedText(submittedText).prompt
+        : this.currentSubmittingPrompt;
+
+    if (prompt && this.db.getPromptStatus(prompt.id) === "submitting") {
+      if (kind === "prompt") {
+        this.db.markPromptFailed(prompt.id, `Submit rejected: ${reason}`);
+        this.emitPromptOutcome(prompt.id, "failed");
+      } else {
+        // Not the prompt's fault, it is submitted again (maybe by another profile)
+        this.db.resetPromptToQueued(prompt.id, "submitter", {
+          reason: `Submit rejected: ${reason}`,
+          status: apiError.status ?? null,
+        });
+      }
+    }
+    if (prompt && this.currentSubmittingPrompt?.id === prompt.id) {
+      this.currentSubmittingPrompt = null;
+    }
+
+    if (kind !== "prompt") {
+      this.noteSubmitRejection(reason, kind === "rate_limit");
+    }
   }
 
   /**
    * Handle submit response from CDP
+   * request.promptTexts: texts of the intercepted request, used to find
+   * the prompt the response belongs to
    */
-  async handleSubmitResponse(data) {
+  async handleSubmitResponse(data, request = {}) {
+    this.missedSubmitResponses = 0; // The capture works
     try {
+      // An error body means Flow rejected the submit (e.g. 429 RESOURCE_EXHAUSTED)
+      if (data.error) {
+        await this.handleSubmitError(
+          {
+            type: "submit",
+            status: data.error.code ?? null,
+            body: data,
+            message:
+              data.error.message || data.error.status || "Submit rejected",
+          },
+          request,
+        );
+        return;
+      }
+
       if (!data.operations || data.operations.length === 0) {
         this.logger?.warn("[CDP] Submit response has no operations");
         if (this.currentSubmittingPrompt) {
@@ -64,13 +202,28 @@ class SequentialOrchestrator {
             this.currentSubmittingPrompt.id,
             "No operations returned",
           );
+          this.emitPromptOutcome(this.currentSubmittingPrompt.id, "failed");
           this.currentSubmittingPrompt = null;
         }
+        this.noteSubmitRejection("No operations returned");
         return;
       }
 
-      // Try to find prompt by currentSubmittingPrompt first
+      // Match by the text Flow received when the request was captured,
+      // otherwise by currentSubmittingPrompt first
+      const submittedText = request.promptTexts?.[0] ?? null;
       let prompt = this.currentSubmittingPrompt;
+      let mismatch = false;
+
+      if (submittedText !== null) {
+        ({ prompt, mismatch } = this.matchSubmittedText(submittedText));
+        if (!prompt) {
+          this.logger?.warn(
+            `[CDP] No prompt matches submitted text "${submittedText.slice(0, 50)}...", ignoring response`,
+          );
+          return;
+        }
+      }
 
       // If not found, try to find by checking if operations already exist (duplicate response)
       if (!prompt) {
@@ -99,12 +252,14 @@ class SequentialOrchestrator {
           SELECT p.* FROM prompts p
           LEFT JOIN operations o ON o.prompt_id = p.id
           WHERE p.status = 'submitting'
+          AND p.run_id = ?
+          AND (? IS NULL OR p.profile_path = ?)
           AND o.id IS NULL
           ORDER BY p.idx
           LIMIT 1
         `,
           )
-          .get();
+          .get(this.db.runId, this.queueScope, this.queueScope);
 
         if (submittingPrompt) {
           prompt = submittingPrompt;
@@ -137,21 +292,590 @@ class SequentialOrchestrator {
         return;
       }
 
+      // Flow generates from what it received, flag it instead of trusting it
+      if (mismatch) {
+        this.db.flagTextMismatch(prompt.id, submittedText);
+        this.logger?.warn(
+          `⚠️ [CDP] Prompt ${prompt.idx} text mismatch: Flow received "${submittedText.slice(0, 80)}..."`,
+        );
+        this.events.publish(RUN_EVENTS.PROMPT_MISMATCH, {
+          promptId: prompt.id,
+          idx: prompt.idx,
+          expected: prompt.prompt_text,
+          submitted: submittedText,
+        });
+      }
+
       // Mark prompt as in_progress and insert operations
-      this.db.markPromptInProgress(prompt.id, data.operations);
+      this.db.markPromptInProgress(prompt.id, data.operations, "submitter", {
+        remainingCredits: data.remainingCredits ?? null,
+        statuses: data.operations.map((op) => op.status),
+      });
       this.logger?.info(
         `✅ [CDP] Prompt ${prompt.idx} submitted with ${data.operations.length} operations`,
       );
 
+      this.submitRejections = 0;
+      this.recordCredits(prompt, data.remainingCredits);
+
+      this.events.publish(RUN_EVENTS.PROMPT_SUBMITTED, {
+        promptId: prompt.id,
+        idx: prompt.idx,
+        operations: data.operations.map((op) => op.operation?.name),
+        remainingCredits: data.remainingCredits ?? null,
+      });
+      this.publishProgress();
+
       // Start polling for this prompt
       this.startPromptPoller(prompt.id);
 
-      this.currentSubmittingPrompt = null;
+      // Nothing left to submit with: hand the queue to another profile
+      if (this.isOutOfCredits()) {
+        this.markProfileExhausted(
+          "credits",
+          `out of credits (${this.lastRemainingCredits} left)`,
+        );
+      }
+
+      // A late response for another prompt leaves the current submit waiting
+      if (this.currentSubmittingPrompt?.id === prompt.id) {
+        this.currentSubmittingPrompt = null;
+      }
     } catch (error) {
       this.logger?.error(
         `[CDP] Error handling submit response: ${error.message}`,
       );
+      this.emitError("cdp", error);
+    }
+  }
+
+  /**
+   * Find the prompt a submit response belongs to from its request text
+   * Prompts with the same text_hash win (the submitting one first, then
+   * one whose response came after it was reset to queued); otherwise the
+   * prompt being submitted, flagged as a mismatch unless only whitespace
+   * differs
+   * Returns: { prompt, mismatch }
+   */
+  matchSubmittedText(submittedText) {
+    const current = this.currentSubmittingPrompt;
+    const candidates = this.db.getSubmitCandidates(
+      hashPromptText(submittedText),
+      this.queueScope,
+    );
+
+    const prompt =
+      candidates.find((p) => p.id === current?.id) || candidates[0];
+    if (prompt) {
+      return { prompt, mismatch: false };
+    }
+
+    if (!current) {
+      return { prompt: null, mismatch: false };
+    }
+    return {
+      prompt: current,
+      mismatch:
+        normalizePromptText(submittedText) !==
+        normalizePromptText(current.prompt_text),
+    };
+  }
+
+  /**
+   * Record the balance reported by a submit response in the credits ledger
+   */
+  recordCredits(prompt, remainingCredits) {
+    if (typeof remainingCredits !== "number") return;
+
+    this.db.recordCredits(prompt.id, remainingCredits, this.profilePath);
+    this.lastRemainingCredits = remainingCredits;
+    this.creditCostPerPrompt = this.db.getCreditCostPerPrompt(
+      this.profilePath,
+    );
+
+    this.logger?.info(
+      `💳 [Credits] ${remainingCredits} remaining${this.creditCostPerPrompt ? ` (~${Math.round(this.creditCostPerPrompt)}/prompt)` : ""}`,
+    );
+  }
+
+  /**
+   * Whether one more submit could take the balance below the budget floor
+   * Only balances reported in this session count, so a top-up between
+   * sessions is picked up by the first submit.
+   */
+  isBelowBudgetFloor() {
+    if (this.CREDIT_FLOOR === null || this.lastRemainingCredits === null) {
+      return false;
+    }
+    const cost = this.creditCostPerPrompt || 0;
+    return this.lastRemainingCredits - cost < this.CREDIT_FLOOR;
+  }
+
+  /**
+   * Whether the balance reported in this session cannot pay for one more prompt
+   */
+  isOutOfCredits() {
+    if (this.lastRemainingCredits === null) return false;
+    return (
+      this.lastRemainingCredits < Math.max(1, this.creditCostPerPrompt || 0)
+    );
+  }
+
+  /**
+   * Count a submit Flow answered with an error or without operations
+   * A rate limit, or MAX_SUBMIT_REJECTIONS in a row, exhausts the profile
+   */
+  noteSubmitRejection(reason, rateLimited = false) {
+    this.submitRejections++;
+    if (rateLimited) {
+      this.markProfileExhausted("rate_limit", `rate-limited (${reason})`);
+    } else if (this.submitRejections >= this.MAX_SUBMIT_REJECTIONS) {
+      this.markProfileExhausted(
+        "rate_limit",
+        `${this.submitRejections} submits in a row rejected (${reason})`,
+      );
+    }
+  }
+
+  /**
+   * No response was captured for a submit
+   * Usually our capture failed (interceptor lost, DevTools socket closed,
+   * page navigating), not Flow rejecting the profile: the capture is
+   * reopened, with the injected script after two misses in a row, and
+   * the profile is not counted as rejected
+   */
+  async handleMissedSubmitResponse() {
+    this.missedSubmitResponses++;
+    await this.recoverCapture(
+      `no submit response captured (${this.missedSubmitResponses}x in a row)`,
+      this.missedSubmitResponses >= 2 ? "script" : null,
+    );
+  }
+
+  /**
+   * Replace the network capture with a freshly enabled one
+   * mode: "script" forces the injected-script backend, null the run's
+   */
+  async recoverCapture(reason, mode = null) {
+    if (this.reopeningCapture) return this.reopeningCapture;
+    if (!this.reopenCapture || this.recoveringBrowser || !this.running) {
+      return;
+    }
+
+    this.reopeningCapture = (async () => {
+      const driver = this.driver;
+      this.logger?.warn(
+        `🔌 [Capture] ${reason}, reopening network capture${mode ? ` (${mode})` : ""}...`,
+      );
+      try {
+        await this.cdp.disable();
+      } catch (error) {
+        // Browser gone or capture already closed
+      }
+
+      try {
+        const capture = await this.reopenCapture(driver, mode);
+        if (this.driver !== driver) {
+          // The browser was relaunched meanwhile, with its own capture
+          await capture.disable();
+          return;
+        }
+        this.cdp = capture;
+        this.setupCDPListeners();
+        this.logger?.info("🔌 [Capture] Network capture reopened");
+      } catch (error) {
+        this.logger?.error(
+          `[Capture] Failed to reopen network capture: ${error.message}`,
+        );
+        this.emitError("cdp", error);
+      }
+    })();
+
+    try {
+      await this.reopeningCapture;
+    } finally {
+      this.reopeningCapture = null;
+    }
+  }
+
+  /**
+   * Stop submitting with this profile and release the prompts it claimed
+   * but has not submitted; in-flight prompts keep polling and downloading
+   * kind: credits | rate_limit
+   */
+  markProfileExhausted(kind, reason) {
+    if (this.exhaustedReason) {
+      // Requeued after the handover (e.g. a late rejection): release again
+      this.db.releaseQueuedPrompts(this.profilePath);
+      return;
+    }
+
+    this.exhaustedReason = reason;
+    this.logger?.warn(
+      `🪫 [Submitter] Profile ${this.profilePath} exhausted: ${reason}`,
+    );
+    this.pause(reason);
+    const released = this.db.releaseQueuedPrompts(this.profilePath);
+    this.events.publish(RUN_EVENTS.PROFILE_EXHAUSTED, {
+      profilePath: this.profilePath,
+      kind,
+      reason,
+      released,
+    });
+  }
+
+  /**
+   * Short credits status for progress messages
+   */
+  getCreditsStatus() {
+    if (this.lastRemainingCredits === null) return "";
+    const affordable = this.creditCostPerPrompt
+      ? Math.max(
+          0,
+          Math.floor(
+            (this.lastRemainingCredits - (this.CREDIT_FLOOR || 0)) /
+              this.creditCostPerPrompt,
+          ),
+        )
+      : null;
+    return ` | 💳 ${this.lastRemainingCredits} credits${affordable !== null ? ` (~${affordable} prompts)` : ""}`;
+  }
+
+  /**
+   * Pause submitting new prompts
+   * In-flight prompts keep polling and downloading; queued prompts stay
+   * queued so the run can be resumed later.
+   * hold: keep the run open until resume() (user pause) instead of
+   * finishing it once in-flight work has drained (budget floor)
+   */
+  pause(reason, { hold = false } = {}) {
+    if (this.pausedReason) return false;
+    this.pausedReason = reason;
+    this.holdWhilePaused = hold;
+    this.logger?.warn(`⏸️ [Submitter] Paused: ${reason}`);
+    this.events.publish(RUN_EVENTS.RUN_PAUSED, { reason, hold });
+    this.publishProgress();
+    return true;
+  }
+
+  /**
+   * Resume submitting after pause()
+   */
+  resume() {
+    // An exhausted profile stays paused, a new run/resume starts it again
+    if (!this.pausedReason || this.cancelRequestedAt || this.exhaustedReason) {
+      return false;
+    }
+    this.logger?.info(`▶️ [Submitter] Resumed (was: ${this.pausedReason})`);
+    const previousReason = this.pausedReason;
+    this.pausedReason = null;
+    this.holdWhilePaused = false;
+    this.events.publish(RUN_EVENTS.RUN_RESUMED, { previousReason });
+    this.publishProgress();
+    return true;
+  }
+
+  /**
+   * Cancel the run
+   * Stops submitting, waits briefly for an in-flight submit and running
+   * downloads, then stops. Prompts already submitted stay in_progress and
+   * are re-attached by resumeLastRun; everything else stays queued.
+   */
+  cancel() {
+    if (this.cancelRequestedAt) return false;
+    this.cancelRequestedAt = Date.now();
+    this.pausedReason = "cancelled";
+    this.logger?.warn("⏹️ [Orchestrator] Cancel requested");
+    this.events.publish(RUN_EVENTS.RUN_CANCELLED);
+    this.publishProgress();
+    return true;
+  }
+
+  /**
+   * Skip a queued prompt
+   */
+  skipPrompt(idx, reason = null) {
+    const prompt = this.db.skipPrompt(idx, reason);
+    this.events.publish(RUN_EVENTS.PROMPT_CANCELLED, {
+      promptId: prompt.id,
+      idx,
+      from: prompt.from,
+      action: "skip",
+    });
+    this.publishProgress();
+    return prompt;
+  }
+
+  /**
+   * Abandon an in-progress prompt: stop its poller, no downloads
+   */
+  abandonPrompt(idx, reason = null) {
+    const prompt = this.db.abandonPrompt(idx, reason);
+    this.stopPromptPoller(prompt.id);
+    this.logger?.warn(`🚫 [Orchestrator] Prompt ${idx} abandoned`);
+    this.events.publish(RUN_EVENTS.PROMPT_CANCELLED, {
+      promptId: prompt.id,
+      idx,
+      from: prompt.from,
+      action: "abandon",
+    });
+    this.publishProgress();
+    return prompt;
+  }
+
+  /**
+   * Share the run's queue with other profiles from now on (failover)
+   */
+  shareQueue() {
+    this.queueScope = this.profilePath;
+  }
+
+  /**
+   * Lifecycle state: running | paused | cancelling | stopped
+   */
+  getState() {
+    if (!this.running) return "stopped";
+    if (this.cancelRequestedAt) return "cancelling";
+    return this.pausedReason ? "paused" : "running";
+  }
+
+  /**
+   * The browser crashed or its session is gone
+   * Relaunches it (up to MAX_BROWSER_RESTARTS per run) and continues from
+   * the database; without relaunchBrowser or once the cap is reached the
+   * run stops and stays resumable
+   */
+  async handleBrowserLost(error) {
+    if (this.recoveringBrowser || this.browserLostError || !this.running) {
+      return;
+    }
+
+    this.recoveringBrowser = true;
+    let lastError = error;
+
+    try {
+      while (
+        this.relaunchBrowser &&
+        this.browserRestarts < this.MAX_BROWSER_RESTARTS &&
+        this.running
+      ) {
+        this.browserRestarts++;
+        this.emitError("browser", lastError);
+        this.logger?.warn(
+          `🔄 [Supervisor] Browser lost (${lastError.message}), relaunching ${this.browserRestarts}/${this.MAX_BROWSER_RESTARTS}...`,
+        );
+
+        try {
+          await this.restartBrowser();
+          this.logger?.info(
+            `✅ [Supervisor] Browser relaunched, continuing run #${this.db.runId}`,
+          );
+          return;
+        } catch (restartError) {
+          lastError = restartError;
+          this.logger?.error(
+            `[Supervisor] Relaunch failed: ${restartError.message}`,
+          );
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.BROWSER_RESTART_DELAY_MS),
+          );
+        }
+      }
+
+      this.browserLostError = lastError.message;
+      this.logger?.error(
+        `[Supervisor] Browser lost${this.relaunchBrowser ? ` after ${this.browserRestarts} relaunches` : ""}! Stopping automation.`,
+      );
+      this.emitError("browser", lastError, { fatal: true });
+    } finally {
+      this.recoveringBrowser = false;
+    }
+  }
+
+  /**
+   * Replace the dead browser with a relaunched one
+   * relaunchBrowser() opens the run's Flow project with the run settings
+   * and a fresh interceptor; pollers and prompts cut off mid-submit are
+   * picked up again from the database
+   */
+  async restartBrowser() {
+    for (const promptId of [...this.pollerIntervals.keys()]) {
+      this.stopPromptPoller(promptId);
+    }
+
+    await this.cdp.disable();
+    try {
+      await this.driver.quit();
+    } catch (error) {
+      this.logger?.warn(`[Supervisor] Failed to quit driver: ${error.message}`);
+    }
+
+    const { driver, cdpInterceptor } = await this.relaunchBrowser();
+    this.driver = driver;
+    this.cdp = cdpInterceptor;
+    this.setupCDPListeners();
+    this.appliedVeoSettings = { ...(this.settings.veoSettings || {}) };
+
+    // Continue from the database state
+    this.currentSubmittingPrompt = null;
+    this.db.recoverSubmittingPrompts(
+      "Browser relaunched while submitting",
+      this.queueScope,
+    );
+    this.recoverStuckPrompts();
+    this.reattachInProgressPrompts();
+    this.db.checkpoint();
+
+    this.events.publish(RUN_EVENTS.BROWSER_RESTARTED, {
+      restarts: this.browserRestarts,
+      maxRestarts: this.MAX_BROWSER_RESTARTS,
+    });
+  }
+
+  /**
+   * Publish run:progress if the counts, state or message changed
+   * stats: db.getStats() result when the caller already has one
+   */
+  publishProgress(stats = this.db.getStats()) {
+    const inflight = stats.in_progress || 0;
+    const queued = stats.queued || 0;
+    const submitting = stats.submitting || 0;
+    const done = stats.done || 0;
+    const failed = stats.failed || 0;
+    const completed =
+      done + failed + (stats.timeout || 0) + (stats.cancelled || 0);
+    const total = completed + inflight + queued + submitting;
+    if (total === 0) return;
+
+    let message = `Processing: ${inflight} in progress, ${queued} queued`;
+    if (submitting > 0) {
+      message = `Processing: ${submitting} submitting, ${inflight} in progress, ${queued} queued`;
+    }
+    if (completed > 0) {
+      message = `Completed ${completed}/${total} prompts (${done} success, ${failed} failed)`;
+    }
+    if (this.pausedReason) {
+      message = `⏸️ Paused (${this.pausedReason}), ${queued} queued, ${inflight} in progress`;
+    }
+    if (this.cancelRequestedAt) {
+      message = `⏹️ Cancelling, ${queued} queued, ${inflight} in progress stay resumable`;
+    }
+    message += this.getCreditsStatus();
+
+    const state = this.getState();
+    const key = JSON.stringify([stats, state, message]);
+    if (key === this.lastProgressKey) return;
+    this.lastProgressKey = key;
+
+    this.events.publish(RUN_EVENTS.RUN_PROGRESS, {
+      completed,
+      total,
+      stats,
+      state,
+      message,
+      credits: this.lastRemainingCredits,
+    });
+  }
+
+  /**
+   * Publish run:finished once waitForCompletion resolves
+   * state: completed | paused | cancelled | failed (browser lost)
+   */
+  publishFinished(state) {
+    this.events.publish(RUN_EVENTS.RUN_FINISHED, {
+      state,
+      pausedReason: state === "paused" ? this.pausedReason : null,
+      stats: this.db.getStats(),
+    });
+  }
+
+  /**
+   * Publish the outcome of a prompt: prompt:done, or prompt:failed for
+   * failed/timeout (extra: { error, willRetry })
+   */
+  emitPromptOutcome(promptId, status, extra = {}) {
+    const prompt = this.db
+      .prepare("SELECT idx, error FROM prompts WHERE id = ?")
+      .get(promptId);
+
+    if (status === "done") {
+      const operations = this.db
+        .prepare("SELECT status FROM operations WHERE prompt_id = ?")
+        .all(promptId);
+      this.events.publish(RUN_EVENTS.PROMPT_DONE, {
+        promptId,
+        idx: prompt?.idx,
+        successful: operations.filter(
+          (op) => op.status === OPERATION_STATUS.SUCCESSFUL,
+        ).length,
+        total: operations.length,
+      });
+    } else {
+      this.events.publish(RUN_EVENTS.PROMPT_FAILED, {
+        promptId,
+        idx: prompt?.idx,
+        status,
+        error: extra.error ?? prompt?.error ?? null,
+        willRetry: !!extra.willRetry,
+      });
+    }
+    this.publishProgress();
+  }
+
+  /**
+   * Publish run:error (scope: cdp | submitter | browser | downloader)
+   * fatal: the orchestrator stopped because of it
+   */
+  emitError(scope, error, { promptId, idx, fatal = false } = {}) {
+    this.events.publish(RUN_EVENTS.RUN_ERROR, {
+      scope,
+      message: error?.message ?? String(error),
+      promptId: promptId ?? null,
+      idx: idx ?? null,
+      fatal,
+    });
+  }
+
+  /**
+   * Publish download:progress, at most once per second per download
+   */
+  emitDownloadProgress(downloadEvent, bytes, totalBytes) {
+    const now = Date.now();
+    const last = this.lastDownloadProgressAt.get(downloadEvent.downloadId);
+    if (last && now - last < 1000 && bytes !== totalBytes) return;
+    this.lastDownloadProgressAt.set(downloadEvent.downloadId, now);
+
+    this.events.publish(RUN_EVENTS.DOWNLOAD_PROGRESS, {
+      ...downloadEvent,
+      bytes,
+      totalBytes,
+    });
+  }
+
+  /**
+   * Add prompts to the running batch
+   * Rejected once waitForCompletion has resolved, the run is finishing then
+   */
+  enqueuePrompts(promptsData) {
+    if (!this.acceptingPrompts) {
+      throw new Error("Batch is finishing, start a new run instead");
     }
+
+    const { inserted, skipped, errors } = this.db.insertPrompts(promptsData, {
+      dedupe: !!this.settings.dedupePrompts,
+    });
+    this.logger?.info(
+      `➕ [Queue] Added ${inserted} prompts to the running batch${skipped ? ` (${skipped} duplicates skipped)` : ""}`,
+    );
+
+    this.publishProgress();
+
+    return {
+      inserted,
+      skipped,
+      errors: errors.length,
+      indexes: promptsData.map((p) => p.index),
+    };
   }
 
   /**
@@ -181,16 +905,32 @@ class SequentialOrchestrator {
       }
 
       // Update operations
-      this.db.updateOperations(operation.prompt_id, data.operations);
+      const changes = this.db.updateOperations(
+        operation.prompt_id,
+        data.operations,
+        "poller",
+      );
+      for (const change of changes) {
+        this.events.publish(RUN_EVENTS.OPERATION_UPDATED, {
+          promptId: operation.prompt_id,
+          ...change,
+        });
+      }
 
       // Check if prompt is complete
-      const newStatus = this.db.checkAndUpdatePromptStatus(operation.prompt_id);
+      // Timeouts are decided by the prompt poller (with a final poll)
+      const newStatus = this.db.checkAndUpdatePromptStatus(
+        operation.prompt_id,
+        "poller",
+        null,
+      );
 
       if (newStatus === "done") {
         const prompt = this.db
           .prepare("SELECT idx FROM prompts WHERE id = ?")
           .get(operation.prompt_id);
         this.logger?.info(`✅ [CDP] Prompt ${prompt?.idx} completed`);
+        this.emitPromptOutcome(operation.prompt_id, "done");
 
         // Stop polling for this prompt
         this.stopPromptPoller(operation.prompt_id);
@@ -209,20 +949,32 @@ class SequentialOrchestrator {
         this.stopPromptPoller(operation.prompt_id);
 
         // Attempt retry
-        const retryResult = this.db.retryFailedOperations(operation.prompt_id);
+        const retryResult = this.db.retryFailedOperations(
+          operation.prompt_id,
+          "poller",
+        );
         if (retryResult.canRetry) {
           this.logger?.info(`🔄 [CDP] ${retryResult.reason}`);
           // Prompt is now back to 'queued', will be picked up by submitter
+          // (another profile's once this one is exhausted)
+          if (this.exhaustedReason) {
+            this.db.releaseQueuedPrompts(this.profilePath);
+          }
         } else {
           this.logger?.error(
             `❌ [CDP] Prompt ${prompt?.idx} failed permanently: ${retryResult.reason}`,
           );
         }
+        this.emitPromptOutcome(operation.prompt_id, newStatus, {
+          error: retryResult.canRetry ? null : retryResult.reason,
+          willRetry: retryResult.canRetry,
+        });
       }
     } catch (error) {
       this.logger?.error(
         `[CDP] Error handling poll response: ${error.message}`,
       );
+      this.emitError("cdp", error);
     }
   }
 
@@ -236,6 +988,7 @@ class SequentialOrchestrator {
     }
 
     this.running = true;
+    this.acceptingPrompts = true;
     this.logger?.info("Starting sequential orchestrator...");
 
     // Log initial stats
@@ -245,6 +998,9 @@ class SequentialOrchestrator {
     // Auto-recover stuck prompts with operations
     this.recoverStuckPrompts();
 
+    // Re-attach pollers to prompts submitted before a resume
+    this.reattachInProgressPrompts();
+
     // Start browser health check
     this.startBrowserHealthCheck();
 
@@ -262,6 +1018,7 @@ class SequentialOrchestrator {
    */
   stop() {
     this.running = false;
+    this.acceptingPrompts = false;
     this.logger?.info("Stopping sequential orchestrator...");
 
     if (this.healthCheckInterval) {
@@ -288,60 +1045,87 @@ class SequentialOrchestrator {
     return new Promise((resolve) => {
       const checkInterval = setInterval(() => {
         const stats = this.db.getStats();
-        const inflight = stats.in_progress || 0;
-        const queued = stats.queued || 0;
+        // Shared queue: wait for this profile's prompts and what it may still claim
+        const load = this.queueScope
+          ? this.db.getPromptLoad(this.queueScope)
+          : stats;
+        const inflight = load.in_progress || 0;
+        const queued = load.queued || 0;
         const done = stats.done || 0;
         const failed = stats.failed || 0;
         const timeout = stats.timeout || 0;
+        const submittingCount = load.submitting || 0;
         
-        // Also count submitting prompts
-        const submitting = this.db
-          .prepare(
-            `
-          SELECT COUNT(*) as count FROM prompts WHERE status = 'submitting'
-        `,
-          )
-          .get();
-        const submittingCount = submitting.count || 0;
-        
+        const cancelled = stats.cancelled || 0;
+
         // Calculate progress with correct total
-        const completed = done + failed + timeout;
+        const completed = done + failed + timeout + cancelled;
         const total = completed + inflight + queued + submittingCount;
         
         console.log(`[Orchestrator] Stats: completed=${completed}, total=${total}, inflight=${inflight}, queued=${queued}, submitting=${submittingCount}`);
         
-        // Send progress update
-        if (total > 0 && this.onProgress) {
-          let status = `Processing: ${inflight} in progress, ${queued} queued`;
-          if (submittingCount > 0) {
-            status = `Processing: ${submittingCount} submitting, ${inflight} in progress, ${queued} queued`;
-          }
-          if (completed > 0) {
-            status = `Completed ${completed}/${total} prompts (${done} success, ${failed} failed)`;
+        // Progress update (published only when something changed)
+        this.publishProgress(stats);
+
+        // Browser gone for good: stop, the run stays resumable
+        if (this.browserLostError) {
+          clearInterval(checkInterval);
+          this.stop();
+          this.db.recoverSubmittingPrompts(
+            "Browser lost while submitting",
+            this.queueScope,
+          );
+          this.publishFinished("failed");
+          resolve();
+          return;
+        }
+
+        // The relaunched browser may still pick up work
+        if (this.recoveringBrowser) {
+          return;
+        }
+
+        // Cancel: only wait for the submit/downloads that are mid-flight
+        if (this.cancelRequestedAt) {
+          const drained =
+            submittingCount === 0 && this.db.getRunningDownloadCount() === 0;
+          if (
+            drained ||
+            Date.now() - this.cancelRequestedAt > this.CANCEL_DRAIN_MS
+          ) {
+            this.logger?.info(
+              `[Completion] Cancelled with ${queued} queued, ${inflight} in progress. Stopping...`,
+            );
+            clearInterval(checkInterval);
+            this.stop();
+            // Anything cut off mid-flight goes back to a resumable state
+            this.db.resumeCleanup(this.queueScope);
+            this.publishFinished("cancelled");
+            resolve();
           }
-          console.log(`[Orchestrator] Calling onProgress: ${completed}/${total} - ${status}`);
-          this.onProgress(completed, status);
-        } else {
-          console.log(`[Orchestrator] Not calling onProgress: total=${total}, hasCallback=${!!this.onProgress}`);
+          return;
         }
 
         // Check if all done (including submitting prompts)
-        if (inflight === 0 && queued === 0 && submittingCount === 0) {
+        // A paused run stops once in-flight work has drained, unless the
+        // user paused it
+        if (
+          inflight === 0 &&
+          submittingCount === 0 &&
+          (queued === 0 || (this.pausedReason && !this.holdWhilePaused))
+        ) {
           // Also check downloads
-          const pendingDownloads = this.db
-            .prepare(
-              `
-            SELECT COUNT(*) as count FROM downloads WHERE state IN ('queued', 'running')
-          `,
-            )
-            .get();
-
-          if (pendingDownloads.count === 0) {
+          if (this.db.getPendingDownloadCount(this.queueScope) === 0) {
             this.logger?.info(
-              `[Completion] All prompts processed. Stopping...`,
+              this.pausedReason
+                ? `[Completion] Paused with ${queued} prompts queued (${this.pausedReason}). Stopping...`
+                : `[Completion] All prompts processed. Stopping...`,
             );
+            // Stopping closes the queue in the same tick as this check,
+            // so a prompt enqueued before it is always processed
             clearInterval(checkInterval);
             this.stop();
+            this.publishFinished(this.pausedReason ? "paused" : "completed");
             resolve();
           }
         } else {
@@ -365,10 +1149,11 @@ class SequentialOrchestrator {
         SELECT DISTINCT p.id, p.idx
         FROM prompts p
         JOIN operations o ON o.prompt_id = p.id
-        WHERE p.status = 'submitting'
+        WHERE p.status = 'submitting' AND p.run_id = ?
+        AND (? IS NULL OR p.profile_path = ?)
       `,
         )
-        .all();
+        .all(this.db.runId, this.queueScope, this.queueScope);
 
       if (stuckPrompts.length > 0) {
         this.logger?.warn(
@@ -377,13 +1162,20 @@ class SequentialOrchestrator {
 
         for (const prompt of stuckPrompts) {
           // Update status and check completion
-          this.db
-            .prepare(`UPDATE prompts SET status = 'in_progress' WHERE id = ?`)
-            .run(prompt.id);
-          const newStatus = this.db.checkAndUpdatePromptStatus(prompt.id);
+          this.db.setPromptStatus(prompt.id, "in_progress", "recovery", {
+            reason: "Stuck in submitting with operations",
+          });
+          const newStatus = this.db.checkAndUpdatePromptStatus(
+            prompt.id,
+            "recovery",
+            null,
+          );
           this.logger?.info(
             `[Recovery] Prompt ${prompt.idx}: submitting → ${newStatus}`,
           );
+          if (newStatus !== "in_progress") {
+            this.emitPromptOutcome(prompt.id, newStatus);
+          }
 
           // Start poller if still in progress
           if (newStatus === "in_progress") {
@@ -398,20 +1190,45 @@ class SequentialOrchestrator {
     }
   }
 
+  /**
+   * Start pollers for prompts already in progress (resumed runs)
+   */
+  reattachInProgressPrompts() {
+    try {
+      const inProgress = this.db.getInProgressPrompts(this.queueScope);
+      if (inProgress.length === 0) return;
+
+      this.logger?.info(
+        `[Recovery] Re-attaching ${inProgress.length} in-progress prompts to polling`,
+      );
+      for (const prompt of inProgress) {
+        this.startPromptPoller(prompt.id);
+      }
+    } catch (error) {
+      this.logger?.error(
+        `[Recovery] Error re-attaching in-progress prompts: ${error.message}`,
+      );
+    }
+  }
+
   /**
    * Browser health check
    */
   startBrowserHealthCheck() {
     this.healthCheckInterval = setInterval(async () => {
-      if (!this.running) return;
+      if (!this.running || this.recoveringBrowser || this.browserLostError) {
+        return;
+      }
 
       try {
         await this.driver.getTitle();
       } catch (error) {
+        // A relaunch may have replaced the driver while getTitle() hung
+        if (this.recoveringBrowser) return;
         this.logger?.error(
           `[HealthCheck] Browser crashed or closed: ${error.message}`,
         );
-        this.running = false;
+        this.handleBrowserLost(error);
       }
     }, 5000); // Check every 5s
   }
@@ -428,12 +1245,17 @@ class SequentialOrchestrator {
         return;
       }
 
+      // No page to submit in until the browser is back
+      if (this.recoveringBrowser || this.browserLostError) {
+        return;
+      }
+
       try {
         // this.logger?.info('[Submitter] Tick...');
-        // Check inflight count (MAX 5)
+        // Check inflight count (MAX 5, per profile with a shared queue)
         let stats;
         try {
-          stats = this.db.getStats();
+          stats = this.db.getPromptLoad(this.queueScope);
         } catch (statsError) {
           this.logger?.error(
             `[Submitter] Error getting stats: ${statsError.message}`,
@@ -459,10 +1281,22 @@ class SequentialOrchestrator {
           return;
         }
 
+        if (this.pausedReason) {
+          return;
+        }
+
+        // Stop before the account is drained
+        if (this.isBelowBudgetFloor()) {
+          this.pause(
+            `budget floor ${this.CREDIT_FLOOR} reached (${this.lastRemainingCredits} credits left)`,
+          );
+          return;
+        }
+
         // Peek next prompt without marking
         let prompt;
         try {
-          prompt = this.db.peekNextQueuedPrompt();
+          prompt = this.db.peekNextQueuedPrompt(this.queueScope);
         } catch (promptError) {
           this.logger?.error(
             `[Submitter] Error peeking next prompt: ${promptError.message}`,
@@ -499,12 +1333,17 @@ class SequentialOrchestrator {
             `[Submitter] Prompt ${prompt.idx} already has operations, skipping and resetting to done`,
           );
           // This prompt was already submitted, mark it properly
-          const newStatus = this.db.checkAndUpdatePromptStatus(prompt.id);
-          if (!newStatus || newStatus === "in_progress") {
+          const newStatus = this.db.checkAndUpdatePromptStatus(
+            prompt.id,
+            "submitter",
+            null,
+          );
+          if (!newStatus) {
             // Force update to in_progress if not already
-            this.db
-              .prepare(`UPDATE prompts SET status = 'in_progress' WHERE id = ?`)
-              .run(prompt.id);
+            this.db.setPromptStatus(prompt.id, "in_progress", "submitter", {
+              reason: "Queued prompt already has operations",
+            });
+            this.startPromptPoller(prompt.id);
           }
           return;
         }
@@ -523,13 +1362,23 @@ class SequentialOrchestrator {
           `[Submitter] Submitting prompt ${prompt.idx} (${inflight}/${this.MAX_IN_PROGRESS} in progress)`,
         );
 
-        // Mark as submitting NOW (not before)
-        this.db.markPromptSubmitting(prompt.id);
+        // Claim it NOW (not before): with a shared queue another profile
+        // may have taken it since the peek
+        if (!this.db.claimPrompt(prompt.id, this.profilePath)) {
+          this.logger?.info(
+            `[Submitter] Prompt ${prompt.idx} was claimed elsewhere, picking another`,
+          );
+          return;
+        }
 
         // Store current prompt for CDP callback
         this.currentSubmittingPrompt = prompt;
+        const submitDriver = this.driver;
 
         try {
+          // Switch Flow settings if this prompt needs different ones
+          await this.applyPromptSettings(prompt);
+
           // Submit via UI
           await this.submitPromptViaUI(prompt.prompt_text);
           this.logger?.info(
@@ -555,8 +1404,11 @@ class SequentialOrchestrator {
             this.logger?.warn(
               `[Submitter] No CDP response for prompt ${prompt.idx} after 10s, resetting to queued for retry`,
             );
-            this.db.resetPromptToQueued(prompt.id);
+            this.db.resetPromptToQueued(prompt.id, "submitter", {
+              reason: "No CDP response after 10s",
+            });
             this.currentSubmittingPrompt = null;
+            await this.handleMissedSubmitResponse();
           } else {
             this.logger?.info(
               `[Submitter] Prompt ${prompt.idx} processed by CDP successfully`,
@@ -567,20 +1419,23 @@ class SequentialOrchestrator {
             `[Submitter] Failed to submit prompt ${prompt.idx}: ${submitError.message}`,
           );
 
-          // Check if browser crashed
-          if (
-            submitError.message &&
-            submitError.message.includes("invalid session")
-          ) {
-            this.logger?.error(
-              `[Submitter] Browser session lost! Stopping automation.`,
-            );
-            this.running = false;
+          // Check if browser crashed (the prompt is requeued on recovery)
+          if (this.recoveringBrowser || isBrowserLostError(submitError)) {
+            // Already relaunched meanwhile: recovery requeued the prompt
+            if (this.driver === submitDriver) {
+              this.logger?.error(`[Submitter] Browser session lost!`);
+              this.handleBrowserLost(submitError);
+            }
             return;
           }
 
           this.db.markPromptFailed(prompt.id, submitError.message);
           this.currentSubmittingPrompt = null;
+          this.emitError("submitter", submitError, {
+            promptId: prompt.id,
+            idx: prompt.idx,
+          });
+          this.emitPromptOutcome(prompt.id, "failed");
         }
       } catch (error) {
         this.logger?.error(`[Submitter] Error: ${error.message}`);
@@ -589,16 +1444,56 @@ class SequentialOrchestrator {
         }
 
         // Check if browser crashed
-        if (error.message && error.message.includes("invalid session")) {
-          this.logger?.error(
-            `[Submitter] Browser session lost! Stopping automation.`,
-          );
-          this.running = false;
+        if (isBrowserLostError(error)) {
+          this.logger?.error(`[Submitter] Browser session lost!`);
+          this.handleBrowserLost(error);
+        } else {
+          this.emitError("submitter", error);
         }
       }
     }, this.SUBMIT_HEARTBEAT_MS);
   }
 
+  /**
+   * Reconfigure Flow only when the prompt's settings differ from the page's
+   */
+  async applyPromptSettings(prompt) {
+    const runSettings = this.settings.veoSettings || {};
+    const wanted = {
+      mode: prompt.mode || runSettings.mode,
+      aspectRatio: prompt.aspect_ratio || runSettings.aspectRatio,
+      outputs: prompt.outputs || runSettings.outputs,
+      model: prompt.model || runSettings.model,
+    };
+
+    const changes = {};
+    for (const [key, value] of Object.entries(wanted)) {
+      if (value && value !== this.appliedVeoSettings[key]) {
+        changes[key] = value;
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    this.logger?.info(
+      `[Settings] Prompt ${prompt.idx} needs ${JSON.stringify(changes)}, reconfiguring Flow...`,
+    );
+
+    try {
+      await configureVEOSettings(this.driver, changes, this.logger);
+    } catch (error) {
+      // Page state is unknown now, force a reconfigure next time
+      for (const key of Object.keys(changes)) {
+        delete this.appliedVeoSettings[key];
+      }
+      throw new Error(`Failed to apply settings: ${error.message}`);
+    }
+
+    Object.assign(this.appliedVeoSettings, changes);
+  }
+
   /**
    * Submit prompt via UI automation
    */
@@ -727,7 +1622,19 @@ class SequentialOrchestrator {
       return; // Already polling
     }
 
+    // A resumed prompt gets a full timeout window from when polling re-attaches
+    const attachedAt = Date.now();
+    const timeout = this.getPromptTimeout(
+      this.db.prepare("SELECT model, outputs FROM prompts WHERE id = ?").get(
+        promptId,
+      ),
+    );
+    let finalPollStarted = false;
+
     const poll = async () => {
+      // Pollers are re-attached with a fresh timeout once the browser is back
+      if (this.recoveringBrowser) return;
+
       try {
         const prompt = this.db
           .prepare("SELECT * FROM prompts WHERE id = ?")
@@ -739,12 +1646,38 @@ class SequentialOrchestrator {
         }
 
         // Check timeout
-        const elapsed = Date.now() - new Date(prompt.submit_at).getTime();
-        if (elapsed > this.T_TIMEOUT_PROMPT) {
-          this.db
-            .prepare("UPDATE prompts SET status = ?, done_at = ? WHERE id = ?")
-            .run("timeout", new Date().toISOString(), promptId);
-          this.logger?.warn(`⏱️ Prompt ${prompt.idx} timed out`);
+        const elapsed =
+          Date.now() -
+          Math.max(new Date(prompt.submit_at).getTime(), attachedAt);
+        if (elapsed > timeout.timeoutMs) {
+          // Interval keeps firing while the final poll is in flight
+          if (finalPollStarted) return;
+          finalPollStarted = true;
+
+          // One last status poll: the operations may have finished since
+          // the page's last auto-poll
+          const finalPoll = await this.pollPromptOnce(promptId);
+          if (this.db.getPromptStatus(promptId) !== "in_progress") {
+            this.logger?.info(
+              `[Poller] Prompt ${prompt.idx} resolved by final poll after ${Math.round(elapsed / 1000)}s`,
+            );
+            this.stopPromptPoller(promptId);
+            return;
+          }
+
+          this.db.setPromptStatus(promptId, "timeout", "poller", {
+            elapsedMs: elapsed,
+            timeoutMs: timeout.timeoutMs,
+            timeoutSource: timeout.source,
+            finalPoll,
+          });
+          this.db.checkpoint();
+          this.logger?.warn(
+            `⏱️ Prompt ${prompt.idx} timed out after ${Math.round(elapsed / 1000)}s (limit ${Math.round(timeout.timeoutMs / 1000)}s, ${timeout.source})`,
+          );
+          this.emitPromptOutcome(promptId, "timeout", {
+            error: `Timed out after ${Math.round(elapsed / 1000)}s`,
+          });
           this.stopPromptPoller(promptId);
           return;
         }
@@ -764,7 +1697,56 @@ class SequentialOrchestrator {
     const interval = setInterval(poll, baseInterval + jitter);
 
     this.pollerIntervals.set(promptId, interval);
-    this.logger?.info(`[Poller] Started polling for prompt ${promptId}`);
+    this.logger?.info(
+      `[Poller] Started polling for prompt ${promptId} (timeout ${Math.round(timeout.timeoutMs / 1000)}s, ${timeout.source}${timeout.samples ? ` from ${timeout.samples} prompts` : ""})`,
+    );
+  }
+
+  /**
+   * Timeout for a prompt, based on its (or the run's) model and outputs
+   */
+  getPromptTimeout(prompt) {
+    const veoSettings = this.settings.veoSettings || {};
+    return this.timeoutPolicy.getTimeout(
+      prompt?.model || veoSettings.model,
+      prompt?.outputs || veoSettings.outputs || 1,
+    );
+  }
+
+  /**
+   * API client using the browser session's cookies
+   */
+  async getApiClient() {
+    const baseUrl = await VeoApiClient.extractBaseUrl(this.driver);
+    const cookies = await VeoApiClient.extractCookies(this.driver);
+    return new VeoApiClient(baseUrl, cookies, this.logger);
+  }
+
+  /**
+   * Poll a prompt's operations once via batchCheckAsyncVideoGenerationStatus
+   * and apply the response like an intercepted poll
+   * Returns a short outcome for the events log
+   */
+  async pollPromptOnce(promptId) {
+    try {
+      const operations = this.db
+        .prepare("SELECT * FROM operations WHERE prompt_id = ?")
+        .all(promptId);
+      if (operations.length === 0) return "no operations";
+
+      const client = await this.getApiClient();
+      const response = await client.pollStatus(operations);
+      await this.handlePollResponse(response);
+
+      return this.db.getPromptStatus(promptId) === "in_progress"
+        ? "still running"
+        : "resolved";
+    } catch (error) {
+      this.logger?.warn(
+        `[Poller-${promptId}] Final poll failed: ${error.message}`,
+      );
+      return `error: ${error.message}`;
+    }
   }
 
   /**
@@ -803,7 +1785,7 @@ class SequentialOrchestrator {
 
     while (this.running) {
       try {
-        const download = this.db.getNextQueuedDownload();
+        const download = this.db.getNextQueuedDownload(this.queueScope);
 
         if (!download) {
           // this.logger?.info(`[Downloader-${workerId}] No downloads, waiting...`);
@@ -827,26 +1809,58 @@ class SequentialOrchestrator {
 
         const filePath = path.join(this.OUTPUT_DIR, filename);
 
+        const downloadEvent = {
+          downloadId: download.id,
+          promptId: download.prompt_id,
+          idx: download.prompt_idx,
+          operationId: download.operation_id,
+          takeIndex: download.take_index,
+        };
+
         try {
-          await this.downloadWithRetry(download.fife_url, filePath);
+          await this.downloadWithRetry(
+            download.fife_url,
+            filePath,
+            3,
+            (bytes, totalBytes) =>
+              this.emitDownloadProgress(downloadEvent, bytes, totalBytes),
+          );
           this.db.markDownloadDone(
             download.id,
             download.operation_id,
             filePath,
           );
           this.logger?.info(`[Downloader-${workerId}] ✅ ${filename}`);
+          this.events.publish(RUN_EVENTS.DOWNLOAD_DONE, {
+            ...downloadEvent,
+            filePath,
+          });
         } catch (error) {
           this.logger?.error(`[Downloader-${workerId}] ❌ ${error.message}`);
           this.db.markDownloadFailed(download.id, error.message);
 
-          if (!this.db.retryDownload(download.id)) {
+          // Signed fifeUrl expired: get a fresh one before the retry
+          if (error.statusCode === 403) {
+            await this.refreshExpiredUrl(download, workerId);
+          }
+
+          const willRetry = this.db.retryDownload(download.id);
+          if (!willRetry) {
             this.logger?.error(`[Downloader-${workerId}] Max retries reached`);
           }
+          this.events.publish(RUN_EVENTS.DOWNLOAD_FAILED, {
+            ...downloadEvent,
+            error: error.message,
+            willRetry,
+          });
+        } finally {
+          this.lastDownloadProgressAt.delete(download.id);
         }
       } catch (error) {
         this.logger?.error(
           `[Downloader-${workerId}] Worker error: ${error.message}`,
         );
+        this.emitError("downloader", error);
         await new Promise((resolve) => setTimeout(resolve, 1000));
       }
     }
@@ -854,8 +1868,10 @@ class SequentialOrchestrator {
 
   /**
    * Download with retry
+   * onProgress(bytes, totalBytes): called per chunk, totalBytes is null
+   * without a Content-Length
    */
-  async downloadWithRetry(url, filePath, maxRetries = 3) {
+  async downloadWithRetry(url, filePath, maxRetries = 3, onProgress = null) {
     const https = require("https");
     const http = require("http");
 
@@ -870,6 +1886,16 @@ class SequentialOrchestrator {
               const tmpPath = `${filePath}.tmp`;
               const fileStream = fs.createWriteStream(tmpPath);
 
+              if (onProgress) {
+                const totalBytes =
+                  parseInt(res.headers["content-length"] || "0", 10) || null;
+                let bytes = 0;
+                res.on("data", (chunk) => {
+                  bytes += chunk.length;
+                  onProgress(bytes, totalBytes);
+                });
+              }
+
               res.pipe(fileStream);
 
               fileStream.on("finish", () => {
@@ -881,11 +1907,23 @@ class SequentialOrchestrator {
               fileStream.on("error", reject);
             } else if (res.statusCode === 302 || res.statusCode === 301) {
               const redirectUrl = res.headers.location;
-              this.downloadWithRetry(redirectUrl, filePath, maxRetries)
+              this.downloadWithRetry(
+                redirectUrl,
+                filePath,
+                maxRetries,
+                onProgress,
+              )
                 .then(resolve)
                 .catch(reject);
             } else {
-              reject(new Error(`HTTP ${res.statusCode}`));
+              res.resume();
+              const error = new Error(
+                res.statusCode === 403
+                  ? "URL expired (403)"
+                  : `HTTP ${res.statusCode}`,
+              );
+              error.statusCode = res.statusCode;
+              reject(error);
             }
           });
 
@@ -898,7 +1936,8 @@ class SequentialOrchestrator {
 
         return; // Success
       } catch (error) {
-        if (attempt < maxRetries) {
+        // An expired URL stays expired, the caller has to refresh it
+        if (attempt < maxRetries && error.statusCode !== 403) {
           const delay = Math.pow(2, attempt - 1) * 1000;
           await new Promise((resolve) => setTimeout(resolve, delay));
         } else {
@@ -908,6 +1947,98 @@ class SequentialOrchestrator {
     }
   }
 
+  /**
+   * Get fresh fifeUrls via batchCheckAsyncVideoGenerationStatus
+   * operations: operation rows (op_name, scene_id, status)
+   * Returns the number of operations whose URL was refreshed
+   */
+  async refreshFifeUrls(operations) {
+    const client = await this.getApiClient();
+    const response = await client.pollStatus(operations);
+
+    let refreshed = 0;
+    (response.operations || []).forEach((op) => {
+      const fifeUrl = op.operation?.metadata?.video?.fifeUrl;
+      const row = operations.find((o) => o.op_name === op.operation?.name);
+      if (row && fifeUrl) {
+        this.db.updateOperationFifeUrl(row.id, fifeUrl);
+        refreshed++;
+      }
+    });
+    return refreshed;
+  }
+
+  /**
+   * Refresh the fifeUrl of a download that failed with 403
+   */
+  async refreshExpiredUrl(download, workerId) {
+    try {
+      const operation = this.db.getOperation(download.operation_id);
+      const refreshed = operation
+        ? await this.refreshFifeUrls([operation])
+        : 0;
+      if (refreshed > 0) {
+        this.logger?.info(
+          `[Downloader-${workerId}] 🔄 Refreshed expired URL for prompt ${download.prompt_idx}, take ${download.take_index}`,
+        );
+      } else {
+        this.logger?.warn(
+          `[Downloader-${workerId}] No fresh URL returned for prompt ${download.prompt_idx}, take ${download.take_index}`,
+        );
+      }
+    } catch (error) {
+      this.logger?.warn(
+        `[Downloader-${workerId}] Could not refresh URL: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Download videos of successful operations that were never saved
+   * (e.g. an old run whose fifeUrls expired); URLs are refreshed first
+   */
+  async redownloadMissing() {
+    const missing = this.db.getUndownloadedOperations();
+    if (missing.length === 0) {
+      return { missing: 0, refreshed: 0, downloaded: 0, failed: 0 };
+    }
+
+    // Poll in batches, like the Flow page does
+    let refreshed = 0;
+    for (let i = 0; i < missing.length; i += 20) {
+      try {
+        refreshed += await this.refreshFifeUrls(missing.slice(i, i + 20));
+      } catch (error) {
+        this.logger?.warn(`[Redownload] Refresh failed: ${error.message}`);
+      }
+    }
+    this.logger?.info(
+      `[Redownload] Refreshed ${refreshed}/${missing.length} URLs`,
+    );
+
+    this.db.requeueDownloads(this.db.getUndownloadedOperations());
+
+    this.running = true;
+    this.startDownloaders();
+    await new Promise((resolve) => {
+      const check = setInterval(() => {
+        if (this.db.getPendingDownloadCount() === 0) {
+          clearInterval(check);
+          resolve();
+        }
+      }, 1000);
+    });
+    this.stop();
+
+    const failed = this.db.getUndownloadedOperations().length;
+    return {
+      missing: missing.length,
+      refreshed,
+      downloaded: missing.length - failed,
+      failed,
+    };
+  }
+
   /**
    * Generate filename
    */
@@ -956,4 +2087,49 @@ class SequentialOrchestrator {
   }
 }
 
+/**
+ * Prompt text with whitespace collapsed, as typed into the Flow textarea
+ */
+function normalizePromptText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Whether a submit error body means the account is rate-limited or out of quota
+ */
+function isRateLimitError(error) {
+  return (
+    !!error && (error.code === 429 || error.status === "RESOURCE_EXHAUSTED")
+  );
+}
+
+/**
+ * Failure kind of a rejected submit:
+ * rate_limit (429, quota), prompt (invalid request, safety filter) or
+ * transient (server errors, auth, anything else)
+ */
+function classifySubmitError(apiError) {
+  const error = apiError.body?.error;
+  if (apiError.status === 429 || isRateLimitError(error)) {
+    return "rate_limit";
+  }
+  if (
+    apiError.status === 400 ||
+    error?.status === "INVALID_ARGUMENT" ||
+    error?.status === "FAILED_PRECONDITION"
+  ) {
+    return "prompt";
+  }
+  return "transient";
+}
+
+/**
+ * Whether a WebDriver error means the browser (or its session) is gone
+ */
+function isBrowserLostError(error) {
+  return /invalid session|session deleted|no such window|chrome not reachable|ECONNREFUSED/i.test(
+    error?.message || "",
+  );
+}
+
 module.exports = SequentialOrchestrator;
@@ -0,0 +1,114 @@
+/**
+ * timeout-policy.js
+ * Per-model prompt timeouts learned from completed prompts
+ *
+ * timeout = p95 of recent submit → done latencies for the same model and
+ * output count, plus a margin. Until a combination has enough samples a
+ * per-model default (scaled by the number of outputs) is used.
+ */
+
+// Historical fixed timeout, still used by callers without a policy
+const DEFAULT_TIMEOUT_MS = 210000;
+
+// Defaults for 1 output, before anything has been learned
+const MODEL_DEFAULT_TIMEOUTS_MS = {
+  "Veo 3.1 - Fast": 210000,
+  "Veo 3.1 - Quality": 420000,
+  "Veo 2 - Fast": 210000,
+  "Veo 2 - Quality": 360000,
+};
+
+// Extra time per output beyond the first
+const EXTRA_OUTPUT_MS = 30000;
+
+class TimeoutPolicy {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.fixedTimeoutMs = options.fixedTimeoutMs || null; // Disables learning
+    this.percentile = options.percentile || 0.95;
+    this.marginRatio = options.marginRatio ?? 0.25;
+    this.minMarginMs = options.minMarginMs ?? 30000;
+    this.minSamples = options.minSamples || 5;
+    this.sampleSize = options.sampleSize || 100;
+    this.minTimeoutMs = options.minTimeoutMs || 120000;
+    this.maxTimeoutMs = options.maxTimeoutMs || 15 * 60 * 1000;
+    this.cacheMs = options.cacheMs ?? 60000;
+    this.cache = new Map(); // "model|outputs" → { policy, at }
+  }
+
+  /**
+   * Default timeout for a model and output count
+   */
+  getDefaultTimeoutMs(model, outputs = 1) {
+    const base = MODEL_DEFAULT_TIMEOUTS_MS[model] || DEFAULT_TIMEOUT_MS;
+    return base + Math.max(0, (outputs || 1) - 1) * EXTRA_OUTPUT_MS;
+  }
+
+  /**
+   * Timeout for a model and output count
+   * Returns: { timeoutMs, source: 'fixed'|'default'|'learned', samples, p95Ms }
+   */
+  getTimeout(model, outputs = 1) {
+    if (this.fixedTimeoutMs) {
+      return { timeoutMs: this.fixedTimeoutMs, source: "fixed", samples: 0 };
+    }
+
+    const key = `${model}|${outputs}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.cacheMs) {
+      return cached.policy;
+    }
+
+    const policy = this.computeTimeout(model, outputs);
+    this.cache.set(key, { policy, at: Date.now() });
+    return policy;
+  }
+
+  /**
+   * Compute the timeout from the latencies stored in the database
+   */
+  computeTimeout(model, outputs) {
+    const defaultMs = this.getDefaultTimeoutMs(model, outputs);
+
+    // Latencies beyond the cap are resumed/stalled prompts, not render time
+    const latencies = this.db
+      .getCompletionLatencies(model, outputs, this.sampleSize)
+      .filter((ms) => ms > 0 && ms <= this.maxTimeoutMs);
+
+    if (latencies.length < this.minSamples) {
+      return {
+        timeoutMs: defaultMs,
+        source: "default",
+        samples: latencies.length,
+      };
+    }
+
+    const p95Ms = percentileOf(latencies, this.percentile);
+    const margin = Math.max(this.minMarginMs, p95Ms * this.marginRatio);
+    const timeoutMs = Math.round(
+      Math.min(this.maxTimeoutMs, Math.max(this.minTimeoutMs, p95Ms + margin)),
+    );
+
+    return {
+      timeoutMs,
+      source: "learned",
+      samples: latencies.length,
+      p95Ms: Math.round(p95Ms),
+    };
+  }
+}
+
+/**
+ * Nearest-rank percentile (p in 0..1)
+ */
+function percentileOf(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil(p * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+module.exports = {
+  TimeoutPolicy,
+  DEFAULT_TIMEOUT_MS,
+  MODEL_DEFAULT_TIMEOUTS_MS,
+};
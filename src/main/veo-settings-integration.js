@@ -130,6 +130,45 @@ function validateSettings(settings) {
   return true;
 }
 
+/**
+ * Shorthand values accepted in CSV files / prompt objects
+ */
+const ASPECT_RATIO_ALIASES = {
+  '16:9': 'Landscape (16:9)',
+  'landscape': 'Landscape (16:9)',
+  '9:16': 'Portrait (9:16)',
+  'portrait': 'Portrait (9:16)'
+};
+
+/**
+ * Normalize and validate per-prompt settings
+ * Accepts UI labels or shorthand ("9:16", "portrait"); empty values are dropped
+ * so the run settings apply.
+ *
+ * @param {Object} raw - { mode?, aspectRatio?, outputs?, model? }
+ * @returns {Object} settings with only the keys that were set
+ */
+function normalizePromptSettings(raw = {}) {
+  const settings = {};
+
+  if (raw.mode) {
+    settings.mode = String(raw.mode).trim();
+  }
+  if (raw.aspectRatio) {
+    const value = String(raw.aspectRatio).trim();
+    settings.aspectRatio = ASPECT_RATIO_ALIASES[value.toLowerCase()] || value;
+  }
+  if (raw.outputs !== undefined && raw.outputs !== null && raw.outputs !== '') {
+    settings.outputs = parseInt(raw.outputs, 10);
+  }
+  if (raw.model) {
+    settings.model = String(raw.model).trim();
+  }
+
+  validateSettings(settings);
+  return settings;
+}
+
 /**
  * Get default settings
  */
@@ -156,6 +195,7 @@ module.exports = {
   configureVEOSettings,
   runJobWithSettings,
   validateSettings,
+  normalizePromptSettings,
   getDefaultSettings,
   mergeWithDefaults
 };
@@ -2,8 +2,41 @@ import React, { useState, useRef, useEffect } from "react";
 import useStore from "./store";
 import ProfileManager from "./components/ProfileManager";
 import VeoSettings from "./components/VeoSettings";
+import PromptTimeline from "./components/PromptTimeline";
+import PromptControl from "./components/PromptControl";
 import "./index.css";
 
+// Parse a TXT/CSV prompt file: each line is a prompt
+async function parsePromptFile(file) {
+  const fileExt = file.name.split('.').pop().toLowerCase();
+  const text = await file.text();
+  const lines = text.split("\n").filter((line) => line.trim());
+
+  const parsedPrompts = [];
+
+  if (fileExt === 'txt') {
+    // TXT: Each line is a prompt (simple)
+    lines.forEach((line) => {
+      const prompt = line.trim();
+      if (prompt) {
+        parsedPrompts.push(prompt);
+      }
+    });
+  } else if (fileExt === 'csv') {
+    // CSV: Each line is a prompt (no header, simple format)
+    lines.forEach((line) => {
+      const prompt = line.trim();
+      // Remove quotes if present
+      const cleanPrompt = prompt.replace(/^["'](.*)["']$/, "$1").trim();
+      if (cleanPrompt) {
+        parsedPrompts.push(cleanPrompt);
+      }
+    });
+  }
+
+  return parsedPrompts;
+}
+
 function App() {
   const {
     prompts,
@@ -21,25 +54,29 @@ function App() {
   const [logs, setLogs] = useState([]);
   const [selectedProfile, setSelectedProfile] = useState(null);
   const [progress, setProgress] = useState({ current: 0, total: 0, status: "" });
+  const [runState, setRunState] = useState("running"); // running | paused | cancelling
   const fileInputRef = useRef(null);
+  const enqueueInputRef = useRef(null);
+  const unsubscribeRunRef = useRef(null);
 
-  // Listen for progress updates from backend
+  // Re-attach to a batch that is still running after the window was reloaded
   useEffect(() => {
-    if (window.electronAPI && window.electronAPI.onProgress) {
-      console.log('[Progress] Setting up listener...');
-      
-      const unsubscribe = window.electronAPI.onProgress((progressData) => {
-        console.log('[Progress] Received:', progressData);
-        setProgress(progressData);
-      });
-
-      return () => {
-        console.log('[Progress] Cleaning up listener...');
-        if (unsubscribe) unsubscribe();
-      };
-    } else {
-      console.warn('[Progress] onProgress API not available');
-    }
+    if (!window.electronAPI?.listRuns) return;
+
+    window.electronAPI
+      .listRuns({ limit: 5 })
+      .then((runs) => {
+        const run = runs.find((r) => r.session && !r.session.finished);
+        if (!run) return;
+
+        setProgress(run.session.progress);
+        setRunState(["paused", "cancelling"].includes(run.state) ? run.state : "running");
+        addLog(`🔗 Đã kết nối lại batch #${run.id} đang chạy`);
+        attachToRun(run.id, run.session.kind);
+      })
+      .catch((error) => console.warn("[Runs] Cannot re-attach:", error));
+
+    return () => unsubscribeRunRef.current?.();
   }, []);
 
   // Handle CSV file upload
@@ -52,30 +89,7 @@ function App() {
     addLog(`Loading file: ${file.name}`);
 
     try {
-      const text = await file.text();
-      const lines = text.split("\n").filter((line) => line.trim());
-
-      const parsedPrompts = [];
-
-      if (fileExt === 'txt') {
-        // TXT: Each line is a prompt (simple)
-        lines.forEach((line) => {
-          const prompt = line.trim();
-          if (prompt) {
-            parsedPrompts.push(prompt);
-          }
-        });
-      } else if (fileExt === 'csv') {
-        // CSV: Each line is a prompt (no header, simple format)
-        lines.forEach((line) => {
-          const prompt = line.trim();
-          // Remove quotes if present
-          const cleanPrompt = prompt.replace(/^["'](.*)["']$/, "$1").trim();
-          if (cleanPrompt) {
-            parsedPrompts.push(cleanPrompt);
-          }
-        });
-      }
+      const parsedPrompts = await parsePromptFile(file);
 
       setPrompts(parsedPrompts);
       addLog(`✅ Loaded ${parsedPrompts.length} prompts from ${fileExt.toUpperCase()}`);
@@ -84,6 +98,62 @@ function App() {
     }
   };
 
+  // Pause/resume submitting in the running batch
+  const handlePauseToggle = async () => {
+    try {
+      if (runState === "paused") {
+        await window.electronAPI.automation.resume();
+        setRunState("running");
+        addLog("▶️ Tiếp tục gửi prompts");
+      } else {
+        await window.electronAPI.automation.pause();
+        setRunState("paused");
+        addLog("⏸️ Đã tạm dừng gửi prompts mới (prompts đang chạy vẫn được theo dõi và tải về)");
+      }
+    } catch (error) {
+      addLog(`Không đổi được trạng thái: ${error.message}`, "error");
+    }
+  };
+
+  // Cancel the running batch (it stays resumable)
+  const handleCancel = async () => {
+    if (!window.confirm("Hủy batch đang chạy? Prompts chưa xong có thể chạy tiếp bằng \"Tiếp Tục Batch Dở Dang\".")) {
+      return;
+    }
+    try {
+      await window.electronAPI.automation.stop();
+      setRunState("cancelling");
+      addLog("⏹️ Đang hủy batch...");
+    } catch (error) {
+      addLog(`Không hủy được batch: ${error.message}`, "error");
+    }
+  };
+
+  // Add prompts from a file to the running batch
+  const handleEnqueueFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    try {
+      const newPrompts = await parsePromptFile(file);
+      if (newPrompts.length === 0) {
+        addLog(`Không có prompts trong ${file.name}`, "error");
+        return;
+      }
+
+      const result = await window.electronAPI.enqueuePrompts({ prompts: newPrompts });
+      setPrompts([...prompts, ...newPrompts]);
+      addLog(
+        `➕ Đã thêm ${result.inserted} prompts vào batch đang chạy (#${result.indexes[0]}-#${result.indexes[result.indexes.length - 1]})` +
+          (result.skipped ? `, bỏ qua ${result.skipped} trùng lặp` : ""),
+        "success"
+      );
+    } catch (error) {
+      addLog(`Không thêm được prompts: ${error.message}`, "error");
+    }
+  };
+
   // Handle start automation
   const handleStartAutomation = async () => {
     if (!selectedProfile) {
@@ -108,39 +178,204 @@ function App() {
       // Simulate progress updates (in real implementation, this would come from backend)
       setProgress({ current: 0, total: prompts.length, status: "Đang cấu hình VEO..." });
 
-      // Call backend automation
-      const result = await window.electronAPI.startAutomation({
+      setRunState("running");
+
+      // Returns as soon as the run exists, results arrive as run events
+      const { runId } = await window.electronAPI.startAutomation({
         prompts,
         settings,
         profileId: selectedProfile.id,
       });
 
-      setProgress({ current: prompts.length, total: prompts.length, status: "Hoàn thành!" });
+      addLog(`▶️ Batch #${runId} đã bắt đầu`);
+      attachToRun(runId, "start");
+    } catch (error) {
+      addLog(`Tự động thất bại: ${error.message}`, "error");
+      setProgress({ current: 0, total: 0, status: "Thất bại" });
+      setIsRunning(false);
+    }
+  };
 
-      addLog(
-        `✅ Tự động hoàn tất: ${result.success} thành công, ${result.failed} thất bại`,
-        "success"
-      );
+  // Handle resume of the last unfinished run
+  const handleResumeAutomation = async () => {
+    setIsRunning(true);
+    setRunState("running");
+    clearResults();
+    setProgress({ current: 0, total: 0, status: "Đang khôi phục batch dở dang..." });
+    addLog("Tiếp tục batch dở dang gần nhất");
 
-      result.results.forEach((r, index) => {
-        addResult(r);
-        if (r.status === "success") {
-          addLog(`✅ Đã tạo: ${r.prompt.substring(0, 50)}...`, "success");
-        } else {
-          addLog(
-            `❌ Thất bại: ${r.prompt.substring(0, 50)}... - ${r.status}`,
-            "error",
-          );
-        }
+    try {
+      const { runId } = await window.electronAPI.resumeAutomation({
+        settings,
+        profileId: selectedProfile?.id,
       });
+
+      addLog(`▶️ Đang chạy tiếp batch #${runId}`);
+      attachToRun(runId, "resume");
     } catch (error) {
-      addLog(`Tự động thất bại: ${error.message}`, "error");
+      addLog(`Tiếp tục thất bại: ${error.message}`, "error");
       setProgress({ current: 0, total: 0, status: "Thất bại" });
-    } finally {
       setIsRunning(false);
     }
   };
 
+  // Follow the events of a run until it finishes
+  const attachToRun = (runId, kind) => {
+    unsubscribeRunRef.current?.();
+    setIsRunning(true);
+
+    const handleRunEvent = (runEvent) => {
+      if (runEvent.type === "progress") {
+        setProgress(runEvent.progress);
+        return;
+      }
+      if (runEvent.event) {
+        handleOrchestratorEvent(runEvent.event);
+        return;
+      }
+
+      unsubscribeRunRef.current?.();
+      unsubscribeRunRef.current = null;
+      setIsRunning(false);
+
+      if (runEvent.type === "failed") {
+        addLog(`${kind === "resume" ? "Tiếp tục" : "Tự động"} thất bại: ${runEvent.error}`, "error");
+        setProgress({ current: 0, total: 0, status: "Thất bại" });
+      } else {
+        handleRunFinished(runEvent.result, kind);
+      }
+    };
+
+    unsubscribeRunRef.current = window.electronAPI.subscribeRun(runId, handleRunEvent);
+
+    // The run may have ended before the subscription was in place
+    window.electronAPI
+      .getRunStatus(runId)
+      .then((run) => {
+        if (!run.session?.finished || !unsubscribeRunRef.current) return;
+        handleRunEvent(
+          run.session.error
+            ? { type: "failed", error: run.session.error }
+            : { type: "finished", result: run.session.result },
+        );
+      })
+      .catch((error) => console.warn(`[Runs] Cannot get status of run #${runId}:`, error));
+  };
+
+  // Typed orchestrator events of the attached run (src/main/run-events.js)
+  const handleOrchestratorEvent = (event) => {
+    switch (event.type) {
+      case "prompt:done":
+        addLog(`✅ Prompt ${event.idx}: ${event.successful}/${event.total} video`, "success");
+        break;
+      case "prompt:failed":
+        addLog(
+          `${event.status === "timeout" ? "⏱️" : "❌"} Prompt ${event.idx}: ${event.error || event.status}${event.willRetry ? " (thử lại)" : ""}`,
+          event.willRetry ? "info" : "error"
+        );
+        break;
+      case "prompt:mismatch":
+        addLog(`⚠️ Prompt ${event.idx}: Flow nhận nội dung khác với prompt ("${event.submitted.slice(0, 60)}...")`, "error");
+        break;
+      case "download:failed":
+        if (!event.willRetry) {
+          addLog(`❌ Tải video prompt ${event.idx} (take ${event.takeIndex}) thất bại: ${event.error}`, "error");
+        }
+        break;
+      case "run:paused":
+        setRunState("paused");
+        // A user pause is already logged by handlePauseToggle
+        if (!event.hold) {
+          addLog(`⏸️ Tạm dừng: ${event.reason}`);
+        }
+        break;
+      case "run:resumed":
+        setRunState("running");
+        break;
+      case "run:cancelled":
+        setRunState("cancelling");
+        break;
+      case "browser:restarted":
+        addLog(`🔄 Chrome bị crash, đã mở lại và tiếp tục (${event.restarts}/${event.maxRestarts})`);
+        break;
+      case "profile:exhausted":
+        addLog(
+          `🧊 Profile ${event.profilePath} ${event.kind === "credits" ? "hết credits" : "bị giới hạn tốc độ"}: ${event.reason}`,
+          "error"
+        );
+        break;
+      case "profile:failover":
+        addLog(
+          event.to
+            ? `🔀 Chuyển các prompt còn lại sang profile ${event.to}`
+            : `⚠️ Không còn profile nào khả dụng để thay ${event.from}`,
+          event.to ? "info" : "error"
+        );
+        break;
+      case "run:error":
+        if (event.fatal) {
+          addLog(`❌ ${event.message}`, "error");
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Show the results of a finished run
+  const handleRunFinished = (result, kind) => {
+    const total = result.results.length;
+    setProgress({ current: total, total, status: "Hoàn thành!" });
+
+    if (kind === "resume") {
+      addLog(
+        `✅ Batch #${result.runId} hoàn tất: ${result.success} thành công, ${result.failed} thất bại`,
+        "success"
+      );
+    } else {
+      addLog(
+        `✅ Tự động hoàn tất: ${result.success} thành công, ${result.failed} thất bại`,
+        "success"
+      );
+    }
+    logCreditsAndPause(result);
+
+    result.results.forEach((r) => {
+      addResult(r);
+      if (kind === "resume") return;
+      if (r.status === "success") {
+        addLog(`✅ Đã tạo: ${r.prompt.substring(0, 50)}...`, "success");
+      } else {
+        addLog(
+          `❌ Thất bại: ${r.prompt.substring(0, 50)}... - ${r.status}`,
+          "error",
+        );
+      }
+    });
+  };
+
+  // Log credits ledger summary and budget pause of a finished run
+  const logCreditsAndPause = (result) => {
+    (result.credits || []).forEach((c) => {
+      let message = `💳 Còn ${c.remainingCredits} credits, đã dùng ${c.spent}`;
+      if (c.burnPerHour !== null) message += `, ~${c.burnPerHour}/giờ`;
+      if (c.affordablePrompts !== null) {
+        message += `, đủ cho ~${c.affordablePrompts} prompts`;
+      }
+      addLog(message);
+    });
+
+    if (result.cancelled) {
+      addLog(
+        `⏹️ Batch #${result.runId} đã hủy. Bấm "Tiếp Tục Batch Dở Dang" để chạy tiếp các prompts còn lại`,
+      );
+    } else if (result.paused) {
+      addLog(
+        `⏸️ Batch #${result.runId} đã tạm dừng: ${result.paused}. Nạp thêm credits rồi bấm "Tiếp Tục Batch Dở Dang"`,
+      );
+    }
+  };
+
   // Add log entry with smart type detection
   const addLog = (message, type = "info") => {
     const timestamp = new Date().toLocaleTimeString();
@@ -212,6 +447,7 @@ function App() {
               outputs: settings.outputs || 1,
               model: settings.model || "Veo 3.1 - Fast",
               outputDir: settings.outputDir || "outputs",
+              creditFloor: settings.creditFloor ?? null,
             }}
             onChange={(veoSettings) => {
               setSettings({
@@ -221,6 +457,7 @@ function App() {
                 outputs: veoSettings.outputs,
                 model: veoSettings.model,
                 outputDir: veoSettings.outputDir,
+                creditFloor: veoSettings.creditFloor,
               });
             }}
             disabled={isRunning}
@@ -256,6 +493,32 @@ function App() {
           >
             {isRunning ? "⏳ Đang Chạy..." : "▶️ Bắt Đầu Tự Động"}
           </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleResumeAutomation}
+            disabled={isRunning}
+            title="Tiếp tục batch bị gián đoạn (không gửi lại prompts đã chạy)"
+          >
+            ⏯️ Tiếp Tục Batch Dở Dang
+          </button>
+          {isRunning && (
+            <>
+              <input
+                ref={enqueueInputRef}
+                type="file"
+                accept=".txt,.csv"
+                onChange={handleEnqueueFile}
+                style={{ display: "none" }}
+              />
+              <button
+                className="btn btn-primary"
+                onClick={() => enqueueInputRef.current?.click()}
+                title="Thêm prompts vào cuối hàng đợi của batch đang chạy"
+              >
+                ➕ Thêm Prompts
+              </button>
+            </>
+          )}
           {!selectedProfile && prompts.length > 0 && (
             <p className="warning-text">
               ⚠️ Vui lòng chọn Chrome profile để tiếp tục
@@ -289,6 +552,23 @@ function App() {
                 <span className="status-icon">🔄</span>
                 <span className="status-text">{progress.status || "Đang xử lý..."}</span>
               </div>
+              <div className="progress-controls">
+                <button
+                  className="btn btn-secondary"
+                  onClick={handlePauseToggle}
+                  disabled={runState === "cancelling"}
+                >
+                  {runState === "paused" ? "▶️ Tiếp Tục" : "⏸️ Tạm Dừng"}
+                </button>
+                <button
+                  className="btn btn-danger"
+                  onClick={handleCancel}
+                  disabled={runState === "cancelling"}
+                >
+                  ⏹️ Hủy Batch
+                </button>
+              </div>
+              <PromptControl onLog={addLog} />
             </div>
           </section>
         )}
@@ -373,6 +653,9 @@ function App() {
                       <span className="error-text">{result.status}</span>
                     </div>
                   )}
+                  {result.runId && result.index !== undefined && (
+                    <PromptTimeline runId={result.runId} idx={result.index} />
+                  )}
                 </div>
               ))}
             </div>
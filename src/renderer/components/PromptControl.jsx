@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+
+/**
+ * Skip a queued prompt or abandon an in-progress one in the running batch
+ * Both mark the prompt cancelled: it is never submitted / downloaded
+ */
+function PromptControl({ onLog }) {
+  const [idx, setIdx] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleCancel = async (action) => {
+    const promptIdx = parseInt(idx, 10);
+    if (Number.isNaN(promptIdx)) {
+      onLog("Nhập số thứ tự prompt (#)", "error");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      if (action === "skip") {
+        await window.electronAPI.skipPrompt({ idx: promptIdx });
+        onLog(`⏭️ Đã bỏ qua prompt #${promptIdx}`);
+      } else {
+        await window.electronAPI.abandonPrompt({ idx: promptIdx });
+        onLog(`🚫 Đã hủy prompt #${promptIdx} (video sẽ không được tải về)`);
+      }
+      setIdx("");
+    } catch (error) {
+      onLog(`Không hủy được prompt #${promptIdx}: ${error.message}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="prompt-control">
+      <label htmlFor="prompt-control-idx">Prompt #</label>
+      <input
+        id="prompt-control-idx"
+        type="number"
+        min="1"
+        value={idx}
+        onChange={(e) => setIdx(e.target.value)}
+        disabled={busy}
+      />
+      <button
+        className="btn btn-secondary"
+        onClick={() => handleCancel("skip")}
+        disabled={busy || !idx}
+        title="Bỏ qua prompt đang chờ (chưa gửi)"
+      >
+        ⏭️ Bỏ Qua
+      </button>
+      <button
+        className="btn btn-danger"
+        onClick={() => handleCancel("abandon")}
+        disabled={busy || !idx}
+        title="Hủy prompt đang chạy, không tải video về"
+      >
+        🚫 Hủy Prompt
+      </button>
+    </div>
+  );
+}
+
+export default PromptControl;
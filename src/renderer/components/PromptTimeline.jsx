@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+
+const SOURCE_LABELS = {
+  submitter: "Gửi",
+  poller: "Theo dõi",
+  downloader: "Tải về",
+  recovery: "Khôi phục",
+  user: "Người dùng",
+};
+
+/**
+ * Per-prompt events timeline (status changes, retries, download attempts)
+ * Loaded on demand from the events table of the run
+ */
+function PromptTimeline({ runId, idx }) {
+  const [open, setOpen] = useState(false);
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleToggle = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    setOpen(true);
+    setError("");
+    try {
+      const timeline = await window.electronAPI.getPromptTimeline({
+        idx,
+        runId,
+      });
+      setEvents(timeline.events);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const describe = (event) => {
+    const target = event.entity === "prompt" ? "" : `${event.entity} `;
+    const transition = event.from_status
+      ? `${event.from_status} → ${event.to_status}`
+      : event.to_status || "";
+    const label = event.event === "status" ? "" : `${event.event} `;
+    return `${target}${label}${transition}`;
+  };
+
+  return (
+    <div className="prompt-timeline">
+      <button className="timeline-toggle" onClick={handleToggle}>
+        {open ? "▲ Ẩn Lịch Sử" : "🧾 Xem Lịch Sử"}
+      </button>
+
+      {open && (
+        <ul className="timeline-list">
+          {error && <li className="timeline-empty">⚠️ {error}</li>}
+          {!error && events && events.length === 0 && (
+            <li className="timeline-empty">Chưa có sự kiện nào</li>
+          )}
+          {!error &&
+            events &&
+            events.map((event) => (
+              <li key={event.id} className="timeline-event">
+                <span className="timeline-time">
+                  {new Date(event.created_at).toLocaleTimeString()}
+                </span>
+                <span className="timeline-source">
+                  [{SOURCE_LABELS[event.source] || event.source || "-"}]
+                </span>
+                <span className="timeline-transition">{describe(event)}</span>
+                {event.detail && (
+                  <span className="timeline-detail">
+                    {JSON.stringify(event.detail)}
+                  </span>
+                )}
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PromptTimeline;
@@ -85,6 +85,25 @@ function VeoSettings({ settings, onChange, disabled = false }) {
             <option value="Veo 2 - Quality">✨ Veo 2 - Quality</option>
           </select>
         </div>
+
+        {/* Budget floor: pause before remaining credits drop below it */}
+        <div className="veo-setting-item">
+          <label htmlFor="veo-credit-floor">Credit Floor:</label>
+          <input
+            id="veo-credit-floor"
+            type="number"
+            min="0"
+            value={settings.creditFloor ?? ""}
+            onChange={(e) =>
+              handleChange(
+                "creditFloor",
+                e.target.value === "" ? null : parseInt(e.target.value),
+              )
+            }
+            disabled={disabled}
+            placeholder="Không giới hạn"
+          />
+        </div>
       </div>
 
       {/* Output Folder */}
@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+
+/**
+ * VEO3 database CLI
+ * Inspect and maintain data/veo-automation.db without starting a run
+ *
+ * Usage:
+ *   node veo-cli.js schema     Show schema version and pending migrations
+ *   node veo-cli.js migrate    Apply pending migrations
+ *   node veo-cli.js timeline <idx> [--run <id>]
+ *                              Show the state transitions of one prompt
+ *   node veo-cli.js credits [--run <id>] [--floor <n>]
+ *                              Show remaining credits, burn rate and budget
+ *   node veo-cli.js profiles [--run <id>]
+ *                              Show which profile handled which prompts
+ *   node veo-cli.js timeouts   Show prompt timeouts learned per model/outputs
+ *   node veo-cli.js redownload --run <id> [--profile <path>]
+ *                              Refresh expired URLs and download missing videos
+ *   node veo-cli.js enqueue <file.csv> [--run <id>]
+ *                              Add prompts to the running batch
+ *   node veo-cli.js pause|continue|cancel [--run <id>]
+ *                              Pause/continue submitting or cancel the running batch
+ *   node veo-cli.js queue [--run <id>]
+ *                              Show queued prompts in submission order
+ *   node veo-cli.js bump|demote <idx> [--run <id>]
+ *                              Move a queued prompt to the front/back
+ *   node veo-cli.js skip|abandon <idx> [--reason <text>] [--run <id>]
+ *                              Cancel a queued/in-progress prompt
+ *   node veo-cli.js priority <idx> <n> [--run <id>]
+ *                              Set the priority of a queued prompt
+ *   node veo-cli.js reorder <idx,idx,...> [--run <id>]
+ *                              Put queued prompts first in the given order
+ *
+ * Queue commands go to the process running the batch when there is one,
+ * the change applies on the submitter's next tick.
+ */
+
+const VeoDatabase = require("./src/main/db");
+const { LATEST_SCHEMA_VERSION } = require("./src/main/db-migrations");
+const { TimeoutPolicy } = require("./src/main/timeout-policy");
+
+const DB_PATH = "data/veo-automation.db";
+
+/**
+ * Get the value following a flag (e.g. --run 3)
+ */
+function getOption(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+/**
+ * Open the database (optionally without touching the schema)
+ */
+async function openDatabase(options = {}) {
+  const db = new VeoDatabase(DB_PATH);
+  await db.init(options);
+  return db;
+}
+
+/**
+ * Query the database without migrating or writing it (a running batch
+ * may own the file); fn(db, run) gets the --run run, the latest by default
+ */
+function readRun(args, fn) {
+  const runOption = getOption(args, "--run");
+  const runId = runOption ? parseInt(runOption, 10) : null;
+  return VeoDatabase.read(DB_PATH, (db) => fn(db, db.findRun(runId)));
+}
+
+/**
+ * Send a queue command to a run (running batch or database)
+ */
+async function queueCommand(type, args, cliArgs) {
+  const runOption = getOption(cliArgs, "--run");
+  const runId = runOption ? parseInt(runOption, 10) : null;
+
+  // Loaded lazily: pulls in Selenium
+  const { controlRun } = require("./src/main/automation");
+  return controlRun({ type, args }, runId);
+}
+
+/**
+ * Parse a prompt idx argument
+ */
+function parseIdx(value, usage) {
+  const idx = parseInt(value, 10);
+  if (Number.isNaN(idx)) {
+    throw new Error(`Usage: ${usage}`);
+  }
+  return idx;
+}
+
+const commands = {
+  /**
+   * Show schema version and pending migrations
+   */
+  async schema() {
+    const db = await openDatabase({ migrate: false });
+    try {
+      const version = db.getSchemaVersion();
+      const pending = db.getPendingMigrations();
+
+      console.log(`📦 Database: ${DB_PATH}`);
+      console.log(`   Schema version: ${version}`);
+      console.log(`   Latest version: ${LATEST_SCHEMA_VERSION}`);
+
+      if (version > LATEST_SCHEMA_VERSION) {
+        console.log(
+          "\n⚠️  Database was created by a newer version of the tool",
+        );
+      } else if (pending.length === 0) {
+        console.log("\n✅ Schema is up to date");
+      } else {
+        console.log(`\n⏳ Pending migrations (${pending.length}):`);
+        pending.forEach((m) => console.log(`  ${m.version}. ${m.name}`));
+        console.log("\nApply with: npm run cli -- migrate");
+      }
+    } finally {
+      db.close();
+    }
+  },
+
+  /**
+   * Apply pending migrations
+   */
+  async migrate() {
+    const db = await openDatabase({ migrate: false });
+    const pending = db.getPendingMigrations();
+    db.close();
+
+    if (pending.length === 0) {
+      console.log("✅ Schema is up to date, nothing to migrate");
+      return;
+    }
+
+    // Opening normally applies the pending migrations
+    const migrated = await openDatabase();
+    console.log(
+      `✅ Applied ${pending.length} migrations, schema version ${migrated.getSchemaVersion()}`,
+    );
+    migrated.close();
+  },
+
+  /**
+   * Show the events timeline of one prompt (latest run by default)
+   */
+  async timeline(...args) {
+    const idx = parseInt(args[0], 10);
+    if (Number.isNaN(idx)) {
+      throw new Error("Usage: timeline <idx> [--run <id>]");
+    }
+    return readRun(args, (db, run) => {
+      const timeline = db.getPromptTimeline(run.id, idx);
+      if (!timeline) {
+        throw new Error(`Prompt ${idx} not found in run ${run.id}`);
+      }
+
+      const { prompt, events } = timeline;
+      console.log(`🧾 Run ${run.id}, prompt #${prompt.idx} (${prompt.status})`);
+      console.log(`   ${prompt.prompt_text.slice(0, 80)}`);
+      if (prompt.error) {
+        console.log(`   Error: ${prompt.error}`);
+      }
+      if (prompt.submitted_text) {
+        console.log(
+          `   ⚠️ Flow received: ${prompt.submitted_text.slice(0, 80)}`,
+        );
+      }
+      console.log("");
+
+      if (events.length === 0) {
+        console.log("No events recorded");
+        return;
+      }
+
+      events.forEach((e) => {
+        const target = {
+          prompt: "prompt",
+          operation: `operation ${e.operation_id}`,
+          download: `download ${e.download_id}`,
+        }[e.entity];
+        const transition = e.from_status
+          ? `${e.from_status} → ${e.to_status}`
+          : e.to_status || "";
+        const detail = e.detail ? ` ${JSON.stringify(e.detail)}` : "";
+        console.log(
+          `${e.created_at}  [${e.source || "-"}] ${target} ${e.event} ${transition}${detail}`,
+        );
+      });
+    });
+  },
+
+  /**
+   * Show the credits ledger summary of a run (latest run by default)
+   */
+  async credits(...args) {
+    return readRun(args, (db, run) => {
+      const floorOption = getOption(args, "--floor");
+      const floor = floorOption
+        ? parseInt(floorOption, 10)
+        : run.settings.creditFloor || 0;
+
+      const summary = db.getCreditsSummary(run.id, floor);
+      console.log(`💳 Run ${run.id} (${run.status}), budget floor ${floor}\n`);
+
+      if (summary.length === 0) {
+        console.log("No credits recorded");
+        return;
+      }
+
+      summary.forEach((c) => {
+        console.log(`Profile: ${c.profilePath || "(unknown)"}`);
+        console.log(`  Remaining:   ${c.remainingCredits} (${c.updatedAt})`);
+        console.log(`  Spent:       ${c.spent} over ${c.submits} submits`);
+        console.log(
+          `  Per prompt:  ${c.costPerPrompt !== null ? c.costPerPrompt.toFixed(1) : "unknown"}`,
+        );
+        console.log(
+          `  Burn rate:   ${c.burnPerHour !== null ? `${c.burnPerHour}/hour` : "unknown"}`,
+        );
+        console.log(
+          `  Affordable:  ${c.affordablePrompts !== null ? `~${c.affordablePrompts} prompts` : "unknown"}`,
+        );
+      });
+    });
+  },
+
+  /**
+   * Show which profile handled which prompts (latest run by default)
+   */
+  async profiles(...args) {
+    return readRun(args, (db, run) => {
+      const report = db.getProfileReport(run.id);
+      console.log(`👥 Run ${run.id} (${run.status})\n`);
+
+      if (report.length === 0) {
+        console.log("No prompts submitted yet");
+        return;
+      }
+
+      report.forEach((p) => {
+        console.log(`Profile: ${p.profilePath}`);
+        console.log(
+          `  Prompts:     ${p.prompts.length} (${p.done} done, ${p.failed} failed)`,
+        );
+        console.log(`  Operations:  ${p.operations}`);
+        console.log(`  Idx:         ${p.prompts.join(", ")}`);
+      });
+    });
+  },
+
+  /**
+   * Show the prompt timeout per model/outputs learned from completed prompts
+   */
+  async timeouts() {
+    return VeoDatabase.read(DB_PATH, (db) => {
+      const policy = new TimeoutPolicy(db);
+      const groups = db.getLatencyGroups();
+
+      if (groups.length === 0) {
+        console.log("No completed prompts yet, using default timeouts");
+        return;
+      }
+
+      console.log("⏱️  Prompt timeouts (p95 of submit → done + margin)\n");
+      groups.forEach((g) => {
+        const t = policy.getTimeout(g.model, g.outputs);
+        const p95 = t.p95Ms ? `, p95 ${Math.round(t.p95Ms / 1000)}s` : "";
+        console.log(
+          `  ${g.model || "(unknown model)"} × ${g.outputs}: ${Math.round(t.timeoutMs / 1000)}s (${t.source}, ${t.samples} samples${p95})`,
+        );
+      });
+    });
+  },
+
+  /**
+   * Download the videos of a run that were never saved
+   * Opens the run's Chrome profile to refresh expired fifeUrls
+   */
+  async redownload(...args) {
+    const runId = parseInt(getOption(args, "--run"), 10);
+    if (Number.isNaN(runId)) {
+      throw new Error("Usage: redownload --run <id> [--profile <path>]");
+    }
+
+    // Loaded lazily: pulls in Selenium
+    const { redownloadRun } = require("./src/main/automation");
+    const result = await redownloadRun(runId, getOption(args, "--profile"));
+
+    console.log(`\n📥 Run ${result.runId}`);
+    console.log(`   Missing videos: ${result.missing}`);
+    if (result.missing > 0) {
+      console.log(`   URLs refreshed: ${result.refreshed}`);
+      console.log(`   Downloaded:     ${result.downloaded}`);
+      console.log(`   Still missing:  ${result.failed}`);
+    }
+  },
+
+  /**
+   * Add prompts from a CSV file (same format as run-automation.js) to the
+   * running batch
+   */
+  async enqueue(...args) {
+    const csvPath = args[0];
+    if (!csvPath || csvPath.startsWith("--")) {
+      throw new Error("Usage: enqueue <file.csv> [--run <id>]");
+    }
+
+    const { loadPromptsFromCSV } = require("./src/main/automation");
+    const prompts = await loadPromptsFromCSV(csvPath);
+    if (prompts.length === 0) {
+      throw new Error(`No prompts found in ${csvPath}`);
+    }
+
+    const result = await queueCommand("enqueue", { prompts }, args);
+    console.log(
+      `➕ Added ${result.inserted} prompts (#${result.indexes[0]}-#${result.indexes[result.indexes.length - 1]})${result.skipped ? `, ${result.skipped} duplicates skipped` : ""}`,
+    );
+  },
+
+  /**
+   * Stop submitting new prompts, in-flight prompts keep polling/downloading
+   */
+  async pause(...args) {
+    const { state } = await queueCommand("pause", {}, args);
+    console.log(`⏸️  Batch ${state}, continue with: npm run cli -- continue`);
+  },
+
+  /**
+   * Continue submitting after pause
+   */
+  async continue(...args) {
+    const { state } = await queueCommand("continue", {}, args);
+    console.log(`▶️  Batch ${state}`);
+  },
+
+  /**
+   * Cancel the running batch, it can be resumed later with npm run resume
+   */
+  async cancel(...args) {
+    const { state } = await queueCommand("cancel", {}, args);
+    console.log(`⏹️  Batch ${state}, resume later with: npm run resume`);
+  },
+
+  /**
+   * Show queued prompts in submission order
+   */
+  async queue(...args) {
+    const queue = await queueCommand("queue", {}, args);
+
+    if (queue.length === 0) {
+      console.log("Queue is empty");
+      return;
+    }
+
+    console.log(`📋 ${queue.length} queued prompts (submission order)\n`);
+    queue.forEach((p, i) => {
+      const repeat = p.repeat_index > 0 ? ` (repeat ${p.repeat_index})` : "";
+      console.log(
+        `${String(i + 1).padStart(4)}. #${p.idx}${repeat} [priority ${p.priority}] ${p.prompt_text.slice(0, 60)}`,
+      );
+    });
+  },
+
+  /**
+   * Move a queued prompt to the front of the queue
+   */
+  async bump(...args) {
+    const idx = parseIdx(args[0], "bump <idx> [--run <id>]");
+    const { priority } = await queueCommand("bump", { idx }, args);
+    console.log(`⬆️  Prompt #${idx} moved to the front (priority ${priority})`);
+  },
+
+  /**
+   * Move a queued prompt to the back of the queue
+   */
+  async demote(...args) {
+    const idx = parseIdx(args[0], "demote <idx> [--run <id>]");
+    const { priority } = await queueCommand("demote", { idx }, args);
+    console.log(`⬇️  Prompt #${idx} moved to the back (priority ${priority})`);
+  },
+
+  /**
+   * Skip a queued prompt, it is never submitted
+   */
+  async skip(...args) {
+    const idx = parseIdx(args[0], "skip <idx> [--reason <text>] [--run <id>]");
+    const reason = getOption(args, "--reason") || null;
+    await queueCommand("skip", { idx, reason }, args);
+    console.log(`⏭️  Prompt #${idx} skipped`);
+  },
+
+  /**
+   * Abandon an in-progress prompt, its videos are never downloaded
+   */
+  async abandon(...args) {
+    const idx = parseIdx(
+      args[0],
+      "abandon <idx> [--reason <text>] [--run <id>]",
+    );
+    const reason = getOption(args, "--reason") || null;
+    await queueCommand("abandon", { idx, reason }, args);
+    console.log(`🚫 Prompt #${idx} abandoned`);
+  },
+
+  /**
+   * Set the priority of a queued prompt
+   */
+  async priority(...args) {
+    const usage = "priority <idx> <n> [--run <id>]";
+    const idx = parseIdx(args[0], usage);
+    const priority = parseIdx(args[1], usage);
+    await queueCommand("priority", { idx, priority }, args);
+    console.log(`✅ Prompt #${idx} priority set to ${priority}`);
+  },
+
+  /**
+   * Put queued prompts at the front in the given order
+   */
+  async reorder(...args) {
+    const usage = "reorder <idx,idx,...> [--run <id>]";
+    const order = (args[0] || "")
+      .split(",")
+      .filter(Boolean)
+      .map((value) => parseIdx(value, usage));
+    if (order.length === 0) {
+      throw new Error(`Usage: ${usage}`);
+    }
+
+    const queue = await queueCommand("reorder", { order }, args);
+    console.log(
+      `✅ Queue reordered: ${queue.map((p) => `#${p.idx}`).join(", ")}`,
+    );
+  },
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || !commands[command]) {
+    console.log("Usage: node veo-cli.js <command>\n");
+    console.log("Commands:");
+    console.log("  schema     Show schema version and pending migrations");
+    console.log("  migrate    Apply pending migrations");
+    console.log(
+      "  timeline <idx> [--run <id>]  Show the state transitions of one prompt",
+    );
+    console.log(
+      "  credits [--run <id>] [--floor <n>]  Show remaining credits, burn rate and budget",
+    );
+    console.log(
+      "  profiles [--run <id>]  Show which profile handled which prompts",
+    );
+    console.log("  timeouts   Show prompt timeouts learned per model/outputs");
+    console.log(
+      "  redownload --run <id> [--profile <path>]  Refresh expired URLs and download missing videos",
+    );
+    console.log(
+      "  enqueue <file.csv> [--run <id>]  Add prompts to the running batch",
+    );
+    console.log(
+      "  pause|continue|cancel [--run <id>]  Pause/continue submitting or cancel the running batch",
+    );
+    console.log(
+      "  queue [--run <id>]  Show queued prompts in submission order",
+    );
+    console.log(
+      "  bump|demote <idx> [--run <id>]  Move a queued prompt to the front/back",
+    );
+    console.log(
+      "  skip|abandon <idx> [--reason <text>] [--run <id>]  Cancel a queued/in-progress prompt",
+    );
+    console.log(
+      "  priority <idx> <n> [--run <id>]  Set the priority of a queued prompt",
+    );
+    console.log(
+      "  reorder <idx,idx,...> [--run <id>]  Put queued prompts first in the given order",
+    );
+    process.exit(command ? 1 : 0);
+  }
+
+  try {
+    await commands[command](...args);
+  } catch (error) {
+    console.error(`\n❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();